@@ -0,0 +1,84 @@
+// acoustics.test.js - Sound power, blade tone and receiver level
+const { OCTAVE_BANDS, sumLevels, soundPressureAt, predictSound } = require('../src/acoustics');
+const { calculateResults, DEFAULT_INPUTS, DEFAULT_UNITS, UNIT_PRESETS, toEngineInputs } = require('../src/engine');
+const { designChecks, validateInputs } = require('../src/validation');
+
+const design = {
+  flowRate: 5000,
+  staticPressure: 500,
+  rpm: 1750,
+  bladeType: 'Backward',
+  D2_mm: 500,
+  bladeCountFinal: 10,
+  effStatic: 0.75,
+  peakEfficiency: 0.75
+};
+
+describe('level arithmetic', () => {
+  test('two equal sources add 3 dB', () => {
+    expect(sumLevels([80, 80])).toBeCloseTo(83.01, 2);
+  });
+
+  test('sound pressure falls 6 dB per doubling of distance', () => {
+    expect(soundPressureAt(90, 1) - soundPressureAt(90, 2)).toBeCloseTo(6.02, 2);
+  });
+});
+
+describe('prediction', () => {
+  test('returns eight octave bands with the blade tone in the BPF band', () => {
+    const sound = predictSound(design);
+    expect(sound.bands.map(b => b.freq)).toEqual(OCTAVE_BANDS);
+    expect(sound.bpf_hz).toBeCloseTo(1750 * 10 / 60, 9);
+    expect(sound.toneBand).toBe(250);
+    expect(sound.bands.filter(b => b.tone).map(b => b.freq)).toEqual([250]);
+    expect(sound.Lw).toBeCloseTo(sumLevels(sound.bands.map(b => b.Lw)), 9);
+    expect(sound.LwA).toBeLessThan(sound.Lw);
+  });
+
+  test('rises 3 dB per doubling of flow and 6 dB per doubling of pressure', () => {
+    const base = predictSound(design).Lw;
+    expect(predictSound({ ...design, flowRate: 10000 }).Lw - base).toBeCloseTo(3.01, 2);
+    expect(predictSound({ ...design, staticPressure: 1000 }).Lw - base).toBeCloseTo(6.02, 2);
+  });
+
+  test('penalizes running off peak efficiency', () => {
+    const offPeak = predictSound({ ...design, peakEfficiency: 0.85 });
+    expect(offPeak.efficiencyCorrection).toBeGreaterThan(0);
+    expect(offPeak.Lw - predictSound(design).Lw).toBeCloseTo(offPeak.efficiencyCorrection, 9);
+  });
+
+  test('checks the limit at the receiver when a distance is given', () => {
+    const power = predictSound(design, { limit_dBA: 80 });
+    expect(power.Lp).toBeNull();
+    expect(power.exceedsLimit).toBe(power.LwA > 80);
+
+    const receiver = predictSound(design, { distance_m: 5, limit_dBA: 80 });
+    expect(receiver.LpA).toBeCloseTo(soundPressureAt(receiver.LwA, 5), 9);
+    expect(receiver.exceedsLimit).toBe(receiver.LpA > 80);
+  });
+});
+
+describe('integration', () => {
+  test('calculateResults reports noise and warns over the limit', () => {
+    const inputs = toEngineInputs({ ...DEFAULT_INPUTS, receiverDistance: '3', noiseLimit: '40' }, DEFAULT_UNITS);
+    const results = calculateResults(inputs);
+    expect(results.acoustics.distance_m).toBe(3);
+    expect(results.acoustics.exceedsLimit).toBe(true);
+    expect(designChecks(results, inputs).some(c => c.title === 'Noise' && c.severity === 'warning')).toBe(true);
+
+    const quiet = calculateResults({ ...inputs, noiseLimit: '' });
+    expect(quiet.acoustics.exceedsLimit).toBe(false);
+  });
+
+  test('takes the receiver distance in the selected distance unit', () => {
+    const inputs = toEngineInputs({ ...DEFAULT_INPUTS, receiverDistance: '10' }, UNIT_PRESETS.Imperial);
+    expect(calculateResults(inputs).acoustics.distance_m).toBeCloseTo(3.048, 6);
+    expect(validateInputs({ ...DEFAULT_INPUTS, receiverDistance: '0.1' }, UNIT_PRESETS.Imperial).receiverDistance)
+      .toBe('Must be at least 0.328084 ft');
+
+    const loud = calculateResults({ ...inputs, noiseLimit: '40' });
+    const noise = designChecks(loud, { units: UNIT_PRESETS.Imperial }).find(c => c.title === 'Noise');
+    expect(noise.message).toMatch(/ at 10\.0 ft exceeds/);
+    expect(designChecks(loud).find(c => c.title === 'Noise').message).toMatch(/ at 3\.0 m exceeds/);
+  });
+});
@@ -0,0 +1,52 @@
+// ductSystem.test.js - Duct run friction, fitting losses and stored-system validation
+const { FITTINGS, ductArea, hydraulicDiameter, componentLoss, systemPressure, validateDuctSystem } = require('../src/ductSystem');
+const { airDensity } = require('../src/engine');
+
+const run = { id: 1, kind: 'duct', shape: 'round', diameter_mm: 500, length_m: 20 };
+const elbows = { id: 2, kind: 'fitting', fitting: 'elbow90', K: FITTINGS.elbow90.K, count: 3, shape: 'round', diameter_mm: 500 };
+const filter = { id: 3, kind: 'fitting', fitting: 'filter', K: 5, shape: 'rectangular', width_mm: 600, height_mm: 400 };
+
+describe('geometry', () => {
+  test('rectangular ducts use the hydraulic diameter 2ab/(a+b)', () => {
+    expect(ductArea(filter)).toBeCloseTo(0.24, 9);
+    expect(hydraulicDiameter(filter)).toBeCloseTo(0.48, 9);
+  });
+});
+
+describe('losses', () => {
+  const Q = 2.36; // m³/s, about 5000 CFM
+
+  test('fittings lose K velocity pressures each', () => {
+    const { velocity_ms, dp_pa } = componentLoss(elbows, Q, 1.2);
+    expect(velocity_ms).toBeCloseTo(Q / ductArea(elbows), 9);
+    expect(dp_pa).toBeCloseTo(3 * 0.25 * 0.5 * 1.2 * velocity_ms * velocity_ms, 9);
+  });
+
+  test('straight runs match published galvanized duct friction', () => {
+    // 500 mm round at about 12 m/s loses close to 3 Pa/m
+    const perMetre = componentLoss(run, Q, 1.2).dp_pa / run.length_m;
+    expect(perMetre).toBeGreaterThan(2.3);
+    expect(perMetre).toBeLessThan(3.3);
+  });
+
+  test('system loss sums the components and scales with density', () => {
+    const standard = systemPressure([run, elbows, filter], 5000, 1.2);
+    expect(standard.total_pa).toBeCloseTo(standard.items.reduce((acc, i) => acc + i.dp_pa, 0), 9);
+    expect(standard.items.reduce((acc, i) => acc + i.share, 0)).toBeCloseTo(1, 9);
+
+    const hot = systemPressure([elbows, filter], 5000, airDensity(300, 5000).airDensitySI);
+    const cold = systemPressure([elbows, filter], 5000, airDensity(70, 0).airDensitySI);
+    expect(hot.total_pa / cold.total_pa).toBeCloseTo(airDensity(300, 5000).airDensitySI / airDensity(70, 0).airDensitySI, 9);
+  });
+});
+
+describe('validation', () => {
+  test('accepts a stored system and names bad fields', () => {
+    expect(validateDuctSystem([run, elbows, filter])).toEqual([]);
+    expect(validateDuctSystem({})).toEqual(['ductSystem: must be a list']);
+    expect(validateDuctSystem([{ ...filter, width_mm: 0, fitting: 'fan' }])).toEqual([
+      'ductSystem[0].width_mm: must be a positive number',
+      'ductSystem[0].fitting: unknown "fan"'
+    ]);
+  });
+});
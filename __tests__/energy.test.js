@@ -0,0 +1,86 @@
+// energy.test.js - Part-load power, annual energy and lifecycle payback
+const {
+  DEFAULT_ENERGY_SETTINGS,
+  VFD_EFFICIENCY,
+  validateEnergySettings,
+  partLoadPower,
+  annualEnergy,
+  lifecycleComparison
+} = require('../src/energy');
+const { calculateResults, DEFAULT_INPUTS, DEFAULT_UNITS, toEngineInputs } = require('../src/engine');
+const { evaluateItem } = require('../src/history');
+
+const inputs = toEngineInputs(DEFAULT_INPUTS, DEFAULT_UNITS);
+const results = calculateResults(inputs);
+const fullLoad = { ...DEFAULT_ENERGY_SETTINGS, profile: [{ flowPct: '100', hoursPct: '100' }] };
+
+describe('part load', () => {
+  test('VFD follows the cube law from the design brake power', () => {
+    expect(partLoadPower(results, 1, 'vfd')).toBeCloseTo(results.brakePowerHP, 9);
+    expect(partLoadPower(results, 0.5, 'vfd')).toBeCloseTo(results.brakePowerHP / 8, 9);
+  });
+
+  test('damper stays on the fan curve and saves far less than a VFD', () => {
+    expect(partLoadPower(results, 1, 'damper')).toBeCloseTo(results.brakePowerHP, 2);
+    const damper = partLoadPower(results, 0.6, 'damper');
+    expect(damper).toBeLessThan(results.brakePowerHP);
+    expect(damper).toBeGreaterThan(partLoadPower(results, 0.6, 'vfd') * 2);
+  });
+});
+
+describe('annual figures', () => {
+  test('full-load energy is brake power over motor and drive efficiency', () => {
+    const year = annualEnergy(results, fullLoad);
+    const kW = (results.brakePowerHP * 0.7457) / (0.92 * VFD_EFFICIENCY);
+    expect(year.kWh).toBeCloseTo(kW * 6000, 6);
+    expect(year.cost).toBeCloseTo(year.kWh * 0.15, 6);
+    expect(year.co2_kg).toBeCloseTo(year.kWh * 0.4, 6);
+  });
+
+  test('a VFD uses less energy than a damper over a part-load profile', () => {
+    const vfd = annualEnergy(results, DEFAULT_ENERGY_SETTINGS, 'vfd');
+    const damper = annualEnergy(results, DEFAULT_ENERGY_SETTINGS, 'damper');
+    expect(vfd.kWh).toBeLessThan(damper.kWh);
+    expect(vfd.steps.reduce((acc, s) => acc + s.hours, 0)).toBeCloseTo(6000, 9);
+  });
+});
+
+describe('lifecycle', () => {
+  const efficient = calculateResults({ ...inputs, outletAngle: 40 });
+  const wasteful = calculateResults({ ...inputs, outletAngle: 60 });
+
+  test('pays back the extra cost from the yearly saving', () => {
+    const cmp = lifecycleComparison(wasteful, efficient, { ...fullLoad, extraCost: '500' });
+    expect(cmp.costSaved).toBeGreaterThan(0);
+    expect(cmp.paybackYears).toBeCloseTo(500 / cmp.costSaved, 9);
+    expect(cmp.co2Saved_kg).toBeCloseTo(cmp.kWhSaved * 0.4, 6);
+  });
+
+  test('falls back to the material cost difference and flags designs that never pay back', () => {
+    const cmp = lifecycleComparison(efficient, wasteful, fullLoad);
+    expect(cmp.extraCostEntered).toBe(false);
+    expect(cmp.extraCost).toBeCloseTo(wasteful.materialCost - efficient.materialCost, 9);
+    expect(lifecycleComparison(efficient, wasteful, { ...fullLoad, extraCost: '100' }).paybackYears).toBeNull();
+  });
+
+  test('compares two saved designs', () => {
+    const item = (outletAngle) => ({ inputs: { ...DEFAULT_INPUTS, outletAngle }, units: DEFAULT_UNITS });
+    const [a, b] = [item('60'), item('40')].map(i => evaluateItem(i).results);
+    expect(lifecycleComparison(a, b, fullLoad).kWhSaved).toBeGreaterThan(0);
+  });
+});
+
+describe('settings', () => {
+  test('accepts the defaults and checks the duty profile', () => {
+    expect(validateEnergySettings(DEFAULT_ENERGY_SETTINGS)).toEqual({});
+    expect(validateEnergySettings({ ...DEFAULT_ENERGY_SETTINGS, profile: [] }).profile).toMatch(/at least one/);
+    expect(validateEnergySettings({ ...fullLoad, profile: [{ flowPct: '100', hoursPct: '90' }] }).profile).toMatch(/90\.0%/);
+    expect(validateEnergySettings({ ...fullLoad, tariff: 'cheap' }).tariff).toBe('Must be a number');
+  });
+
+  test('lets a VFD overspeed but a damper only throttle', () => {
+    const boost = { ...fullLoad, profile: [{ flowPct: '110', hoursPct: '100' }] };
+    expect(validateEnergySettings({ ...boost, control: 'vfd' })).toEqual({});
+    expect(validateEnergySettings({ ...boost, control: 'damper' }).profile).toMatch(/between 0 and 100%/);
+  });
+});
@@ -0,0 +1,326 @@
+// engine.test.js - Reference cases for the headless calculation engine
+const {
+  calculateResults,
+  materials,
+  APP_PROFILES,
+  DEFAULT_INPUTS,
+  UNIT_PRESETS,
+  DEFAULT_UNITS,
+  convert,
+  toEngineInputs,
+  convertInputs,
+} = require('../src/engine');
+const { findOperatingPoint, systemKThrough } = require('../src/fanCurve');
+const { scalingBase, scaleDesign } = require('../src/scaling');
+const { bladeCamber } = require('../src/dxf');
+const { designVolute } = require('../src/volute');
+const { validateInputs } = require('../src/validation');
+const { evaluateDutyPoints, resultTable, parseCsv, toCsv } = require('../src/batch');
+const { run } = require('../bin/fan-batch');
+
+// Duty points in engine units with results recorded from the app
+const REFERENCE_CASES = [
+  {
+    name: 'general ventilation, backward curved steel',
+    inputs: { flowRate: 5000, staticPressure: 1000, rpm: 1750, motorRating: 10, temp: 70, altitude: 0, bladeType: 'Backward', material: 'Steel', outletAngle: 35, inletAngle: 25 },
+    expected: {
+      airDensitySI: 1.2013875, D2_mm: 539.07584, b2_mm: 112.83321, bladeCountFinal: 10, effStatic: 0.9538764,
+      tipSpeedActual: 49.395404, brakePowerHP: 3.310863, motorLoadPct: 33.10863, safetyFactor: 30.121401,
+      stressStatus: 'SAFE', shaftDiaStd: 20, torqueNm: 13.473197, motorCheck: 'OK', altitudeWarning: 'OK'
+    }
+  },
+  {
+    name: 'high pressure radial aluminium at altitude',
+    inputs: { flowRate: 2000, staticPressure: 3000, rpm: 3500, motorRating: 15, temp: 100, altitude: 6000, bladeType: 'Radial', material: 'Aluminum_Alloy', outletAngle: 90, inletAngle: 35 },
+    expected: {
+      airDensitySI: 0.91118733, D2_mm: 426.64571, b2_mm: 36.027316, bladeCountFinal: 12, effStatic: 0.8161236,
+      tipSpeedActual: 78.18691, brakePowerHP: 4.6436408, motorLoadPct: 30.957605, safetyFactor: 20.498827,
+      stressStatus: 'SAFE', shaftDiaStd: 20, torqueNm: 9.4483961, motorCheck: 'OK', altitudeWarning: 'High altitude warning'
+    }
+  },
+  {
+    name: 'high flow forward curved plastic on an undersized motor',
+    inputs: { flowRate: 15000, staticPressure: 500, rpm: 900, motorRating: 5, temp: 60, altitude: 1000, bladeType: 'Forward', material: 'Plastic', outletAngle: 145, inletAngle: 20 },
+    expected: {
+      airDensitySI: 1.1808837, D2_mm: 494.27015, b2_mm: 782.93321, bladeCountFinal: 10, effStatic: 0.81113095,
+      tipSpeedActual: 23.291932, brakePowerHP: 5.840279, motorLoadPct: 116.80558, safetyFactor: 112.85327,
+      stressStatus: 'SAFE', shaftDiaStd: 21, torqueNm: 46.212408, motorCheck: 'OVERLOADED', altitudeWarning: 'OK'
+    }
+  }
+];
+
+describe('calculateResults', () => {
+  REFERENCE_CASES.forEach(({ name, inputs, expected }) => {
+    test(name, () => {
+      const results = calculateResults(inputs);
+      Object.keys(expected).forEach(key => {
+        if (typeof expected[key] === 'number') expect(results[key]).toBeCloseTo(expected[key], 4);
+        else expect(results[key]).toBe(expected[key]);
+      });
+    });
+  });
+
+  test('derives D1, hub and b1 from D2 and b2', () => {
+    const results = calculateResults(REFERENCE_CASES[0].inputs);
+    expect(results.D1_mm).toBeCloseTo(results.D2_mm / 2, 9);
+    expect(results.D_hub_mm).toBeCloseTo(results.D1_mm * 0.4, 9);
+    expect(results.b1_mm).toBeCloseTo(results.b2_mm * 2, 9);
+  });
+
+  test('produces a fan curve through the duty point and a DXF drawing', () => {
+    const results = calculateResults(REFERENCE_CASES[0].inputs);
+    expect(results.fanCurve.design.flow).toBe(5000);
+    expect(results.dxf.startsWith('0\nSECTION\n2\nHEADER')).toBe(true);
+    expect(results.dxf.trim().endsWith('EOF')).toBe(true);
+  });
+
+  test('accepts the app form values directly', () => {
+    const results = calculateResults(toEngineInputs(DEFAULT_INPUTS, DEFAULT_UNITS));
+    expect(results.D2_mm).toBeCloseTo(REFERENCE_CASES[0].expected.D2_mm, 4);
+  });
+});
+
+const numInputs = toEngineInputs(DEFAULT_INPUTS, DEFAULT_UNITS);
+const reference = calculateResults(numInputs);
+
+describe('operating point', () => {
+  const curve = reference.fanCurve;
+
+  test('a system curve through the duty point meets the fan there', () => {
+    const op = findOperatingPoint(curve, systemKThrough(5000, 1000));
+    expect(op.flow).toBeCloseTo(5000, -1);
+    expect(op.pressure).toBeCloseTo(1000, 0);
+    expect(op.powerHP).toBeCloseTo(reference.brakePowerHP, 2);
+    expect(op.inStall).toBe(false);
+  });
+
+  test('a steeper system moves back up the curve and into stall left of the pressure peak', () => {
+    const k = systemKThrough(5000, 1000);
+    const throttled = findOperatingPoint(curve, k * 20);
+    expect(throttled.flow).toBeLessThan(5000);
+    expect(throttled.pressure).toBeGreaterThan(1000);
+    expect(throttled.inStall).toBe(false);
+
+    const stalled = findOperatingPoint(curve, k * 200);
+    expect(stalled.flow).toBeLessThan(curve.stallFlow);
+    expect(stalled.inStall).toBe(true);
+  });
+
+  test('puts the stall limit at the pressure peak, below the duty flow', () => {
+    const peak = curve.points.reduce((best, p) => (p.pressure > best.pressure ? p : best));
+    expect(curve.stallFlow).toBe(peak.flow);
+    expect(curve.stallFlow).toBeGreaterThan(0);
+    expect(curve.stallFlow).toBeLessThan(5000);
+    expect(findOperatingPoint(curve, 0)).toBeNull();
+  });
+});
+
+describe('design scaling', () => {
+  const base = scalingBase(numInputs, reference);
+
+  test('follows the fan laws for speed, size and density', () => {
+    const faster = scaleDesign(base, { rpm: base.rpm * 2 }, materials.Steel);
+    expect(faster.flowRate).toBeCloseTo(base.flowRate * 2, 6);
+    expect(faster.staticPressure).toBeCloseTo(base.staticPressure * 4, 6);
+    expect(faster.brakePowerHP).toBeCloseTo(base.brakePowerHP * 8, 6);
+
+    const larger = scaleDesign(base, { D2_mm: base.D2_mm * 1.5 }, materials.Steel);
+    expect(larger.flowRate).toBeCloseTo(base.flowRate * 3.375, 6);
+    expect(larger.brakePowerHP).toBeCloseTo(base.brakePowerHP * Math.pow(1.5, 5), 6);
+
+    const lighter = scaleDesign(base, { airDensitySI: base.airDensitySI / 2 }, materials.Steel);
+    expect(lighter.flowRate).toBeCloseTo(base.flowRate, 6);
+    expect(lighter.staticPressure).toBeCloseTo(base.staticPressure / 2, 6);
+  });
+
+  test('keeps blank targets and flags overspeed by tip speed or stress', () => {
+    const same = scaleDesign(base, {}, materials.Steel);
+    expect(same.rpm).toBe(base.rpm);
+    expect(same.tipSpeed).toBeCloseTo(reference.tipSpeedActual, 6);
+    expect(same.overspeed).toBe(false);
+
+    const fast = scaleDesign(base, { rpm: base.rpm * 4.5 }, materials.Steel);
+    expect(fast.tipSpeed).toBeGreaterThan(200);
+    expect(fast.overspeed).toBe(true);
+
+    const weak = scaleDesign(base, {}, { ...materials.Steel, yield: 10 });
+    expect(weak.stressStatus).toBe('UNSAFE');
+    expect(weak.overspeed).toBe(true);
+  });
+});
+
+describe('blade geometry', () => {
+  const geometry = { D1_mm: reference.D1_mm, D2_mm: reference.D2_mm, inletAngle: 25, outletAngle: 35 };
+  // Blade angle (degrees from the circumferential direction) between two camber points
+  const angle = (a, b) => (Math.atan((b.r - a.r) / (((a.r + b.r) / 2) * (b.theta - a.theta))) * 180) / Math.PI;
+
+  test('a circular arc runs from the eye to the tip at the inlet and outlet angles', () => {
+    const camber = bladeCamber(geometry, 'arc');
+    const last = camber.length - 1;
+    expect(camber[0]).toEqual({ r: reference.D1_mm / 2, theta: 0 });
+    expect(camber[last].r).toBeCloseTo(reference.D2_mm / 2, 9);
+    // Sampled over the first and last of 40 steps, so within a degree
+    expect(Math.abs(angle(camber[0], camber[1]) - 25)).toBeLessThan(1);
+    expect(Math.abs(angle(camber[last - 1], camber[last]) - 35)).toBeLessThan(1);
+  });
+
+  test('a log spiral keeps the mean angle along the blade', () => {
+    const camber = bladeCamber(geometry, 'logSpiral');
+    [1, 20, camber.length - 1].forEach(i => expect(angle(camber[i - 1], camber[i])).toBeCloseTo(30, 1));
+  });
+
+  test('the DXF draws one blade entity per blade on the BLADES layer', () => {
+    const count = (dxf, entity) => (dxf.match(new RegExp(`\\n${entity}\\n8\\nBLADES\\n`, 'g')) || []).length;
+    expect(count(reference.dxf, 'ARC')).toBe(reference.bladeCountFinal);
+    const spiral = calculateResults({ ...numInputs, bladeProfile: 'logSpiral' });
+    expect(count(spiral.dxf, 'POLYLINE')).toBe(spiral.bladeCountFinal);
+    expect(count(spiral.dxf, 'ARC')).toBe(0);
+  });
+});
+
+describe('scroll casing', () => {
+  const impeller = {
+    D2_mm: reference.D2_mm,
+    b2_mm: reference.b2_mm,
+    flowRate: 5000,
+    staticPressure: 1000,
+    tipSpeedActual: reference.tipSpeedActual,
+    airDensitySI: reference.airDensitySI,
+    effStatic: reference.effStatic
+  };
+
+  test('starts at the tongue clearance and wraps out to the outlet height', () => {
+    const casing = designVolute(impeller);
+    expect(casing.tongueRadius_mm).toBeCloseTo(reference.D2_mm / 2 + reference.D2_mm * 0.07, 6);
+    expect(casing.casingWidth_mm).toBeCloseTo(reference.b2_mm * 2, 6);
+    expect(casing.spiral[0].r).toBeCloseTo(casing.tongueRadius_mm, 6);
+    expect(casing.spiral[casing.spiral.length - 1].r).toBeCloseTo(casing.tongueRadius_mm + casing.outletHeight_mm, 6);
+    expect(casing.outletVelocity).toBeCloseTo((5000 * 0.000471947) / casing.outletArea_m2, 9);
+  });
+
+  test('an Archimedean scroll reaches the same outlet growing linearly', () => {
+    const spiral = designVolute(impeller).spiral;
+    const archimedean = designVolute(impeller, 'archimedean').spiral;
+    const mid = archimedean.length >> 1;
+    expect(archimedean[archimedean.length - 1].r).toBeCloseTo(spiral[spiral.length - 1].r, 6);
+    expect(archimedean[mid].r).toBeCloseTo((archimedean[0].r + archimedean[archimedean.length - 1].r) / 2, 6);
+    expect(archimedean[mid].r).toBeGreaterThan(spiral[mid].r);
+  });
+
+  test('grows with flow and is part of the results', () => {
+    expect(designVolute({ ...impeller, flowRate: 10000 }).outletHeight_mm).toBeGreaterThan(designVolute(impeller).outletHeight_mm);
+    expect(reference.casing.type).toBe('constantVelocity');
+    expect(designVolute({ ...impeller, flowRate: 0 })).toBeNull();
+  });
+});
+
+describe('input validation', () => {
+  test('accepts the app defaults and reports missing, non-numeric and out-of-range fields', () => {
+    expect(validateInputs(DEFAULT_INPUTS, DEFAULT_UNITS)).toEqual({});
+    expect(validateInputs({ ...DEFAULT_INPUTS, flowRate: '', staticPressure: 'abc', rpm: '50' }, DEFAULT_UNITS)).toEqual({
+      flowRate: 'Required',
+      staticPressure: 'Must be a number',
+      rpm: 'Must be at least 100 RPM'
+    });
+  });
+
+  test('states limits in the selected units', () => {
+    const units = { ...DEFAULT_UNITS, pressure: 'kPa', temperature: '°C' };
+    expect(validateInputs({ ...DEFAULT_INPUTS, staticPressure: '30', temp: '500' }, units)).toEqual({
+      staticPressure: 'Must be at most 25 kPa',
+      temp: 'Must be at most 426.667 °C'
+    });
+    expect(validateInputs({ ...DEFAULT_INPUTS, staticPressure: '24', temp: '400' }, units)).toEqual({});
+  });
+
+  test('leaves optional fields blank but checks them when entered', () => {
+    expect(validateInputs({ ...DEFAULT_INPUTS, bearingSpan: '' }, DEFAULT_UNITS)).toEqual({});
+    expect(validateInputs({ ...DEFAULT_INPUTS, bearingSpan: '10' }, DEFAULT_UNITS).bearingSpan).toBe('Must be at least 50 mm');
+  });
+});
+
+describe('data tables', () => {
+  test('every application profile names a known blade type', () => {
+    Object.values(APP_PROFILES).forEach(profile => {
+      expect(['Radial', 'Backward', 'Forward']).toContain(profile.bladeType);
+    });
+  });
+
+  test('every material has the properties the stress check needs', () => {
+    Object.values(materials).forEach(mat => {
+      ['density', 'yield', 'poisson', 'youngs', 'price'].forEach(key => expect(mat[key]).toBeGreaterThan(0));
+    });
+  });
+});
+
+describe('unit conversions', () => {
+  test('round-trips every unit of every quantity', () => {
+    [['flow', 5000], ['pressure', 1000], ['power', 10], ['length', 500], ['altitude', 1500], ['distance', 30], ['temperature', 70]]
+      .forEach(([quantity, value]) => {
+        Object.values(UNIT_PRESETS).forEach(preset => {
+          const there = convert(quantity, value, DEFAULT_UNITS[quantity], preset[quantity]);
+          expect(convert(quantity, there, preset[quantity], DEFAULT_UNITS[quantity])).toBeCloseTo(value, 6);
+        });
+      });
+  });
+
+  test('converts temperature with offsets', () => {
+    expect(convert('temperature', 212, '°F', '°C')).toBeCloseTo(100, 9);
+    expect(convert('temperature', 0, '°C', 'K')).toBeCloseTo(273.15, 9);
+  });
+
+  test('gives the same design from SI and imperial entries', () => {
+    const si = convertInputs(
+      convertInputs(DEFAULT_INPUTS, 'flow', 'CFM', 'm³/hr'),
+      'temperature', '°F', '°C'
+    );
+    const siUnits = { ...DEFAULT_UNITS, flow: 'm³/hr', temperature: '°C' };
+    const a = calculateResults(toEngineInputs(DEFAULT_INPUTS, DEFAULT_UNITS));
+    const b = calculateResults(toEngineInputs(si, siUnits));
+    expect(b.D2_mm).toBeCloseTo(a.D2_mm, 2);
+    expect(b.brakePowerHP).toBeCloseTo(a.brakePowerHP, 3);
+  });
+});
+
+describe('batch CLI', () => {
+  const csv = 'id,flowRate,staticPressure,rpm,material\nA,5000,1000,1750,Steel\nB,,,,Unobtainium\n';
+
+  test('matches calculateResults for every duty point', () => {
+    const rows = evaluateDutyPoints(parseCsv(csv));
+    expect(rows[0].error).toBeNull();
+    expect(rows[0].results.D2_mm).toBe(calculateResults(toEngineInputs(rows[0].inputs, DEFAULT_UNITS)).D2_mm);
+    expect(rows[1].error).toMatch(/Unknown material/);
+  });
+
+  test('rejects inherited object keys as materials', () => {
+    const [row] = evaluateDutyPoints([{ material: 'constructor' }]);
+    expect(row.results).toBeNull();
+    expect(row.error).toMatch(/Unknown material "constructor"/);
+  });
+
+  test('reports results in the selected units', () => {
+    const records = [{ flowRate: '8495', staticPressure: '1', rpm: '1750' }];
+    const rows = evaluateDutyPoints(records, UNIT_PRESETS.SI);
+    const table = resultTable(rows, UNIT_PRESETS.SI);
+    expect(table.headers).toContain('Brake Power (kW)');
+    const power = table.body[0][table.headers.indexOf('Brake Power (kW)')];
+    expect(power).toBeCloseTo(convert('power', rows[0].results.brakePowerHP, 'HP', 'kW'), 9);
+  });
+
+  test('writes CSV output and flags failed rows in the exit code', () => {
+    const files = { 'duty.csv': csv };
+    const io = {
+      read: (file) => files[file],
+      write: (file, data) => { files[file] = data; },
+      stdout: { write: () => {} }
+    };
+    expect(run(['duty.csv', '--out', 'out.csv'], io)).toBe(1);
+    const [header, first] = files['out.csv'].split('\n');
+    expect(header.split(',')[0]).toBe('id');
+    expect(first.startsWith('A,5000,1000,1750')).toBe(true);
+  });
+
+  test('quotes CSV cells that need it', () => {
+    expect(toCsv({ headers: ['a'], body: [['x, "y"']] })).toBe('a\n"x, ""y"""\n');
+  });
+});
@@ -0,0 +1,70 @@
+// gas.test.js - Humid air, process gases and standard versus actual flow
+const { STANDARD_DENSITY, airDensity, saturationPressure, gasDensity, gasConditions } = require('../src/gas');
+const { calculateResults, DEFAULT_INPUTS, DEFAULT_UNITS, toEngineInputs } = require('../src/engine');
+const { validateInputs } = require('../src/validation');
+
+describe('density', () => {
+  test('dry air matches the original standard-air formula', () => {
+    const dry = gasDensity({ temp: 70, altitude: 0 });
+    expect(dry.airDensityUS).toBeCloseTo(0.075, 9);
+    expect(dry.airDensitySI).toBeCloseTo(STANDARD_DENSITY, 9);
+    expect(gasDensity({ temp: 200, altitude: 4000 }).airDensitySI).toBeCloseTo(airDensity(200, 4000).airDensitySI, 9);
+  });
+
+  test('saturation pressure follows the steam tables', () => {
+    expect(saturationPressure(20)).toBeCloseTo(2339, -1);
+    expect(saturationPressure(100)).toBeCloseTo(101325, -3);
+  });
+
+  test('humid air is lighter than dry air, more so when hot', () => {
+    const dryWarm = gasDensity({ temp: 140, altitude: 0 });
+    const humidWarm = gasDensity({ temp: 140, altitude: 0, humidity: 100 });
+    const humidCool = gasDensity({ temp: 70, altitude: 0, humidity: 100 });
+    expect(humidWarm.airDensitySI).toBeLessThan(dryWarm.airDensitySI);
+    expect(1 - humidWarm.airDensitySI / dryWarm.airDensitySI)
+      .toBeGreaterThan(1 - humidCool.airDensitySI / gasDensity({ temp: 70, altitude: 0 }).airDensitySI);
+  });
+
+  test('scales with molar mass and absolute inlet pressure', () => {
+    const air = gasDensity({ temp: 70, altitude: 0 });
+    expect(gasDensity({ temp: 70, altitude: 0, gas: 'co2' }).airDensitySI / air.airDensitySI).toBeCloseTo(44.01 / 28.965, 9);
+    expect(gasDensity({ temp: 70, altitude: 0, gas: 'custom', molarMass: 16 }).molarMass).toBe(16);
+    const suction = gasDensity({ temp: 70, altitude: 0, inletPressure: -5000 });
+    expect(suction.airDensitySI / air.airDensitySI).toBeCloseTo(96325 / 101325, 9);
+  });
+
+  test('ignores humidity for process gases', () => {
+    expect(gasDensity({ temp: 70, altitude: 0, gas: 'nitrogen', humidity: 80 }).vapourFraction).toBe(0);
+  });
+});
+
+describe('flow basis', () => {
+  test('converts standard flow to actual flow at the inlet density', () => {
+    const hot = { flowRate: 5000, temp: 300, altitude: 0, flowBasis: 'standard' };
+    const gas = gasConditions(hot);
+    expect(gas.standardFlow).toBeCloseTo(5000, 9);
+    expect(gas.actualFlow).toBeCloseTo(5000 * STANDARD_DENSITY / gas.airDensitySI, 9);
+    expect(gasConditions({ ...hot, flowBasis: 'actual' }).actualFlow).toBe(5000);
+  });
+
+  test('denser gas lowers tip speed and stress; power follows actual flow', () => {
+    const base = toEngineInputs(DEFAULT_INPUTS, DEFAULT_UNITS);
+    const air = calculateResults(base);
+    const co2 = calculateResults({ ...base, gas: 'co2' });
+    expect(co2.airDensitySI).toBeGreaterThan(air.airDensitySI);
+    expect(co2.tipSpeedActual).toBeLessThan(air.tipSpeedActual);
+    expect(co2.sigma_total_mpa).toBeLessThan(air.sigma_total_mpa);
+
+    const hotStandard = calculateResults({ ...base, temp: 300, flowBasis: 'standard' });
+    expect(hotStandard.actualFlow).toBeGreaterThan(5000);
+    expect(hotStandard.brakePowerHP).toBeGreaterThan(air.brakePowerHP);
+  });
+});
+
+describe('validation', () => {
+  test('requires a molar mass for a custom gas', () => {
+    expect(validateInputs({ ...DEFAULT_INPUTS, gas: 'custom' }, DEFAULT_UNITS).molarMass).toMatch(/custom gas/);
+    expect(validateInputs({ ...DEFAULT_INPUTS, gas: 'custom', molarMass: '16' }, DEFAULT_UNITS).molarMass).toBeUndefined();
+    expect(validateInputs({ ...DEFAULT_INPUTS, humidity: '120' }, DEFAULT_UNITS).humidity).toMatch(/at most 100/);
+  });
+});
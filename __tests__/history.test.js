@@ -0,0 +1,85 @@
+// history.test.js - Saved design list operations
+const {
+  HISTORY_LIMIT,
+  addToHistory,
+  renameItem,
+  togglePin,
+  deleteItem,
+  filterHistory,
+  compareDesigns,
+} = require('../src/history');
+const { DEFAULT_INPUTS, DEFAULT_UNITS } = require('../src/engine');
+
+const makeItem = (id, inputs = {}, extra = {}) => ({
+  id,
+  timestamp: `t${id}`,
+  inputs: { ...DEFAULT_INPUTS, ...inputs },
+  units: { ...DEFAULT_UNITS },
+  summary: { flow: 5000, pressure: 1000 },
+  ...extra
+});
+
+const fill = (count) => [...Array(count)].reduce((acc, _, i) => addToHistory(acc, makeItem(i)), []);
+
+describe('rolling limit', () => {
+  test('keeps the newest unpinned designs', () => {
+    const history = fill(HISTORY_LIMIT + 5);
+    expect(history).toHaveLength(HISTORY_LIMIT);
+    expect(history[0].id).toBe(HISTORY_LIMIT + 4);
+  });
+
+  test('does not count pinned designs', () => {
+    let history = togglePin(fill(3), 0);
+    for (let i = 3; i < HISTORY_LIMIT + 10; i++) history = addToHistory(history, makeItem(i));
+    expect(history).toHaveLength(HISTORY_LIMIT + 1);
+    expect(history.find(item => item.id === 0).pinned).toBe(true);
+  });
+
+  test('re-applies the limit when a design is unpinned', () => {
+    let history = togglePin(fill(1), 0);
+    for (let i = 1; i <= HISTORY_LIMIT; i++) history = addToHistory(history, makeItem(i));
+    expect(togglePin(history, 0)).toHaveLength(HISTORY_LIMIT);
+  });
+});
+
+describe('editing', () => {
+  test('renames, clears names and deletes', () => {
+    let history = fill(2);
+    history = renameItem(history, 1, '  Dryer fan ');
+    expect(history[0].name).toBe('Dryer fan');
+    expect(renameItem(history, 1, ' ')[0].name).toBeUndefined();
+    expect(deleteItem(history, 1).map(item => item.id)).toEqual([0]);
+  });
+});
+
+describe('filterHistory', () => {
+  const history = [
+    makeItem(1, { material: 'Steel' }, { name: 'Kiln exhaust' }),
+    makeItem(2, { material: 'FRP', bladeType: 'Radial' }, { pinned: true }),
+    makeItem(3, { material: 'Steel' })
+  ];
+
+  test('matches names and inputs, pinned first', () => {
+    expect(filterHistory(history, 'kiln').map(item => item.id)).toEqual([1]);
+    expect(filterHistory(history, 'radial').map(item => item.id)).toEqual([2]);
+    expect(filterHistory(history, '').map(item => item.id)).toEqual([2, 1, 3]);
+  });
+
+  test('filters by pinned, material and blade type', () => {
+    expect(filterHistory(history, '', { pinnedOnly: true }).map(item => item.id)).toEqual([2]);
+    expect(filterHistory(history, '', { material: 'Steel' }).map(item => item.id)).toEqual([1, 3]);
+    expect(filterHistory(history, '', { bladeType: 'Radial' }).map(item => item.id)).toEqual([2]);
+    expect(filterHistory(history, '', { material: 'Steel', bladeType: 'Radial' })).toEqual([]);
+  });
+});
+
+describe('compareDesigns', () => {
+  test('flags only the fields that differ', () => {
+    const rows = compareDesigns([makeItem(1), makeItem(2, { rpm: '3500' })]);
+    const row = (label) => rows.find(r => r.label === label);
+    expect(row('RPM').differs).toBe(true);
+    expect(row('Impeller Diameter').differs).toBe(true);
+    expect(row('Material').differs).toBe(false);
+    expect(row('Flow Rate').values).toEqual([5000, 5000]);
+  });
+});
@@ -0,0 +1,75 @@
+// impellerDrawing.test.js - Auto-scaled dimensioned drawing and standalone SVG export
+const { buildImpellerDrawing, drawingToSvg, formatLength } = require('../src/impellerDrawing');
+const { calculateResults, DEFAULT_INPUTS, DEFAULT_UNITS, UNIT_PRESETS, toEngineInputs } = require('../src/engine');
+
+const design = (overrides = {}) => {
+  const inputs = toEngineInputs({ ...DEFAULT_INPUTS, ...overrides }, DEFAULT_UNITS);
+  return { inputs, results: calculateResults(inputs) };
+};
+
+// Every coordinate an item places on the sheet
+const points = (item) => {
+  if (item.type === 'circle') return [[item.cx - item.r, item.cy - item.r], [item.cx + item.r, item.cy + item.r]];
+  if (item.type === 'rect') return [[item.x, item.y], [item.x + item.width, item.y + item.height]];
+  if (item.type === 'path') return item.d.match(/-?[\d.]+,-?[\d.]+/g).map(p => p.split(',').map(Number));
+  if (item.type === 'text') return [[item.x, item.y]];
+  return [[item.x1, item.y1], [item.x2, item.y2]];
+};
+
+describe('layout', () => {
+  test('fits small and very large impellers inside the view box', () => {
+    [design({ flowRate: '300', staticPressure: '200' }), design({ flowRate: '200000', staticPressure: '3000', rpm: '600' })]
+      .forEach(({ inputs, results }) => {
+        const { viewBox, items } = buildImpellerDrawing(results, inputs, DEFAULT_UNITS);
+        items.forEach(item => points(item).forEach(([x, y]) => {
+          expect(x).toBeGreaterThanOrEqual(viewBox.x);
+          expect(x).toBeLessThanOrEqual(viewBox.x + viewBox.width);
+          expect(y).toBeGreaterThanOrEqual(viewBox.y);
+          expect(y).toBeLessThanOrEqual(viewBox.y + viewBox.height);
+        }));
+      });
+  });
+
+  test('draws one curved blade per blade', () => {
+    const { inputs, results } = design();
+    const blades = buildImpellerDrawing(results, inputs, DEFAULT_UNITS).items.filter(i => i.style === 'blade');
+    expect(blades).toHaveLength(results.bladeCountFinal);
+    blades.forEach(b => expect(b.d.split('L').length).toBeGreaterThan(10));
+  });
+});
+
+describe('dimensions', () => {
+  test('label D2, D1, b1, b2, hub and shaft in the selected units', () => {
+    const { inputs, results } = design();
+    const labels = buildImpellerDrawing(results, inputs, UNIT_PRESETS.Imperial).items
+      .filter(i => i.type === 'dimension').map(i => i.label);
+    expect(labels).toEqual([
+      `Ø${formatLength(results.D2_mm, UNIT_PRESETS.Imperial)}`,
+      `Ø${formatLength(results.D1_mm, UNIT_PRESETS.Imperial)}`,
+      `b2 ${formatLength(results.b2_mm, UNIT_PRESETS.Imperial)}`,
+      `b1 ${formatLength(results.b1_mm, UNIT_PRESETS.Imperial)}`,
+      `Hub Ø${formatLength(results.D_hub_mm, UNIT_PRESETS.Imperial)}`,
+      `Shaft Ø${formatLength(results.shaftDiaStd, UNIT_PRESETS.Imperial)}`
+    ]);
+    labels.forEach(label => expect(label).toMatch(/ inch$/));
+  });
+
+  test('dimension lines span the dimensioned length', () => {
+    const { inputs, results } = design();
+    const [d2] = buildImpellerDrawing(results, inputs, DEFAULT_UNITS).items.filter(i => i.type === 'dimension');
+    expect(d2.x2 - d2.x1).toBeCloseTo(results.D2_mm, 9);
+  });
+});
+
+describe('SVG export', () => {
+  test('writes a standalone document with arrowhead markers', () => {
+    const { inputs, results } = design();
+    const svg = drawingToSvg(buildImpellerDrawing(results, inputs, DEFAULT_UNITS));
+    expect(svg).toMatch(/^<\?xml/);
+    expect(svg).toMatch(/<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    expect(svg).toMatch(/<marker id="arrowStart"/);
+    expect(svg).toMatch(/<marker id="arrowEnd"/);
+    expect(svg.match(/marker-end="url\(#arrowEnd\)"/g)).toHaveLength(6);
+    expect(svg.trim().endsWith('</svg>')).toBe(true);
+  });
+});
@@ -0,0 +1,97 @@
+// materials.test.js - Custom material library, impeller mass and material cost
+const {
+  validateMaterial,
+  toMaterial,
+  toDraft,
+  materialKey,
+  saveMaterial,
+  deleteMaterial,
+  materialTradeoff
+} = require('../src/materialLibrary');
+const { impellerMass } = require('../src/mass');
+const { calculateResults, materials, DEFAULT_INPUTS, DEFAULT_UNITS, toEngineInputs, convertInputs } = require('../src/engine');
+const { validateInputs } = require('../src/validation');
+
+const DUPLEX = { name: 'Duplex Stainless', density: 7800, yield: 450, poisson: 0.3, youngs: 200, price: 6.5 };
+
+const numInputs = toEngineInputs(DEFAULT_INPUTS, DEFAULT_UNITS);
+const results = calculateResults(numInputs);
+
+describe('material library', () => {
+  test('validates every property of a draft', () => {
+    expect(validateMaterial(toDraft(DUPLEX))).toEqual({});
+    const errors = validateMaterial({ ...toDraft(DUPLEX), name: ' ', poisson: '0.7', price: 'cheap', yield: '' });
+    expect(Object.keys(errors).sort()).toEqual(['name', 'poisson', 'price', 'yield']);
+  });
+
+  test('round-trips between drafts and numeric materials', () => {
+    expect(toMaterial(toDraft(DUPLEX))).toEqual(DUPLEX);
+  });
+
+  test('derives unique keys that never shadow a built-in', () => {
+    expect(materialKey('Duplex Stainless', {})).toBe('Duplex_Stainless');
+    expect(materialKey('Duplex Stainless', { Duplex_Stainless: DUPLEX })).toBe('Duplex_Stainless_2');
+    expect(materialKey('Steel', {})).toBe('Steel_2');
+  });
+
+  test('adds, edits and deletes custom materials but not built-ins', () => {
+    const added = saveMaterial({}, undefined, DUPLEX);
+    expect(added.key).toBe('Duplex_Stainless');
+    const edited = saveMaterial(added.custom, added.key, { ...DUPLEX, price: 7 });
+    expect(edited.custom.Duplex_Stainless.price).toBe(7);
+    expect(Object.keys(edited.custom)).toHaveLength(1);
+    expect(deleteMaterial(edited.custom, added.key)).toEqual({});
+    expect(() => saveMaterial({}, 'Steel', DUPLEX)).toThrow('Built-in');
+  });
+
+  test('custom materials feed the stress check', () => {
+    const custom = calculateResults({ ...numInputs, material: 'Duplex' }, { ...materials, Duplex: DUPLEX });
+    expect(custom.safetyFactor).toBeCloseTo(results.safetyFactor * (450 / 250) * (7850 / 7800), 6);
+  });
+});
+
+describe('impeller mass', () => {
+  test('sums blades, backplate and shroud', () => {
+    const { massBlades_kg, massBackplate_kg, massShroud_kg, impellerMass_kg } = results;
+    expect(massBlades_kg).toBeGreaterThan(0);
+    expect(impellerMass_kg).toBeCloseTo(massBlades_kg + massBackplate_kg + massShroud_kg, 9);
+  });
+
+  test('scales with plate thickness and density', () => {
+    const geometry = { ...results, inletAngle: numInputs.inletAngle, outletAngle: numInputs.outletAngle };
+    const thin = impellerMass(geometry, materials.Steel, 3);
+    const thick = impellerMass(geometry, materials.Steel, 6);
+    const aluminium = impellerMass(geometry, materials.Aluminum_Alloy, 3);
+    expect(thick.impellerMass_kg).toBeCloseTo(thin.impellerMass_kg * 2, 9);
+    expect(aluminium.impellerMass_kg).toBeCloseTo(thin.impellerMass_kg * 2700 / 7850, 9);
+  });
+
+  test('prices the raw plate, which exceeds the finished mass', () => {
+    expect(results.rawMaterial_kg).toBeGreaterThan(results.impellerMass_kg);
+    expect(results.materialCost).toBeCloseTo(results.rawMaterial_kg * materials.Steel.price, 9);
+  });
+
+  test('reads plate thickness in the selected length unit', () => {
+    const imperial = convertInputs({ ...DEFAULT_INPUTS, plateThickness: '6' }, 'length', 'mm', 'inch');
+    const units = { ...DEFAULT_UNITS, length: 'inch' };
+    expect(validateInputs(imperial, units)).toEqual({});
+    expect(calculateResults(toEngineInputs(imperial, units)).plateThickness_mm).toBeCloseTo(6, 3);
+    expect(validateInputs({ ...DEFAULT_INPUTS, plateThickness: '80' }, DEFAULT_UNITS).plateThickness).toBeDefined();
+  });
+
+  test('defaults the plate thickness for designs saved without one', () => {
+    const { plateThickness, ...older } = numInputs;
+    expect(calculateResults(older).impellerMass_kg).toBeCloseTo(results.impellerMass_kg, 9);
+  });
+});
+
+describe('material trade-off', () => {
+  test('evaluates every library material cheapest first', () => {
+    const rows = materialTradeoff(results, numInputs, { ...materials, Duplex: DUPLEX });
+    expect(rows).toHaveLength(Object.keys(materials).length + 1);
+    rows.slice(1).forEach((row, i) => expect(row.materialCost).toBeGreaterThanOrEqual(rows[i].materialCost));
+    const steel = rows.find(row => row.key === 'Steel');
+    expect(steel.materialCost).toBeCloseTo(results.materialCost, 9);
+    expect(steel.safetyFactor).toBeCloseTo(results.safetyFactor, 9);
+  });
+});
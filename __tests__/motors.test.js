@@ -0,0 +1,59 @@
+// motors.test.js - Motor catalog and drive recommendation
+const { MOTOR_CATALOG, BELT_EFFICIENCY, sizePulleys, recommendMotor } = require('../src/motors');
+const { calculateResults, DEFAULT_INPUTS, DEFAULT_UNITS, toEngineInputs } = require('../src/engine');
+
+describe('catalog', () => {
+  test('covers IEC and NEMA motors at 2, 4 and 6 poles', () => {
+    ['IEC', 'NEMA'].forEach(standard => [2, 4, 6].forEach(poles => {
+      expect(MOTOR_CATALOG.some(m => m.standard === standard && m.poles === poles)).toBe(true);
+    }));
+    MOTOR_CATALOG.forEach(m => {
+      expect(m.ratedSpeed).toBeLessThan(m.syncSpeed);
+      expect(m.efficiency).toBeGreaterThan(0.7);
+      expect(m.frame).toBeTruthy();
+    });
+  });
+
+  test('uses 50 Hz synchronous speeds for IEC and 60 Hz for NEMA', () => {
+    expect(MOTOR_CATALOG.find(m => m.standard === 'IEC' && m.poles === 4).syncSpeed).toBe(1500);
+    expect(MOTOR_CATALOG.find(m => m.standard === 'NEMA' && m.poles === 4).syncSpeed).toBe(1800);
+  });
+});
+
+describe('recommendation', () => {
+  const results = calculateResults(toEngineInputs(DEFAULT_INPUTS, DEFAULT_UNITS));
+
+  test('picks the smallest motor covering brake power, belt loss and margin', () => {
+    const rec = recommendMotor(results.brakePowerHP, 1750, { standard: 'NEMA', margin: 0.15 });
+    const required = (results.brakePowerHP / BELT_EFFICIENCY) * 1.15;
+    expect(rec.required_HP).toBeCloseTo(required, 9);
+    expect(rec.motor.power_HP).toBeGreaterThanOrEqual(required);
+    const smaller = MOTOR_CATALOG.filter(m => m.standard === 'NEMA' && m.poles === rec.motor.poles && m.power_HP < rec.motor.power_HP);
+    smaller.forEach(m => expect(m.power_HP).toBeLessThan(required));
+  });
+
+  test('sizes belt pulleys to hold the design speed', () => {
+    const rec = recommendMotor(results.brakePowerHP, 1750, { standard: 'IEC' });
+    expect(rec.motor.poles).toBe(4);
+    expect(Math.abs(rec.speedDeviation)).toBeLessThanOrEqual(0.01);
+    expect(rec.motor.ratedSpeed / rec.pulleys.ratio).toBeCloseTo(rec.fanSpeed, 9);
+  });
+
+  test('runs direct drives at the nearest pole speed', () => {
+    const rec = recommendMotor(5, 2700, { standard: 'IEC', drive: 'direct' });
+    expect(rec.motor.poles).toBe(2);
+    expect(rec.fanSpeed).toBe(rec.motor.ratedSpeed);
+    expect(rec.speedDeviation).toBeGreaterThan(0.02);
+    expect(rec.pulleys).toBeNull();
+  });
+
+  test('returns null when no catalog motor is large enough', () => {
+    expect(recommendMotor(5000, 1750)).toBeNull();
+  });
+
+  test('falls back to the closest sheave pair for extreme ratios', () => {
+    const pulleys = sizePulleys(2900, 500);
+    expect(pulleys.ratio).toBeLessThanOrEqual(5);
+    expect(pulleys.motor_mm).toBeGreaterThanOrEqual(80);
+  });
+});
@@ -0,0 +1,76 @@
+// optimizer.test.js - Design search over speed, blade angle, blade type and material
+const { optimizeDesign, validateConstraints, ANGLE_RANGES, DEFAULT_CONSTRAINTS } = require('../src/optimizer');
+const { calculateResults, materials, DEFAULT_INPUTS, DEFAULT_UNITS, toEngineInputs } = require('../src/engine');
+
+const base = toEngineInputs(DEFAULT_INPUTS, DEFAULT_UNITS);
+const SMALL = { rpmMin: 1200, rpmMax: 3000, rpmSteps: 4 };
+
+describe('optimizer', () => {
+  test('evaluates the whole grid and ranks by the objective', () => {
+    const outcome = optimizeDesign(base, { objective: 'diameter', constraints: SMALL });
+    const angles = Object.keys(ANGLE_RANGES).reduce((n, type) => n + ANGLE_RANGES[type].length, 0);
+    expect(outcome.evaluated).toBe(4 * angles * Object.keys(materials).length);
+    const scores = outcome.shortlist.map(c => c.D2_mm);
+    expect(scores).toEqual([...scores].sort((a, b) => a - b));
+  });
+
+  test('shortlisted designs reproduce through calculateResults and meet the limits', () => {
+    const constraints = { ...SMALL, maxTipSpeed: 60, minSafetyFactor: 25 };
+    const { shortlist } = optimizeDesign(base, { objective: 'cost', constraints });
+    expect(shortlist.length).toBeGreaterThan(0);
+    shortlist.forEach(c => {
+      const results = calculateResults({ ...base, rpm: c.rpm, bladeType: c.bladeType, outletAngle: c.outletAngle, material: c.material });
+      expect(results.materialCost).toBeCloseTo(c.materialCost, 9);
+      expect(results.tipSpeedActual).toBeLessThanOrEqual(60);
+      expect(results.safetyFactor).toBeGreaterThanOrEqual(25);
+    });
+  });
+
+  test('offers one candidate per blade type and material', () => {
+    const { shortlist } = optimizeDesign(base, { objective: 'power', constraints: SMALL, limit: 20 });
+    const families = shortlist.map(c => `${c.bladeType}|${c.material}`);
+    expect(new Set(families).size).toBe(families.length);
+  });
+
+  test('checks motor load only against an entered rating', () => {
+    const tiny = optimizeDesign({ ...base, motorRating: 1 }, { constraints: SMALL });
+    expect(tiny.feasibleCount).toBe(0);
+    expect(tiny.rejected.motorLoad).toBe(tiny.evaluated);
+    const none = optimizeDesign({ ...base, motorRating: 0 }, { constraints: SMALL });
+    expect(none.rejected.motorLoad).toBe(0);
+  });
+
+  test('searches custom materials', () => {
+    const library = { ...materials, Balsa: { name: 'Balsa', density: 150, yield: 10, poisson: 0.3, youngs: 3, price: 0.5 } };
+    const { shortlist } = optimizeDesign(base, { objective: 'cost', constraints: { ...SMALL, minSafetyFactor: 1 }, materials: library });
+    expect(shortlist[0].material).toBe('Balsa');
+  });
+
+  test('rejects candidates that do not compute instead of shortlisting them', () => {
+    const outcome = optimizeDesign(base, { constraints: { rpmMin: 0, rpmMax: 0 } });
+    expect(outcome.feasibleCount).toBe(0);
+    expect(outcome.rejected.invalid).toBe(outcome.evaluated);
+    expect(outcome.shortlist).toEqual([]);
+  });
+});
+
+describe('limits', () => {
+  const form = Object.keys(DEFAULT_CONSTRAINTS)
+    .filter(key => key !== 'avoidResonance' && key !== 'rpmSteps')
+    .reduce((acc, key) => ({ ...acc, [key]: String(DEFAULT_CONSTRAINTS[key]) }), {});
+
+  test('accepts the defaults', () => {
+    expect(validateConstraints(form)).toEqual({});
+  });
+
+  test('needs a positive speed range and an ordered blade range of finite numbers', () => {
+    expect(validateConstraints({ ...form, rpmMin: '0', rpmMax: '0' }).rpmMin).toBe('Must be more than 0');
+    expect(validateConstraints({ ...form, rpmMin: '2000', rpmMax: '1000' }).rpmMax).toBe('Must be at least Min RPM');
+    expect(validateConstraints({ ...form, minBlades: '10', maxBlades: '8' }).maxBlades).toBe('Must be at least Min Blades');
+    expect(validateConstraints({ ...form, maxTipSpeed: 'Infinity', minSafetyFactor: 'abc', maxMotorLoad: '' })).toEqual({
+      maxTipSpeed: 'Must be a number',
+      minSafetyFactor: 'Must be a number',
+      maxMotorLoad: 'Required'
+    });
+  });
+});
@@ -0,0 +1,183 @@
+// project.test.js - Project file export, migration and import validation
+const {
+  PROJECT_FORMAT,
+  PROJECT_VERSION,
+  createProject,
+  serializeProject,
+  migrateProject,
+  parseProjects,
+  mergeProjectMaterials,
+  projectToHistoryItem,
+} = require('../src/project');
+const { calculateResults, DEFAULT_INPUTS, DEFAULT_UNITS, UNIT_PRESETS, toEngineInputs } = require('../src/engine');
+
+const RESIN = { name: 'Vinyl Ester', density: 1900, yield: 80, poisson: 0.35, youngs: 25, price: 6 };
+
+const exported = (overrides = {}) => createProject({
+  name: 'Dryer exhaust',
+  inputs: DEFAULT_INPUTS,
+  units: DEFAULT_UNITS,
+  results: calculateResults(toEngineInputs(DEFAULT_INPUTS, DEFAULT_UNITS)),
+  ...overrides
+});
+
+describe('export', () => {
+  test('writes the current format with engine results but no bulky geometry', () => {
+    const project = exported();
+    expect(project.format).toBe(PROJECT_FORMAT);
+    expect(project.version).toBe(PROJECT_VERSION);
+    expect(project.results.D2_mm).toBeGreaterThan(0);
+    expect(project.results.dxf).toBeUndefined();
+    expect(project.results.fanCurve).toBeUndefined();
+  });
+
+  test('round-trips through text', () => {
+    const [project] = parseProjects(serializeProject(exported()));
+    expect(project.name).toBe('Dryer exhaust');
+    expect(project.inputs).toEqual(DEFAULT_INPUTS);
+    expect(project.units).toEqual(DEFAULT_UNITS);
+  });
+
+  test('carries the duct system with the design', () => {
+    const ductSystem = [{ id: 1, kind: 'duct', shape: 'round', diameter_mm: 400, length_m: 12 }];
+    const [project] = parseProjects(serializeProject(exported({ ductSystem })));
+    expect(project.ductSystem).toEqual(ductSystem);
+    expect(projectToHistoryItem(project, 3).ductSystem).toEqual(ductSystem);
+    expect(() => parseProjects(JSON.stringify(exported({ ductSystem: [{ ...ductSystem[0], length_m: -1 }] }))))
+      .toThrow(/ductSystem\[0\]\.length_m/);
+  });
+});
+
+describe('migration', () => {
+  const legacy = {
+    id: 1700000000000,
+    timestamp: '11/14/2023, 10:13:20 PM',
+    inputs: { flowRate: '5000', staticPressure: '1000', rpm: '1750', motorRating: '10', temp: '70', altitude: '0',
+      bladeType: 'Backward', material: 'Steel', outletAngle: '35', inletAngle: '25', application: 'General' },
+    summary: { flow: 5000, pressure: 1000, power: 3.3, diameter: 539 }
+  };
+
+  test('upgrades a bare fanHistory record', () => {
+    const project = migrateProject(legacy);
+    expect(project.version).toBe(PROJECT_VERSION);
+    expect(project.units).toEqual(DEFAULT_UNITS);
+    expect(project.name).toBe(legacy.timestamp);
+  });
+
+  test('imports a whole fanHistory dump', () => {
+    const projects = parseProjects(JSON.stringify([legacy, { ...legacy, id: 2 }]));
+    expect(projects).toHaveLength(2);
+    expect(projects[0].inputs.bladeProfile).toBe(DEFAULT_INPUTS.bladeProfile);
+  });
+
+  test('refuses files from a newer app', () => {
+    expect(() => parseProjects(JSON.stringify({ ...exported(), version: PROJECT_VERSION + 1 }))).toThrow(/newer/);
+  });
+});
+
+describe('validation', () => {
+  test('rejects text that is not JSON or not a design', () => {
+    expect(() => parseProjects('{nope')).toThrow(/not valid JSON/);
+    expect(() => parseProjects('{"hello": 1}')).toThrow(/Not a FanDesign project/);
+  });
+
+  test('lists every problem', () => {
+    const bad = exported();
+    bad.units = { ...DEFAULT_UNITS, flow: 'gallons' };
+    bad.inputs = { ...bad.inputs, rpm: '', material: 'Unobtainium' };
+    let message = '';
+    try {
+      parseProjects(JSON.stringify(bad));
+    } catch (e) {
+      message = e.message;
+    }
+    expect(message).toMatch(/units\.flow/);
+    expect(message).toMatch(/inputs\.rpm: Required/);
+    expect(message).toMatch(/unknown material "Unobtainium"/);
+  });
+
+  test('does not take inherited object keys for materials', () => {
+    ['constructor', 'toString', '__proto__'].forEach(material => {
+      const project = exported({ inputs: { ...DEFAULT_INPUTS, material } });
+      expect(() => parseProjects(JSON.stringify(project))).toThrow(/unknown material/);
+    });
+  });
+
+  test('accepts custom materials embedded in the file', () => {
+    const project = exported({ inputs: { ...DEFAULT_INPUTS, material: 'Resin' }, materials: { Resin: RESIN } });
+    const [parsed] = parseProjects(JSON.stringify(project));
+    const item = projectToHistoryItem(parsed, 42);
+    expect(item.summary.diameter).toBeGreaterThan(0);
+    expect(item.inputs.material).toBe('Resin');
+  });
+
+  test('checks embedded material properties', () => {
+    const project = exported({ materials: { Resin: { ...RESIN, yield: 'strong' } } });
+    expect(() => parseProjects(JSON.stringify(project))).toThrow(/materials\.Resin\.yield/);
+  });
+
+  test('rejects embedded materials without a name or outside the editor ranges', () => {
+    const project = exported({ materials: { Blank: { density: 0, yield: 0, poisson: 0, youngs: 0, price: 0 } } });
+    let message = '';
+    try {
+      parseProjects(JSON.stringify(project));
+    } catch (e) {
+      message = e.message;
+    }
+    expect(message).toMatch(/materials\.Blank\.name: Required/);
+    expect(message).toMatch(/materials\.Blank\.density: Must be at least 100/);
+    expect(message).toMatch(/materials\.Blank\.youngs: Must be at least 0\.1/);
+  });
+
+  test('rejects unknown choices for enumerated inputs', () => {
+    const project = exported({
+      inputs: { ...DEFAULT_INPUTS, application: 'Kitchen', bladeType: 'Airfoil', bladeProfile: 'spline', voluteType: 'oval', gas: 'helium' }
+    });
+    let message = '';
+    try {
+      parseProjects(JSON.stringify(project));
+    } catch (e) {
+      message = e.message;
+    }
+    ['application', 'bladeType', 'bladeProfile', 'voluteType', 'gas'].forEach(key => {
+      expect(message).toMatch(new RegExp(`inputs\\.${key}: unknown value`));
+    });
+  });
+});
+
+describe('material merge', () => {
+  const imported = (materials, material) =>
+    parseProjects(JSON.stringify(exported({ inputs: { ...DEFAULT_INPUTS, material }, materials })));
+
+  test('adds new materials to the custom library', () => {
+    const { custom, projects } = mergeProjectMaterials(imported({ Resin: RESIN }, 'Resin'), {});
+    expect(custom).toEqual({ Resin: RESIN });
+    expect(projects[0].inputs.material).toBe('Resin');
+  });
+
+  test('keeps a custom material with the same key and renames the imported one', () => {
+    const mine = { ...RESIN, yield: 95 };
+    const { custom, projects } = mergeProjectMaterials(imported({ Resin: RESIN }, 'Resin'), { Resin: mine });
+    const key = projects[0].inputs.material;
+    expect(key).not.toBe('Resin');
+    expect(custom.Resin).toEqual(mine);
+    expect(custom[key]).toEqual(RESIN);
+    expect(projects[0].materials).toEqual({ [key]: RESIN });
+  });
+
+  test('reuses an identical material and never shadows a built-in', () => {
+    expect(mergeProjectMaterials(imported({ Resin: RESIN }, 'Resin'), { Resin: RESIN }).projects[0].inputs.material).toBe('Resin');
+    const { custom, projects } = mergeProjectMaterials(imported({ Steel: { ...RESIN, name: 'Soft Steel' } }, 'Steel'), {});
+    expect(projects[0].inputs.material).toBe('Soft_Steel');
+    expect(custom.Steel).toBeUndefined();
+  });
+});
+
+describe('history items', () => {
+  test('summarise in engine units whatever the file units', () => {
+    const project = exported({ units: UNIT_PRESETS.SI, inputs: { ...DEFAULT_INPUTS, flowRate: '8495', staticPressure: '1' } });
+    const item = projectToHistoryItem(parseProjects(JSON.stringify(project))[0], 7);
+    expect(item.summary.flow).toBeCloseTo(5000, 0);
+    expect(item.summary.pressure).toBeCloseTo(1000, 6);
+  });
+});
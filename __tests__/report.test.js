@@ -0,0 +1,70 @@
+// report.test.js - Customer datasheet HTML
+const { buildDatasheetHtml, escapeHtml } = require('../src/report');
+const { calculateResults, materials, DEFAULT_INPUTS, DEFAULT_UNITS, UNIT_PRESETS, toEngineInputs } = require('../src/engine');
+const { designChecks } = require('../src/validation');
+const { buildImpellerDrawing } = require('../src/impellerDrawing');
+
+const numInputs = toEngineInputs(DEFAULT_INPUTS, DEFAULT_UNITS);
+const results = calculateResults(numInputs);
+
+const datasheet = (overrides = {}) => buildDatasheetHtml({
+  results,
+  inputs: numInputs,
+  units: DEFAULT_UNITS,
+  material: materials[numInputs.material],
+  checks: designChecks(results, { bladeType: numInputs.bladeType }),
+  cover: { company: 'Acme Air', projectRef: 'Q-117', revision: 'B' },
+  ...overrides
+});
+
+describe('datasheet', () => {
+  test('is a self-contained document with cover fields', () => {
+    const html = datasheet();
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('Acme Air');
+    expect(html).toContain('Q-117');
+    expect(html).not.toMatch(/<(link|script)\b|src="http/);
+  });
+
+  test('lists duty point, dimensions, performance and mechanical values', () => {
+    const html = datasheet();
+    expect(html).toContain(results.airDensitySI.toFixed(3));
+    expect(html).toContain(results.D2_mm.toFixed(2));
+    expect(html).toContain(`<td>${results.bladeCountFinal}</td>`);
+    expect(html).toContain((results.effStatic * 100).toFixed(1));
+    expect(html).toContain(results.brakePowerHP.toFixed(2));
+    expect(html).toContain(results.safetyFactor.toFixed(2));
+    expect(html).toContain(`<td>${results.shaftDiaStd.toFixed(2)} mm</td>`);
+    expect(html).toContain(results.torqueNm.toFixed(1));
+  });
+
+  test('embeds the dimensioned impeller drawing', () => {
+    const html = datasheet({ units: UNIT_PRESETS.Imperial });
+    const drawing = buildImpellerDrawing(results, numInputs, UNIT_PRESETS.Imperial);
+    drawing.items.filter(i => i.style === 'blade').forEach(blade => expect(html).toContain(`d="${blade.d}"`));
+    drawing.items.filter(i => i.type === 'dimension').forEach(dim => expect(html).toContain(dim.label));
+    expect(html).not.toContain('<?xml');
+  });
+
+  test('shows values in the selected units', () => {
+    const html = datasheet({ units: UNIT_PRESETS.SI });
+    expect(html).toContain('m³/hr');
+    expect(html).toContain('kW');
+    const imperial = datasheet({ units: UNIT_PRESETS.Imperial });
+    expect(imperial).toContain(`<tr><th>Shaft Diameter</th><td>${(results.shaftDiaStd * 0.0393701).toFixed(2)} inch</td></tr>`);
+  });
+
+  test('includes warnings and escapes user text', () => {
+    const html = datasheet({
+      checks: [{ severity: 'warning', title: 'Tip speed', message: 'Above 200 m/s' }],
+      cover: { company: '<b>R&D</b>' }
+    });
+    expect(html).toContain('Above 200 m/s');
+    expect(html).toContain('&lt;b&gt;R&amp;D&lt;/b&gt;');
+    expect(escapeHtml('"x"')).toBe('&quot;x&quot;');
+  });
+
+  test('reports a clean design when there are no checks', () => {
+    expect(datasheet({ checks: [] })).toContain('All design checks passed.');
+  });
+});
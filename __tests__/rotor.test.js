@@ -0,0 +1,73 @@
+// rotor.test.js - Shaft critical speed, blade natural frequency and resonance checks
+const { shaftCriticalSpeed, bladeNaturalFrequency, defaultBearingSpan, rotorDynamics } = require('../src/rotor');
+const { calculateResults, materials, DEFAULT_INPUTS, DEFAULT_UNITS, toEngineInputs } = require('../src/engine');
+const { designChecks } = require('../src/validation');
+
+const numInputs = toEngineInputs(DEFAULT_INPUTS, DEFAULT_UNITS);
+const results = calculateResults(numInputs);
+
+describe('shaft critical speed', () => {
+  test('matches the Rayleigh hand calculation', () => {
+    // 40 mm shaft, 500 mm span, 50 kg disc: k = 48EI/L³, I = πd⁴/64
+    const k = (48 * 200e9 * Math.PI * Math.pow(0.04, 4) / 64) / Math.pow(0.5, 3);
+    const shaftMass = 7850 * Math.PI / 4 * 0.04 * 0.04 * 0.5;
+    const expected = Math.sqrt(k / (50 + shaftMass * 17 / 35)) * 60 / (2 * Math.PI);
+    expect(shaftCriticalSpeed({ shaftDia_mm: 40, bearingSpan_mm: 500, rotorMass_kg: 50 })).toBeCloseTo(expected, 6);
+  });
+
+  test('drops with a longer span and a heavier impeller', () => {
+    const base = shaftCriticalSpeed({ shaftDia_mm: 40, bearingSpan_mm: 500, rotorMass_kg: 50 });
+    expect(shaftCriticalSpeed({ shaftDia_mm: 40, bearingSpan_mm: 800, rotorMass_kg: 50 })).toBeLessThan(base);
+    expect(shaftCriticalSpeed({ shaftDia_mm: 40, bearingSpan_mm: 500, rotorMass_kg: 100 })).toBeLessThan(base);
+  });
+});
+
+describe('blade natural frequency', () => {
+  test('scales with thickness over length squared and with stiffness', () => {
+    const f = bladeNaturalFrequency({ length_mm: 200, thickness_mm: 3, mat: materials.Steel });
+    expect(bladeNaturalFrequency({ length_mm: 200, thickness_mm: 6, mat: materials.Steel })).toBeCloseTo(2 * f, 9);
+    expect(bladeNaturalFrequency({ length_mm: 400, thickness_mm: 3, mat: materials.Steel })).toBeCloseTo(f / 4, 9);
+    expect(bladeNaturalFrequency({ length_mm: 200, thickness_mm: 3, mat: materials.Plastic })).toBeLessThan(f);
+  });
+
+  test('takes the blade width off the backplate as the free length', () => {
+    const width = Math.max(results.b1_mm, results.b2_mm);
+    expect(results.rotor.bladeFreq_hz).toBeCloseTo(
+      bladeNaturalFrequency({ length_mm: width, thickness_mm: results.plateThickness_mm, mat: materials.Steel }), 9
+    );
+  });
+});
+
+describe('rotor dynamics', () => {
+  test('is part of the results with an estimated bearing span', () => {
+    expect(results.rotor.bearingSpan_mm).toBeCloseTo(defaultBearingSpan(results.D2_mm), 9);
+    expect(results.rotor.bpf_hz).toBeCloseTo((numInputs.rpm / 60) * results.bladeCountFinal, 9);
+    expect(results.rotor.resonances).toHaveLength(4);
+  });
+
+  test('uses an entered bearing span in the selected length unit', () => {
+    const units = { ...DEFAULT_UNITS, length: 'inch' };
+    const r = calculateResults(toEngineInputs({ ...DEFAULT_INPUTS, bearingSpan: '20' }, units));
+    expect(r.rotor.bearingSpan_mm).toBeCloseTo(508, 2);
+  });
+
+  test('flags a critical speed close to the running speed', () => {
+    const rotor = rotorDynamics({
+      rpm: 1750,
+      bearingSpan: 0,
+      mat: materials.Steel,
+      results: { ...results, impellerMass_kg: results.impellerMass_kg * Math.pow(results.rotor.criticalSpeed_rpm / 1750, 2) }
+    });
+    const shaftRunning = rotor.resonances.find(r => r.natural === 'Shaft critical speed' && r.excitation === 'running speed');
+    expect(shaftRunning.status).toBe('RESONANT');
+
+    const checks = designChecks({ ...results, rotor });
+    expect(checks.some(c => c.severity === 'error' && c.title === 'Vibration')).toBe(true);
+  });
+
+  test('notes a shaft running above its critical speed', () => {
+    const long = calculateResults({ ...numInputs, bearingSpan: 3000 });
+    expect(long.rotor.flexibleShaft).toBe(true);
+    expect(designChecks(long).some(c => c.title === 'Vibration' && c.message.includes('start-up'))).toBe(true);
+  });
+});
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// fan-batch.js - Size a list of duty points from the command line
+//
+//   node bin/fan-batch.js duty.csv [--out results.csv] [--format csv|json] [--units SI|Imperial]
+//
+// Input is CSV (header row of field names) or JSON (array of duty points), detected from the
+// file extension. Fields left out take the app defaults. --units selects the unit preset for
+// both the input values and the results; without it the app's default units are used.
+const fs = require('fs');
+const path = require('path');
+const { UNIT_PRESETS, DEFAULT_UNITS } = require('../src/units');
+const { evaluateDutyPoints, resultTable, parseCsv, parseJson, toCsv, toJson } = require('../src/batch');
+
+const USAGE = 'Usage: fan-batch <input.csv|input.json> [--out file] [--format csv|json] [--units SI|Imperial]';
+
+const parseArgs = (argv) => {
+  const args = { input: null, out: null, format: null, units: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out' || arg === '-o') args.out = argv[++i];
+    else if (arg === '--format' || arg === '-f') args.format = argv[++i];
+    else if (arg === '--units' || arg === '-u') args.units = argv[++i];
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (!args.input) args.input = arg;
+    else throw new Error(`Unexpected argument "${arg}"`);
+  }
+  return args;
+};
+
+const isJsonFile = (file) => path.extname(file || '').toLowerCase() === '.json';
+
+// Returns the process exit code: 0 when every duty point calculated, 1 when some rows failed
+const run = (argv, io = { read: fs.readFileSync, write: fs.writeFileSync, stdout: process.stdout }) => {
+  const args = parseArgs(argv);
+  if (args.help || !args.input) {
+    io.stdout.write(`${USAGE}\n`);
+    return args.help ? 0 : 2;
+  }
+  if (args.units && !UNIT_PRESETS[args.units]) throw new Error(`Unknown unit preset "${args.units}"`);
+  const units = args.units ? UNIT_PRESETS[args.units] : DEFAULT_UNITS;
+
+  const text = io.read(args.input, 'utf8');
+  const records = isJsonFile(args.input) ? parseJson(text) : parseCsv(text);
+  const rows = evaluateDutyPoints(records, units);
+  const table = resultTable(rows, units);
+
+  const format = args.format || (isJsonFile(args.out) ? 'json' : 'csv');
+  if (format !== 'csv' && format !== 'json') throw new Error(`Unknown format "${format}"`);
+  const output = format === 'json' ? toJson(table, units) : toCsv(table);
+
+  if (args.out) io.write(args.out, output, 'utf8');
+  else io.stdout.write(output);
+  return rows.some(row => row.error) ? 1 : 0;
+};
+
+if (require.main === module) {
+  try {
+    process.exitCode = run(process.argv.slice(2));
+  } catch (e) {
+    process.stderr.write(`fan-batch: ${e.message}\n`);
+    process.exitCode = 2;
+  }
+}
+
+module.exports = { run, parseArgs };
@@ -15,134 +15,50 @@ import {
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import Clipboard from '@react-native-clipboard/clipboard';
 import {
-  Svg,
-  Circle,
-  Path,
-  Line,
-  Rect,
-  G,
-  Text as SvgText,
-  Defs,
-  Marker,
-} from 'react-native-svg';
-
-// --- DATA: APPLICATION PROFILES ---
-const APP_PROFILES = {
-  General: { label: "General Ventilation", desc: "Balanced flow and pressure.", bladeType: "Backward", recOutlet: 35, recInlet: 25 },
-  'High Pressure': { label: "High Pressure Blower", desc: "Narrow impeller.", bladeType: "Radial", recOutlet: 90, recInlet: 35 },
-  'High Flow': { label: "High Suction / Flow", desc: "Wide impeller.", bladeType: "Forward", recOutlet: 145, recInlet: 20 },
-  Transport: { label: "High Velocity / Transport", desc: "Rugged design.", bladeType: "Radial", recOutlet: 90, recInlet: 45 }
-};
-
-// --- MATERIALS ---
-const materials = {
-  Steel: { density: 7850, yield: 250, poisson: 0.3, youngs: 200, price: 1.5, name: "Carbon Steel" },
-  Aluminum_Alloy: { density: 2700, yield: 150, poisson: 0.33, youngs: 70, price: 3.2, name: "Aluminum Alloy" },
-  Cast_Iron: { density: 7200, yield: 200, poisson: 0.27, youngs: 100, price: 1.2, name: "Cast Iron" },
-  FRP: { density: 1800, yield: 60, poisson: 0.35, youngs: 20, price: 4.5, name: "Fiberglass (FRP)" },
-  Plastic: { density: 1400, yield: 40, poisson: 0.4, youngs: 2, price: 0.8, name: "ABS Plastic" }
-};
-
-// --- UNIT CONVERSION FACTORS ---
-const UNIT_DATA = {
-  flow: { base: "CFM", units: { "CFM": 1, "m³/hr": 1.69901, "L/s": 0.471947 } },
-  pressure: { base: "Pa", units: { "Pa": 1, "kPa": 0.001, "psi": 0.000145038, "in. wg": 0.00401463 } },
-  power: { base: "kW", units: { "kW": 1, "HP": 1.341, "W": 1000 } },
-  length: { base: "mm", units: { "mm": 1, "cm": 0.1, "inch": 0.0393701, "ft": 0.00328084 } },
-  temperature: { base: "°C", units: ["°C", "°F", "K"] }
-};
-
-// --- CORE CALCULATION FUNCTION (IDENTICAL LOGIC) ---
-const calculateResults = (inputs) => {
-  const flowRate = Number(inputs.flowRate) || 0;
-  const staticPressure = Number(inputs.staticPressure) || 0;
-  const rpm = Number(inputs.rpm) || 0;
-  const motorRating = Number(inputs.motorRating) || 0;
-  const temp = Number(inputs.temp) || 0;
-  const altitude = Number(inputs.altitude) || 0;
-  const outletAngle = Number(inputs.outletAngle) || 0;
-  const inletAngle = Number(inputs.inletAngle) || 0;
-
-  // Air properties
-  const airDensityUS = 0.075 * (530 / (460 + temp)) * Math.pow((1 - 0.0000068756 * altitude), 5.2559);
-  const airDensitySI = airDensityUS * 16.0185;
-  const altitudeWarning = altitude > 5000 ? "High altitude warning" : "OK";
-
-  // Unit conversions
-  const Q_si = flowRate * 0.000471947; // m³/s
-  const P_inwg = staticPressure / 249.088;
-
-  // Specific speed
-  const Ns_US = (rpm * Math.sqrt(flowRate)) / (Math.pow(P_inwg, 0.75) || 0.001);
-  let bladeRecommendation = "Backward Curved";
-  if (Ns_US < 5000) bladeRecommendation = "Radial";
-  else if (Ns_US > 30000) bladeRecommendation = "Forward";
-
-  // Efficiency & tip speed
-  const psi = 0.0133 * outletAngle + 0.4;
-  const effStatic = Math.max(0.3, 0.52 + 0.12 * Math.log10(flowRate || 1) - Math.abs(outletAngle - 40) * 0.002);
-  const tipSpeedActual = Math.sqrt((2 * staticPressure) / (airDensitySI * psi * effStatic)) * 1.1;
-  const tipSpeedCheck = tipSpeedActual > 200 ? "Tip speed too high!" : "OK";
-
-  // Dimensions (mm)
-  const D2_m = (tipSpeedActual * 60) / (Math.PI * rpm);
-  const D2_mm = D2_m * 1000;
-  const D1_mm = D2_mm * 0.5;
-  const D_hub_mm = D1_mm * 0.4;
-  const b2_mm = (Q_si / (Math.PI * D2_m * (0.25 * tipSpeedActual))) * 1000;
-  const b1_mm = b2_mm * (D2_mm / D1_mm);
-
-  // Blade count
-  const beta2Rad = (outletAngle * Math.PI) / 180;
-  const bladeCountCalc = (D2_m - D1_m) > 0 ? 8.5 * Math.sin(beta2Rad) * (D2_m / (D2_m - D1_m)) : 10;
-  const bladeCountFinal = Math.max(6, Math.min(12, Math.round(bladeCountCalc)));
-
-  // Stress
-  const mat = materials[inputs.material];
-  const sigma_c = (mat.density * Math.pow(tipSpeedActual, 2) * (1 + mat.poisson)) / 3;
-  const sigma_total_mpa = sigma_c / 1e6;
-  const safetyFactor = mat.yield / sigma_total_mpa;
-  const stressStatus = safetyFactor > 2 ? "SAFE" : safetyFactor > 1.5 ? "ACCEPTABLE" : "UNSAFE";
-
-  // Power
-  const airPowerHP = (flowRate * P_inwg) / 6356;
-  const brakePowerHP = airPowerHP / effStatic;
-  const motorLoadPct = motorRating > 0 ? (brakePowerHP / motorRating) * 100 : 0;
-  const motorCheck = motorLoadPct > 100 ? "OVERLOADED" : motorLoadPct > 85 ? "High Load" : "OK";
-
-  // Shaft
-  const torqueNm = (brakePowerHP * 0.7457 * 9550) / (rpm || 1);
-  const shaftDiaStd = Math.max(20, Math.round(Math.pow((16 * torqueNm * 1.5) / (Math.PI * 40e6), 1 / 3) * 1000));
-
-  // CAD Script (simplified)
-  const cadScript = `; Fan Design\nCIRCLE 0,0 ${D2_mm.toFixed(0)}\nCIRCLE 0,0 ${D1_mm.toFixed(0)}\n; Blades: ${bladeCountFinal}`;
-
-  return {
-    airDensityUS,
-    airDensitySI,
-    altitudeWarning,
-    Ns_US,
-    bladeRecommendation,
-    effStatic,
-    tipSpeedActual,
-    tipSpeedCheck,
-    D2_mm,
-    D1_mm,
-    b2_mm,
-    b1_mm,
-    D_hub_mm,
-    bladeCountFinal,
-    sigma_total_mpa,
-    safetyFactor,
-    stressStatus,
-    brakePowerHP,
-    motorLoadPct,
-    motorCheck,
-    shaftDiaStd,
-    torqueNm,
-    cadScript
-  };
-};
+  APP_PROFILES,
+  BLADE_TYPES,
+  materials,
+  DEFAULT_INPUTS,
+  calculateResults,
+  UNIT_PRESETS,
+  QUANTITY_LABELS,
+  normalizeUnits,
+  unitOptions,
+  convertInputs,
+  toEngineInputs,
+  fromEngine,
+  roundForInput,
+  convertSystemK,
+  ENGINE_UNITS,
+} from './src/engine';
+import { findOperatingPoint, systemKThrough } from './src/fanCurve';
+import { BLADE_PROFILES } from './src/dxf';
+import { GASES, gasConditions } from './src/gas';
+import FanCurveChart from './src/components/FanCurveChart';
+import { scalingBase } from './src/scaling';
+import ScaleDesignPanel from './src/components/ScaleDesignPanel';
+import { shareTextFile, shareHtmlAsPdf } from './src/shareFile';
+import { VOLUTE_TYPES } from './src/volute';
+import CasingSketch from './src/components/CasingSketch';
+import { validateInputs, designChecks } from './src/validation';
+import WarningsPanel from './src/components/WarningsPanel';
+import { addToHistory, renameItem, togglePin, deleteItem, displayName } from './src/history';
+import HistoryBrowser from './src/components/HistoryBrowser';
+import { createProject, serializeProject, parseProjects, mergeProjectMaterials, projectToHistoryItem } from './src/project';
+import ProjectPanel from './src/components/ProjectPanel';
+import { buildDatasheetHtml } from './src/report';
+import ReportPanel from './src/components/ReportPanel';
+import { saveMaterial, deleteMaterial, materialTradeoff } from './src/materialLibrary';
+import MaterialEditor from './src/components/MaterialEditor';
+import CampbellChart from './src/components/CampbellChart';
+import OctaveBandChart from './src/components/OctaveBandChart';
+import MotorPanel from './src/components/MotorPanel';
+import OptimizerPanel from './src/components/OptimizerPanel';
+import DuctSystemPanel from './src/components/DuctSystemPanel';
+import { buildImpellerDrawing, drawingToSvg } from './src/impellerDrawing';
+import ImpellerDrawing from './src/components/ImpellerDrawing';
+import { DEFAULT_ENERGY_SETTINGS } from './src/energy';
+import EnergyPanel from './src/components/EnergyPanel';
 
 // --- COMPONENTS ---
 const ResultCard = ({ title, value, unit, status }) => {
@@ -158,18 +74,19 @@ const ResultCard = ({ title, value, unit, status }) => {
   );
 };
 
-const InputRow = ({ label, value, onChange, unit, suggestion, onSuggest }) => (
+const InputRow = ({ label, value, onChange, unit, suggestion, onSuggest, error }) => (
   <View style={styles.inputRow}>
     <Text style={styles.label}>{label}</Text>
     <View style={{ flexDirection: 'row', alignItems: 'center' }}>
       <TextInput
-        style={styles.input}
+        style={[styles.input, error && styles.inputError]}
         value={String(value)}
         onChangeText={onChange}
         keyboardType="numeric"
       />
       {unit && <Text style={styles.unit}>{unit}</Text>}
     </View>
+    {error && <Text style={styles.errorText}>{error}</Text>}
     {suggestion !== undefined && (
       <TouchableOpacity onPress={() => onSuggest(suggestion)}>
         <Text style={styles.suggestion}>Sugg: {suggestion}°</Text>
@@ -180,24 +97,26 @@ const InputRow = ({ label, value, onChange, unit, suggestion, onSuggest }) => (
 
 // --- MAIN APP ---
 const App = () => {
-  const [inputs, setInputs] = useState({
-    flowRate: '5000',
-    staticPressure: '1000',
-    rpm: '1750',
-    motorRating: '10',
-    temp: '70',
-    altitude: '0',
-    bladeType: 'Backward',
-    material: 'Steel',
-    outletAngle: '35',
-    inletAngle: '25',
-    application: 'General'
-  });
+  const [inputs, setInputs] = useState({ ...DEFAULT_INPUTS });
 
   const [results, setResults] = useState(null);
+  const [resultInputs, setResultInputs] = useState(null); // engine-unit inputs behind `results`
+  const [resultForm, setResultForm] = useState(null); // form values (in `resultUnits`) behind `results`
+  const [resultUnits, setResultUnits] = useState(null); // unit selection `resultForm` was entered in
+  const [scaleSource, setScaleSource] = useState(null);
   const [history, setHistory] = useState([]);
+  const [units, setUnits] = useState(normalizeUnits());
+  const [customMaterials, setCustomMaterials] = useState({});
+  const [editingMaterials, setEditingMaterials] = useState(false);
+  const [optimizing, setOptimizing] = useState(false);
+  const [ductSystem, setDuctSystem] = useState([]); // components (mm, m) behind the static pressure
+  const [buildingDucts, setBuildingDucts] = useState(false);
+  const [reportCover, setReportCover] = useState({ company: '', projectRef: '', revision: '' });
+  const [energySettings, setEnergySettings] = useState(DEFAULT_ENERGY_SETTINGS);
+
+  const materialLibrary = useMemo(() => ({ ...materials, ...customMaterials }), [customMaterials]);
 
-  // Load history on start
+  // Load history and unit selection on start
   useEffect(() => {
     const loadHistory = async () => {
       try {
@@ -207,7 +126,43 @@ const App = () => {
         console.warn('Failed to load history');
       }
     };
+    const loadUnits = async () => {
+      try {
+        const saved = await AsyncStorage.getItem('fanUnits');
+        if (saved) applyUnits(normalizeUnits(JSON.parse(saved)), false);
+      } catch (e) {
+        console.warn('Failed to load units');
+      }
+    };
+    const loadMaterials = async () => {
+      try {
+        const saved = await AsyncStorage.getItem('fanMaterials');
+        if (saved) setCustomMaterials(JSON.parse(saved));
+      } catch (e) {
+        console.warn('Failed to load materials');
+      }
+    };
+    const loadReportCover = async () => {
+      try {
+        const saved = await AsyncStorage.getItem('fanReportCover');
+        if (saved) setReportCover(JSON.parse(saved));
+      } catch (e) {
+        console.warn('Failed to load report cover');
+      }
+    };
+    const loadEnergySettings = async () => {
+      try {
+        const saved = await AsyncStorage.getItem('fanEnergySettings');
+        if (saved) setEnergySettings({ ...DEFAULT_ENERGY_SETTINGS, ...JSON.parse(saved) });
+      } catch (e) {
+        console.warn('Failed to load energy settings');
+      }
+    };
     loadHistory();
+    loadUnits();
+    loadMaterials();
+    loadReportCover();
+    loadEnergySettings();
   }, []);
 
   const saveHistory = async (newHistory) => {
@@ -218,6 +173,48 @@ const App = () => {
     }
   };
 
+  const saveMaterials = async (newMaterials) => {
+    try {
+      await AsyncStorage.setItem('fanMaterials', JSON.stringify(newMaterials));
+    } catch (e) {
+      console.warn('Failed to save materials');
+    }
+  };
+
+  const updateEnergySettings = async (newSettings) => {
+    setEnergySettings(newSettings);
+    try {
+      await AsyncStorage.setItem('fanEnergySettings', JSON.stringify(newSettings));
+    } catch (e) {
+      console.warn('Failed to save energy settings');
+    }
+  };
+
+  const saveUnits = async (newUnits) => {
+    try {
+      await AsyncStorage.setItem('fanUnits', JSON.stringify(newUnits));
+    } catch (e) {
+      console.warn('Failed to save units');
+    }
+  };
+
+  // Switch to a new unit selection, converting whatever is already typed in the form
+  const applyUnits = (newUnits, persist = true) => {
+    setInputs(prev => Object.keys(newUnits).reduce(
+      (acc, quantity) => convertInputs(acc, quantity, units[quantity], newUnits[quantity]),
+      prev
+    ));
+    setUnits(newUnits);
+    if (persist) saveUnits(newUnits);
+  };
+
+  const selectUnit = (quantity, unit) => applyUnits({ ...units, [quantity]: unit });
+
+  const applyPreset = (preset) => applyUnits({ ...UNIT_PRESETS[preset] });
+
+  // Engine result -> display value in the selected unit
+  const show = (quantity, value) => fromEngine(quantity, value, units);
+
   const handleInput = (key, value) => {
     setInputs(prev => ({ ...prev, [key]: value }));
   };
@@ -243,48 +240,270 @@ const App = () => {
     }));
   };
 
-  const handleCalculate = () => {
-    const numInputs = {};
-    for (let key in inputs) {
-      numInputs[key] = key.includes('Angle') || key === 'temp' || key === 'altitude'
-        ? inputs[key]
-        : parseFloat(inputs[key]);
-    }
-    const newResults = calculateResults(numInputs);
+  // Operating point against the entered system curve; follows k edits without recalculating
+  const operating = useMemo(() => {
+    if (!results || !results.fanCurve) return null;
+    const k = toEngineInputs(inputs, units).systemK;
+    return findOperatingPoint(results.fanCurve, k);
+  }, [results, inputs, units]);
+
+  // Set k so the system curve passes through the current duty point
+  const systemThroughDuty = () => {
+    const numInputs = toEngineInputs(inputs, units);
+    const kEngine = systemKThrough(gasConditions(numInputs).actualFlow, numInputs.staticPressure);
+    const kDisplay = ['pressure', 'flow'].reduce(
+      (acc, quantity) => convertSystemK(acc, quantity, ENGINE_UNITS[quantity], units[quantity]),
+      kEngine
+    );
+    handleInput('systemK', roundForInput(kDisplay));
+  };
+
+  // Duty the duct builder sizes against: current actual flow and gas density from the form
+  const ductDuty = useMemo(() => {
+    const gas = gasConditions(toEngineInputs(inputs, units));
+    return { flowCFM: gas.actualFlow, density: gas.airDensitySI };
+  }, [inputs, units]);
+
+  const applyDuctPressure = (pressurePa) => {
+    handleInput('staticPressure', roundForInput(show('pressure', pressurePa)));
+  };
+
+  const errors = useMemo(() => validateInputs(inputs, units), [inputs, units]);
+  const isValid = Object.keys(errors).length === 0;
+
+  const tradeoff = useMemo(
+    () => (results ? materialTradeoff(results, resultInputs, materialLibrary) : []),
+    [results, resultInputs, materialLibrary]
+  );
+
+  const checks = useMemo(
+    () => designChecks(results, { bladeType: resultInputs && resultInputs.bladeType, operating, units }),
+    [results, resultInputs, operating, units]
+  );
+
+  const runCalculation = (formInputs, library = materialLibrary) => {
+    const numInputs = toEngineInputs(formInputs, units);
+    const newResults = calculateResults(numInputs, library);
     setResults(newResults);
+    setResultInputs(numInputs);
+    setResultForm({ ...formInputs });
+    setResultUnits({ ...units });
+    return { numInputs, newResults };
+  };
+
+  // Casing type and blade profile only shape the drawings, so the shown design is redrawn at once
+  // rather than left out of step with the selection until the next Calculate
+  const selectDrawingOption = (key, value) => {
+    handleInput(key, value);
+    if (!results) return;
+    const numInputs = { ...resultInputs, [key]: value };
+    setResults(calculateResults(numInputs, materialLibrary));
+    setResultInputs(numInputs);
+    setResultForm({ ...resultForm, [key]: value });
+  };
+
+  const updateHistory = (newHistory) => {
+    setHistory(newHistory);
+    saveHistory(newHistory);
+  };
+
+  const handleCalculate = () => {
+    if (!isValid) return;
+    const { numInputs, newResults } = runCalculation(inputs);
 
     const item = {
       id: Date.now(),
       timestamp: new Date().toLocaleString(),
       inputs: { ...inputs },
+      units: { ...units },
+      ductSystem,
       summary: {
-        flow: parseFloat(inputs.flowRate),
-        pressure: parseFloat(inputs.staticPressure),
+        flow: numInputs.flowRate,
+        pressure: numInputs.staticPressure,
         power: newResults.brakePowerHP,
         diameter: newResults.D2_mm
       }
     };
-    const newHistory = [item, ...history.slice(0, 19)]; // Keep last 20
-    setHistory(newHistory);
-    saveHistory(newHistory);
+    updateHistory(addToHistory(history, item));
   };
 
-  const shareScript = async () => {
+  // Reopen a saved design in the current units and recalculate it without adding a new entry
+  const loadHistoryItem = (item, library = materialLibrary) => {
+    const itemUnits = normalizeUnits(item.units);
+    const formInputs = Object.keys(units).reduce(
+      (acc, quantity) => convertInputs(acc, quantity, itemUnits[quantity], units[quantity]),
+      { ...DEFAULT_INPUTS, ...item.inputs }
+    );
+    setInputs(formInputs);
+    setDuctSystem(item.ductSystem || []);
+    if (Object.keys(validateInputs(formInputs, units)).length > 0) {
+      setResults(null);
+      Alert.alert('Loaded with errors', 'Fix the highlighted inputs, then calculate.');
+      return;
+    }
+    runCalculation(formInputs, library);
+  };
+
+  const exportProject = async () => {
     if (!results) return;
+    const custom = customMaterials[resultInputs.material];
+    const project = createProject({
+      name: `${APP_PROFILES[resultForm.application] ? APP_PROFILES[resultForm.application].label : 'Fan'} ${Math.round(results.D2_mm)} mm`,
+      inputs: resultForm,
+      units: resultUnits,
+      results,
+      materials: custom ? { [resultInputs.material]: custom } : {},
+      ductSystem
+    });
+    try {
+      await shareTextFile(`fan-design-${Date.now()}.fanproj.json`, serializeProject(project), 'Fan Design Project');
+    } catch (e) {
+      Alert.alert('Error', 'Could not share project');
+    }
+  };
+
+  // Adds every design in the file to history and opens the first one
+  const importProjects = (text) => {
+    let parsed;
     try {
-      await Share.share({
-        title: 'Fan Design CAD Script',
-        message: results.cadScript
-      });
+      parsed = parseProjects(text, materialLibrary);
     } catch (e) {
-      Alert.alert('Error', 'Could not share script');
+      Alert.alert('Import failed', e.message);
+      return false;
+    }
+
+    // Materials in the file never replace the user's; clashing keys are renamed
+    const { custom: newCustom, projects } = mergeProjectMaterials(parsed, customMaterials);
+    const library = { ...materials, ...newCustom };
+    if (Object.keys(newCustom).length > Object.keys(customMaterials).length) {
+      setCustomMaterials(newCustom);
+      saveMaterials(newCustom);
+    }
+
+    const now = Date.now();
+    const items = projects.map((project, i) => projectToHistoryItem(project, now + i, library));
+    updateHistory(items.reduceRight((acc, item) => addToHistory(acc, item), history));
+    loadHistoryItem(items[0], library);
+    Alert.alert('Imported', `${items.length} design${items.length > 1 ? 's' : ''} added to history.`);
+    return true;
+  };
+
+  // Custom materials; the open design is recalculated when its material changes
+  const saveCustomMaterial = (key, material) => {
+    const { custom, key: savedKey } = saveMaterial(customMaterials, key, material);
+    setCustomMaterials(custom);
+    saveMaterials(custom);
+    if (results && resultInputs.material === savedKey) {
+      setResults(calculateResults(resultInputs, { ...materials, ...custom }));
     }
   };
 
-  const copyScript = async () => {
+  // Saved designs refer to materials by key, so a material in use stays in the library
+  const deleteCustomMaterial = (key) => {
+    const users = history.filter(item => item.inputs.material === key).length;
+    if (users > 0 || (results && resultInputs.material === key)) {
+      Alert.alert('Material in use', users > 0
+        ? `${users} saved design${users > 1 ? 's use' : ' uses'} this material.`
+        : 'The current design uses this material.');
+      return;
+    }
+    const custom = deleteMaterial(customMaterials, key);
+    setCustomMaterials(custom);
+    saveMaterials(custom);
+    if (inputs.material === key) handleInput('material', DEFAULT_INPUTS.material);
+  };
+
+  // Optimizer candidate -> design variables in the form, recalculated straight away
+  const loadCandidate = (candidate) => {
+    const formInputs = {
+      ...inputs,
+      rpm: String(candidate.rpm),
+      bladeType: candidate.bladeType,
+      outletAngle: String(candidate.outletAngle),
+      material: candidate.material
+    };
+    setInputs(formInputs);
+    if (Object.keys(validateInputs(formInputs, units)).length === 0) runCalculation(formInputs);
+  };
+
+  // Recommended motor -> Motor Power and RPM inputs, recalculated straight away
+  const acceptMotor = (rec) => {
+    const formInputs = {
+      ...inputs,
+      motorRating: roundForInput(show('power', rec.motor.power_HP)),
+      rpm: String(Math.round(rec.fanSpeed))
+    };
+    setInputs(formInputs);
+    if (Object.keys(validateInputs(formInputs, units)).length === 0) runCalculation(formInputs);
+  };
+
+  const scaleCurrent = () => {
     if (!results) return;
-    Clipboard.setString(results.cadScript);
-    Alert.alert('Copied!', 'CAD script copied to clipboard');
+    setScaleSource({ label: 'Current design', base: scalingBase(resultInputs, results) });
+  };
+
+  const scaleHistoryItem = (item) => {
+    const itemUnits = normalizeUnits(item.units);
+    if (Object.keys(validateInputs(item.inputs, itemUnits)).length > 0) {
+      Alert.alert('Cannot scale', 'This saved design has invalid inputs.');
+      return;
+    }
+    const numInputs = toEngineInputs(item.inputs, itemUnits);
+    setScaleSource({ label: displayName(item), base: scalingBase(numInputs, calculateResults(numInputs, materialLibrary)) });
+  };
+
+  const shareDxf = async () => {
+    if (!results) return;
+    try {
+      await shareTextFile(`impeller-${Math.round(results.D2_mm)}mm.dxf`, results.dxf, 'Fan Design DXF');
+    } catch (e) {
+      Alert.alert('Error', 'Could not share DXF');
+    }
+  };
+
+  // Cover fields are kept for the next datasheet
+  const shareDatasheet = async (format) => {
+    if (!results) return;
+    try {
+      await AsyncStorage.setItem('fanReportCover', JSON.stringify(reportCover));
+    } catch (e) {
+      console.warn('Failed to save report cover');
+    }
+    const html = buildDatasheetHtml({
+      results,
+      inputs: resultInputs,
+      units,
+      material: materialLibrary[resultInputs.material],
+      checks,
+      cover: reportCover
+    });
+    const baseName = `fan-datasheet-${reportCover.projectRef ? reportCover.projectRef.replace(/[^\w-]+/g, '_') : Math.round(results.D2_mm)}`;
+    try {
+      if (format === 'pdf') await shareHtmlAsPdf(baseName, html, 'Fan Datasheet');
+      else await shareTextFile(`${baseName}.html`, html, 'Fan Datasheet');
+    } catch (e) {
+      Alert.alert('Error', 'Could not share datasheet');
+    }
+  };
+
+  const drawing = useMemo(
+    () => (results ? buildImpellerDrawing(results, resultInputs, units) : null),
+    [results, resultInputs, units]
+  );
+
+  const shareDrawing = async () => {
+    if (!drawing) return;
+    try {
+      await shareTextFile(`impeller-${Math.round(results.D2_mm)}mm.svg`, drawingToSvg(drawing), 'Impeller Drawing');
+    } catch (e) {
+      Alert.alert('Error', 'Could not share drawing');
+    }
+  };
+
+  const copyDxf = async () => {
+    if (!results) return;
+    Clipboard.setString(results.dxf);
+    Alert.alert('Copied!', 'DXF copied to clipboard');
   };
 
   return (
@@ -320,20 +539,99 @@ const App = () => {
           </TouchableOpacity>
         </View>
 
+        {/* Units */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Units</Text>
+          <View style={styles.row}>
+            {Object.keys(UNIT_PRESETS).map(preset => (
+              <TouchableOpacity key={preset} style={styles.appButton} onPress={() => applyPreset(preset)}>
+                <Text style={styles.appButtonText}>{preset}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {Object.keys(QUANTITY_LABELS).map(quantity => (
+            <View key={quantity} style={styles.row}>
+              <Text style={[styles.label, styles.unitLabel]}>{QUANTITY_LABELS[quantity]}</Text>
+              {unitOptions(quantity).map(unit => (
+                <TouchableOpacity
+                  key={unit}
+                  style={[styles.radio, units[quantity] === unit && styles.radioActive]}
+                  onPress={() => selectUnit(quantity, unit)}
+                >
+                  <Text style={units[quantity] === unit ? styles.radioTextActive : styles.radioText}>{unit}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          ))}
+        </View>
+
         {/* Inputs */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Operating Conditions</Text>
-          <InputRow label="Flow Rate" value={inputs.flowRate} onChange={(v) => handleInput('flowRate', v)} unit="CFM" />
-          <InputRow label="Static Pressure" value={inputs.staticPressure} onChange={(v) => handleInput('staticPressure', v)} unit="Pa" />
-          <InputRow label="RPM" value={inputs.rpm} onChange={(v) => handleInput('rpm', v)} unit="RPM" />
-          <InputRow label="Motor Power" value={inputs.motorRating} onChange={(v) => handleInput('motorRating', v)} unit="HP" />
-          <InputRow label="Temperature" value={inputs.temp} onChange={(v) => handleInput('temp', v)} unit="°F" />
-          <InputRow label="Altitude" value={inputs.altitude} onChange={(v) => handleInput('altitude', v)} unit="ft" />
+          <InputRow label="Flow Rate" value={inputs.flowRate} onChange={(v) => handleInput('flowRate', v)} unit={units.flow} error={errors.flowRate} />
+          <View style={styles.row}>
+            <Text style={styles.label}>Flow Basis</Text>
+            {[['actual', 'Actual (inlet)'], ['standard', 'Standard air']].map(([basis, label]) => (
+              <TouchableOpacity
+                key={basis}
+                style={[styles.radio, inputs.flowBasis === basis && styles.radioActive]}
+                onPress={() => handleInput('flowBasis', basis)}
+              >
+                <Text style={inputs.flowBasis === basis ? styles.radioTextActive : styles.radioText}>{label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <InputRow label="Static Pressure" value={inputs.staticPressure} onChange={(v) => handleInput('staticPressure', v)} unit={units.pressure} error={errors.staticPressure} />
+          <InputRow label="RPM" value={inputs.rpm} onChange={(v) => handleInput('rpm', v)} unit="RPM" error={errors.rpm} />
+          <InputRow label="Motor Power" value={inputs.motorRating} onChange={(v) => handleInput('motorRating', v)} unit={units.power} error={errors.motorRating} />
+          <InputRow label="Temperature" value={inputs.temp} onChange={(v) => handleInput('temp', v)} unit={units.temperature} error={errors.temp} />
+          <InputRow label="Altitude" value={inputs.altitude} onChange={(v) => handleInput('altitude', v)} unit={units.altitude} error={errors.altitude} />
+          <View style={styles.row}>
+            <Text style={styles.label}>Gas</Text>
+            {Object.keys(GASES).map(gas => (
+              <TouchableOpacity
+                key={gas}
+                style={[styles.radio, inputs.gas === gas && styles.radioActive]}
+                onPress={() => handleInput('gas', gas)}
+              >
+                <Text style={inputs.gas === gas ? styles.radioTextActive : styles.radioText}>{GASES[gas].label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {inputs.gas === 'custom' && (
+            <InputRow label="Molar Mass" value={inputs.molarMass} onChange={(v) => handleInput('molarMass', v)} unit="g/mol" error={errors.molarMass} />
+          )}
+          {inputs.gas === 'air' && (
+            <InputRow label="Relative Humidity (blank = dry)" value={inputs.humidity} onChange={(v) => handleInput('humidity', v)} unit="%" error={errors.humidity} />
+          )}
+          <InputRow
+            label="Inlet Pressure (gauge, blank = ambient)"
+            value={inputs.inletPressure}
+            onChange={(v) => handleInput('inletPressure', v)}
+            unit={units.pressure}
+            error={errors.inletPressure}
+          />
+          <TouchableOpacity onPress={() => setBuildingDucts(!buildingDucts)}>
+            <Text style={styles.suggestion}>
+              {buildingDucts ? 'Close duct system' : `Build duct system${ductSystem.length ? ` (${ductSystem.length})` : ''}`}
+            </Text>
+          </TouchableOpacity>
+          {buildingDucts && (
+            <DuctSystemPanel
+              system={ductSystem}
+              onChange={setDuctSystem}
+              flowCFM={ductDuty.flowCFM}
+              density={ductDuty.density}
+              units={units}
+              show={show}
+              onApply={applyDuctPressure}
+            />
+          )}
 
           <Text style={[styles.sectionTitle, { marginTop: 20 }]}>Design Specs</Text>
           <View style={styles.row}>
             <Text style={styles.label}>Blade Type</Text>
-            {['Radial', 'Backward', 'Forward'].map(type => (
+            {BLADE_TYPES.map(type => (
               <TouchableOpacity
                 key={type}
                 style={[styles.radio, inputs.bladeType === type && styles.radioActive]}
@@ -345,22 +643,30 @@ const App = () => {
           </View>
           <View style={styles.row}>
             <Text style={styles.label}>Material</Text>
-            {Object.keys(materials).map(mat => (
+            {Object.keys(materialLibrary).map(mat => (
               <TouchableOpacity
                 key={mat}
                 style={[styles.radio, inputs.material === mat && styles.radioActive]}
                 onPress={() => handleInput('material', mat)}
               >
                 <Text style={inputs.material === mat ? styles.radioTextActive : styles.radioText}>
-                  {materials[mat].name.split(' ')[0]}
+                  {materialLibrary[mat].name.split(' ')[0]}
                 </Text>
               </TouchableOpacity>
             ))}
           </View>
+          <TouchableOpacity onPress={() => setEditingMaterials(!editingMaterials)}>
+            <Text style={styles.suggestion}>{editingMaterials ? 'Close material library' : 'Manage materials'}</Text>
+          </TouchableOpacity>
+          {editingMaterials && (
+            <MaterialEditor materials={materialLibrary} onSave={saveCustomMaterial} onDelete={deleteCustomMaterial} />
+          )}
+          <View style={{ height: 12 }} />
           <InputRow
             label="Outlet Angle"
             value={inputs.outletAngle}
             onChange={(v) => handleInput('outletAngle', v)}
+            error={errors.outletAngle}
             unit="°"
             suggestion={suggestions.outlet}
             onSuggest={(v) => handleInput('outletAngle', String(v))}
@@ -369,71 +675,330 @@ const App = () => {
             label="Inlet Angle"
             value={inputs.inletAngle}
             onChange={(v) => handleInput('inletAngle', v)}
+            error={errors.inletAngle}
             unit="°"
             suggestion={suggestions.inlet}
             onSuggest={(v) => handleInput('inletAngle', String(v))}
           />
+          <InputRow
+            label="Plate Thickness"
+            value={inputs.plateThickness}
+            onChange={(v) => handleInput('plateThickness', v)}
+            error={errors.plateThickness}
+            unit={units.length}
+          />
+          <InputRow
+            label="Bearing Span (blank = estimate)"
+            value={inputs.bearingSpan}
+            onChange={(v) => handleInput('bearingSpan', v)}
+            error={errors.bearingSpan}
+            unit={units.length}
+          />
+          <InputRow
+            label="Receiver Distance (blank = sound power only)"
+            value={inputs.receiverDistance}
+            onChange={(v) => handleInput('receiverDistance', v)}
+            error={errors.receiverDistance}
+            unit={units.distance}
+          />
+          <InputRow
+            label="Noise Limit (optional)"
+            value={inputs.noiseLimit}
+            onChange={(v) => handleInput('noiseLimit', v)}
+            error={errors.noiseLimit}
+            unit="dB(A)"
+          />
         </View>
 
         {/* Calculate Button */}
-        <TouchableOpacity style={styles.calculateButton} onPress={handleCalculate}>
-          <Text style={styles.calculateButtonText}>CALCULATE DESIGN</Text>
+        <TouchableOpacity
+          style={[styles.calculateButton, !isValid && styles.calculateButtonDisabled]}
+          onPress={handleCalculate}
+          disabled={!isValid}
+        >
+          <Text style={styles.calculateButtonText}>
+            {isValid ? 'CALCULATE DESIGN' : 'FIX INPUTS TO CALCULATE'}
+          </Text>
+        </TouchableOpacity>
+
+        {/* Optimizer */}
+        <TouchableOpacity style={[styles.applyButton, { marginBottom: 16 }]} onPress={() => setOptimizing(!optimizing)}>
+          <Text style={styles.applyButtonText}>{optimizing ? 'Close Optimizer' : 'Optimize Design'}</Text>
         </TouchableOpacity>
+        {optimizing && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Optimizer</Text>
+            <Text style={styles.label}>
+              Keeps the duty, air and motor inputs; searches speed, blade type, outlet angle and material.
+            </Text>
+            <OptimizerPanel
+              baseInputs={isValid ? toEngineInputs(inputs, units) : null}
+              materials={materialLibrary}
+              units={units}
+              show={show}
+              onLoad={loadCandidate}
+            />
+          </View>
+        )}
 
         {/* Results */}
         {results && (
           <View style={styles.resultsSection}>
             <Text style={styles.sectionTitle}>Results</Text>
 
-            <ResultCard title="Impeller Diameter" value={results.D2_mm} unit="mm" />
+            <Text style={styles.label}>Design Checks</Text>
+            <WarningsPanel checks={checks} />
+
+            <ResultCard title="Actual Flow" value={show('flow', results.actualFlow)} unit={units.flow} />
+            <ResultCard title="Standard Flow" value={show('flow', results.standardFlow)} unit={units.flow} />
+            <ResultCard title={`${GASES[results.gas.name].label} Density`} value={results.airDensitySI} unit="kg/m³" />
+            <ResultCard title="Impeller Diameter" value={show('length', results.D2_mm)} unit={units.length} />
             <ResultCard title="Blade Count" value={results.bladeCountFinal} unit="" />
             <ResultCard title="Efficiency" value={results.effStatic * 100} unit="%" />
-            <ResultCard title="Brake Power" value={results.brakePowerHP} unit="HP" status={results.motorCheck === 'OK' ? 'SAFE' : 'UNSAFE'} />
+            <ResultCard title="Brake Power" value={show('power', results.brakePowerHP)} unit={units.power} status={results.motorCheck === 'OK' ? 'SAFE' : 'UNSAFE'} />
             <ResultCard title="Stress Safety" value={results.safetyFactor} unit="" status={results.stressStatus} />
+            <ResultCard title="Impeller Mass" value={results.impellerMass_kg} unit="kg" />
+            <ResultCard title="Material Cost" value={`$${results.materialCost.toFixed(2)}`} unit="" />
+            <Text style={styles.label}>
+              Blades {results.massBlades_kg.toFixed(1)} kg | Backplate {results.massBackplate_kg.toFixed(1)} kg
+              {' | '}Shroud {results.massShroud_kg.toFixed(1)} kg | Raw plate {results.rawMaterial_kg.toFixed(1)} kg
+            </Text>
+
+            <Text style={styles.sectionTitle}>Material Trade-off</Text>
+            <View style={styles.tableRow}>
+              <Text style={[styles.tableCellWide, styles.tableHeader]}>Material</Text>
+              <Text style={[styles.tableCell, styles.tableHeader]}>Safety</Text>
+              <Text style={[styles.tableCell, styles.tableHeader]}>Mass (kg)</Text>
+              <Text style={[styles.tableCell, styles.tableHeader]}>Cost ($)</Text>
+            </View>
+            {tradeoff.map(row => (
+              <View key={row.key} style={[styles.tableRow, row.key === resultInputs.material && styles.tableRowActive]}>
+                <Text style={styles.tableCellWide}>{row.name}</Text>
+                <Text style={[styles.tableCell, row.stressStatus === 'UNSAFE' && styles.tableCellBad]}>{row.safetyFactor.toFixed(2)}</Text>
+                <Text style={styles.tableCell}>{row.impellerMass_kg.toFixed(1)}</Text>
+                <Text style={styles.tableCell}>{row.materialCost.toFixed(2)}</Text>
+              </View>
+            ))}
+            <View style={{ height: 12 }} />
+
+            <Text style={styles.sectionTitle}>Motor & Drive</Text>
+            <MotorPanel
+              brakePowerHP={results.brakePowerHP}
+              rpm={Number(resultInputs.rpm)}
+              units={units}
+              show={show}
+              onAccept={acceptMotor}
+            />
+            <View style={{ height: 12 }} />
+
+            <Text style={styles.sectionTitle}>Energy & Running Cost</Text>
+            <EnergyPanel results={results} settings={energySettings} onChange={updateEnergySettings} />
+            <View style={{ height: 12 }} />
+
+            <Text style={styles.sectionTitle}>Performance Curves</Text>
+            <InputRow
+              label="System Resistance k (ΔP = k·Q²)"
+              value={inputs.systemK}
+              onChange={(v) => handleInput('systemK', v)}
+              error={errors.systemK}
+              unit={`${units.pressure}/(${units.flow})²`}
+            />
+            <TouchableOpacity style={styles.applyButton} onPress={systemThroughDuty}>
+              <Text style={styles.applyButtonText}>System Curve Through Duty Point</Text>
+            </TouchableOpacity>
+            {results.fanCurve ? (
+              <View style={styles.sketchContainer}>
+                <FanCurveChart
+                  curve={results.fanCurve}
+                  operating={operating}
+                  systemK={toEngineInputs(inputs, units).systemK}
+                  show={show}
+                  units={units}
+                />
+              </View>
+            ) : (
+              <Text style={styles.label}>No curve for this duty point.</Text>
+            )}
+            {results.fanCurve && (
+              <ResultCard
+                title="Best Efficiency Point"
+                value={`${show('flow', results.fanCurve.bep.flow).toFixed(0)} ${units.flow} @ ${(results.fanCurve.bep.efficiency * 100).toFixed(1)}%`}
+              />
+            )}
+            {operating && (
+              <>
+                <ResultCard title="Operating Flow" value={show('flow', operating.flow)} unit={units.flow} status={operating.inStall ? 'UNSAFE' : 'SAFE'} />
+                <ResultCard title="Operating Pressure" value={show('pressure', operating.pressure)} unit={units.pressure} />
+                <ResultCard title="Operating Power" value={show('power', operating.powerHP)} unit={units.power} />
+                <ResultCard title="Operating Efficiency" value={operating.efficiency * 100} unit="%" />
+                {operating.inStall && <Text style={styles.warningText}>Operating point is in the surge/stall region.</Text>}
+              </>
+            )}
 
-            <Text style={styles.sectionTitle}>CAD Export</Text>
+            <Text style={[styles.sectionTitle, { marginTop: 12 }]}>Vibration</Text>
+            <ResultCard
+              title={`Shaft Critical Speed (span ${show('length', results.rotor.bearingSpan_mm).toFixed(0)} ${units.length})`}
+              value={results.rotor.criticalSpeed_rpm}
+              unit="RPM"
+            />
+            <ResultCard title="Blade Natural Frequency" value={results.rotor.bladeFreq_hz} unit="Hz" />
+            <ResultCard title="Blade-Passing Frequency" value={results.rotor.bpf_hz} unit="Hz" />
+            {results.rotor.resonances.map(r => (
+              <Text key={`${r.natural}-${r.excitation}`} style={styles.label}>
+                {r.natural} vs {r.excitation}: {(r.separation * 100).toFixed(0)}% margin ({r.status})
+              </Text>
+            ))}
+            <View style={styles.sketchContainer}>
+              <CampbellChart rotor={results.rotor} rpm={Number(resultInputs.rpm)} bladeCount={results.bladeCountFinal} />
+            </View>
+
+            <Text style={[styles.sectionTitle, { marginTop: 12 }]}>Noise</Text>
+            <ResultCard title="Sound Power Level" value={results.acoustics.Lw} unit="dB" />
+            <ResultCard
+              title="A-weighted Sound Power"
+              value={results.acoustics.LwA}
+              unit="dB(A)"
+              status={results.acoustics.limit_dBA && !results.acoustics.distance_m
+                ? (results.acoustics.exceedsLimit ? 'UNSAFE' : 'SAFE') : undefined}
+            />
+            {results.acoustics.distance_m && (
+              <ResultCard
+                title={`Sound Pressure at ${show('distance', results.acoustics.distance_m).toFixed(1)} ${units.distance}`}
+                value={results.acoustics.LpA}
+                unit="dB(A)"
+                status={results.acoustics.limit_dBA ? (results.acoustics.exceedsLimit ? 'UNSAFE' : 'SAFE') : undefined}
+              />
+            )}
+            <ResultCard title="Blade Tone" value={results.acoustics.bpf_hz} unit="Hz" />
+            {results.acoustics.efficiencyCorrection > 0 && (
+              <Text style={styles.label}>
+                Includes +{results.acoustics.efficiencyCorrection} dB for running off peak efficiency.
+              </Text>
+            )}
+            {results.acoustics.exceedsLimit && (
+              <Text style={styles.warningText}>
+                Predicted noise exceeds the {results.acoustics.limit_dBA} dB(A) limit.
+              </Text>
+            )}
+            <View style={styles.sketchContainer}>
+              <OctaveBandChart acoustics={results.acoustics} />
+            </View>
+
+            <Text style={[styles.sectionTitle, { marginTop: 12 }]}>Scroll Casing</Text>
+            <View style={styles.row}>
+              {Object.keys(VOLUTE_TYPES).map(type => (
+                <TouchableOpacity
+                  key={type}
+                  style={[styles.radio, inputs.voluteType === type && styles.radioActive]}
+                  onPress={() => selectDrawingOption('voluteType', type)}
+                >
+                  <Text style={inputs.voluteType === type ? styles.radioTextActive : styles.radioText}>{VOLUTE_TYPES[type]}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            {results.casing && (
+              <>
+                <ResultCard title="Casing Width" value={show('length', results.casing.casingWidth_mm)} unit={units.length} />
+                <ResultCard title="Cutoff (Tongue) Clearance" value={show('length', results.casing.cutoffClearance_mm)} unit={units.length} />
+                <ResultCard
+                  title="Outlet Duct (H × B)"
+                  value={`${show('length', results.casing.outletHeight_mm).toFixed(1)} × ${show('length', results.casing.casingWidth_mm).toFixed(1)}`}
+                  unit={units.length}
+                />
+                <ResultCard
+                  title="Outlet Area"
+                  value={show('length', results.casing.outletHeight_mm) * show('length', results.casing.casingWidth_mm)}
+                  unit={`${units.length}²`}
+                />
+                <ResultCard title="Outlet Velocity" value={results.casing.outletVelocity} unit="m/s" />
+                <View style={styles.sketchContainer}>
+                  <CasingSketch casing={results.casing} D2_mm={results.D2_mm} />
+                </View>
+              </>
+            )}
+
+            <TouchableOpacity style={[styles.applyButton, { marginVertical: 16 }]} onPress={scaleCurrent}>
+              <Text style={styles.applyButtonText}>Scale Design</Text>
+            </TouchableOpacity>
+
+            <Text style={[styles.sectionTitle, { marginTop: 12 }]}>CAD Export (DXF)</Text>
+            <View style={styles.row}>
+              <Text style={styles.label}>Blade Profile</Text>
+              {Object.keys(BLADE_PROFILES).map(key => (
+                <TouchableOpacity
+                  key={key}
+                  style={[styles.radio, inputs.bladeProfile === key && styles.radioActive]}
+                  onPress={() => selectDrawingOption('bladeProfile', key)}
+                >
+                  <Text style={inputs.bladeProfile === key ? styles.radioTextActive : styles.radioText}>{BLADE_PROFILES[key]}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
             <View style={styles.scriptActions}>
-              <TouchableOpacity style={styles.actionButton} onPress={copyScript}>
-                <Text style={styles.actionButtonText}>Copy Script</Text>
+              <TouchableOpacity style={styles.actionButton} onPress={copyDxf}>
+                <Text style={styles.actionButtonText}>Copy DXF</Text>
               </TouchableOpacity>
-              <TouchableOpacity style={styles.actionButton} onPress={shareScript}>
-                <Text style={styles.actionButtonText}>Share Script</Text>
+              <TouchableOpacity style={styles.actionButton} onPress={shareDxf}>
+                <Text style={styles.actionButtonText}>Share DXF</Text>
               </TouchableOpacity>
             </View>
             <View style={styles.scriptPreview}>
-              <Text style={styles.scriptText}>{results.cadScript.substring(0, 200)}...</Text>
+              <Text style={styles.scriptText}>{results.dxf.substring(0, 200)}...</Text>
             </View>
 
-            {/* Sketches */}
-            <Text style={styles.sectionTitle}>Impeller Sketch</Text>
+            {/* Drawing */}
+            <Text style={styles.sectionTitle}>Impeller Drawing</Text>
             <View style={styles.sketchContainer}>
-              <Svg width="100%" height="200" viewBox="0 0 300 200">
-                <Circle cx="150" cy="100" r={results.D2_mm / 6} stroke="#333" fill="none" />
-                <Circle cx="150" cy="100" r={results.D1_mm / 6} stroke="#333" fill="none" strokeDasharray="4,4" />
-                <Circle cx="150" cy="100" r={results.D_hub_mm / 6} fill="#ddd" stroke="#333" />
-                {[...Array(results.bladeCountFinal)].map((_, i) => {
-                  const angle = (i * 360 / results.bladeCountFinal) * Math.PI / 180;
-                  const x1 = 150 + (results.D1_mm / 6) * Math.cos(angle);
-                  const y1 = 100 + (results.D1_mm / 6) * Math.sin(angle);
-                  const x2 = 150 + (results.D2_mm / 6) * Math.cos(angle - 0.3);
-                  const y2 = 100 + (results.D2_mm / 6) * Math.sin(angle - 0.3);
-                  return <Line key={i} x1={x1} y1={y1} x2={x2} y2={y2} stroke="#000" strokeWidth="2" />;
-                })}
-              </Svg>
+              <ImpellerDrawing drawing={drawing} />
             </View>
+            <TouchableOpacity style={[styles.actionButton, { marginTop: 8 }]} onPress={shareDrawing}>
+              <Text style={styles.actionButtonText}>Share SVG</Text>
+            </TouchableOpacity>
           </View>
         )}
 
+        {/* Customer datasheet */}
+        {results && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Datasheet</Text>
+            <ReportPanel cover={reportCover} onChangeCover={setReportCover} onShare={shareDatasheet} />
+          </View>
+        )}
+
+        {/* Fan-law scaling */}
+        {scaleSource && (
+          <ScaleDesignPanel
+            base={scaleSource.base}
+            label={scaleSource.label}
+            materials={materialLibrary}
+            units={units}
+            show={show}
+            onClose={() => setScaleSource(null)}
+          />
+        )}
+
+        {/* Project files */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Project File</Text>
+          <ProjectPanel canExport={!!results} onExport={exportProject} onImport={importProjects} />
+        </View>
+
         {/* History */}
         {history.length > 0 && (
           <View style={styles.historySection}>
-            <Text style={styles.sectionTitle}>Recent Designs</Text>
-            {history.slice(0, 3).map(item => (
-              <View key={item.id} style={styles.historyItem}>
-                <Text>{item.timestamp}</Text>
-                <Text>{item.summary.flow} CFM | {item.summary.pressure} Pa</Text>
-              </View>
-            ))}
+            <Text style={styles.sectionTitle}>Saved Designs</Text>
+            <HistoryBrowser
+              history={history}
+              materials={materialLibrary}
+              units={units}
+              show={show}
+              energySettings={energySettings}
+              onLoad={loadHistoryItem}
+              onRename={(id, name) => updateHistory(renameItem(history, id, name))}
+              onTogglePin={(id) => updateHistory(togglePin(history, id))}
+              onDelete={(id) => updateHistory(deleteItem(history, id))}
+              onScale={scaleHistoryItem}
+            />
           </View>
         )}
       </ScrollView>
@@ -452,7 +1017,10 @@ const styles = StyleSheet.create({
   sectionTitle: { fontSize: 16, fontWeight: '600', marginBottom: 12, color: '#1e293b' },
   inputRow: { marginBottom: 12 },
   label: { fontSize: 14, color: '#334155', marginBottom: 4 },
+  unitLabel: { width: 90, alignSelf: 'center' },
   input: { borderWidth: 1, borderColor: '#cbd5e1', borderRadius: 6, padding: 8, fontSize: 16, flex: 1 },
+  inputError: { borderColor: '#dc2626' },
+  errorText: { fontSize: 12, color: '#b91c1c', marginTop: 4 },
   unit: { marginLeft: 8, fontSize: 14, color: '#64748b', alignSelf: 'center' },
   suggestion: { fontSize: 12, color: '#3b82f6', marginTop: 4, textDecorationLine: 'underline' },
   pickerWrapper: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 12 },
@@ -468,19 +1036,26 @@ const styles = StyleSheet.create({
   radioText: { fontSize: 12, color: '#475569' },
   radioTextActive: { color: '#16a34a', fontWeight: '600' },
   calculateButton: { backgroundColor: '#1d4ed8', padding: 16, borderRadius: 12, alignItems: 'center', marginBottom: 24 },
+  calculateButtonDisabled: { backgroundColor: '#94a3b8' },
   calculateButtonText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
   resultsSection: { backgroundColor: '#fff', padding: 16, borderRadius: 12, marginBottom: 16, shadowColor: '#000', shadowOffset: { width: 0, height: 1 }, shadowOpacity: 0.1, shadowRadius: 2, elevation: 2 },
   resultCard: { padding: 12, borderRadius: 8, marginBottom: 12, borderWidth: 1, borderColor: '#e2e8f0' },
   cardTitle: { fontSize: 12, color: '#64748b', marginBottom: 4 },
   cardValue: { fontSize: 18, fontWeight: 'bold', color: '#1e293b' },
+  warningText: { fontSize: 13, color: '#b91c1c', fontWeight: '600', marginBottom: 12 },
   scriptActions: { flexDirection: 'row', gap: 12, marginBottom: 12 },
   actionButton: { flex: 1, padding: 12, backgroundColor: '#e0f2fe', borderRadius: 8, alignItems: 'center' },
   actionButtonText: { color: '#0369a1', fontWeight: '600' },
   scriptPreview: { backgroundColor: '#f1f5f9', padding: 12, borderRadius: 8, fontFamily: 'monospace' },
   scriptText: { fontSize: 12, color: '#334155' },
+  tableRow: { flexDirection: 'row', paddingVertical: 6, borderBottomWidth: 1, borderBottomColor: '#f1f5f9' },
+  tableRowActive: { backgroundColor: '#eff6ff' },
+  tableHeader: { fontWeight: '600', color: '#475569' },
+  tableCellWide: { flex: 2, fontSize: 12, color: '#1e293b' },
+  tableCell: { flex: 1, fontSize: 12, color: '#1e293b', textAlign: 'right' },
+  tableCellBad: { color: '#dc2626', fontWeight: 'bold' },
   sketchContainer: { marginTop: 12, backgroundColor: '#f8fafc', padding: 8, borderRadius: 8 },
-  historySection: { backgroundColor: '#fff', padding: 16, borderRadius: 12, shadowColor: '#000', shadowOffset: { width: 0, height: 1 }, shadowOpacity: 0.1, shadowRadius: 2, elevation: 2 },
-  historyItem: { padding: 12, borderBottomWidth: 1, borderBottomColor: '#f1f5f9' }
+  historySection: { backgroundColor: '#fff', padding: 16, borderRadius: 12, shadowColor: '#000', shadowOffset: { width: 0, height: 1 }, shadowOpacity: 0.1, shadowRadius: 2, elevation: 2 }
 });
 
 export default App;
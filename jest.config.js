@@ -0,0 +1,5 @@
+// Jest runs the headless engine and CLI tests in plain Node
+module.exports = {
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/__tests__/**/*.test.js']
+};
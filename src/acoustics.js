@@ -0,0 +1,94 @@
+// acoustics.js - Fan sound power prediction for FanDesign Pro
+// Octave-band method after Graham (ASHRAE): specific sound power for the fan type, scaled by
+// 10·log(Q) + 20·log(P), plus an off-peak efficiency penalty and a blade tone in the BPF band.
+// Engine units: flow in CFM, pressure in Pa. Levels in dB re 1 pW (sound power) / 20 µPa (pressure).
+
+const OCTAVE_BANDS = [63, 125, 250, 500, 1000, 2000, 4000, 8000]; // Hz, centre frequencies
+const A_WEIGHTING = [-26.2, -16.1, -8.6, -3.2, 0, 1.2, 1.0, -1.1];
+
+const LARGE_WHEEL_MM = 914; // 36 in.; the specific levels differ above and below
+
+// Specific sound power Kw per band and blade frequency increment by blade type
+const FAN_SOUND_DATA = {
+  Backward: {
+    small: [45, 45, 43, 39, 34, 28, 24, 19],
+    large: [40, 40, 39, 34, 30, 23, 19, 17],
+    bfi: 3
+  },
+  Forward: {
+    small: [53, 53, 43, 36, 36, 31, 26, 21],
+    large: [53, 53, 43, 36, 36, 31, 26, 21],
+    bfi: 2
+  },
+  Radial: {
+    small: [56, 47, 43, 39, 37, 32, 29, 26],
+    large: [48, 45, 43, 43, 38, 30, 29, 26],
+    bfi: 8
+  }
+};
+
+// Penalty (dB) for running below peak efficiency, per 5 points of efficiency lost
+const efficiencyCorrection = (deficitPct) => {
+  if (deficitPct <= 2) return 0;
+  return Math.min(15, 3 * Math.ceil((deficitPct - 2) / 5));
+};
+
+// Octave band (index) holding a frequency; band edges at centre / √2 and centre · √2
+const bandIndex = (freq) => OCTAVE_BANDS.findIndex(f => freq < f * Math.SQRT2);
+
+const sumLevels = (levels) => 10 * Math.log10(levels.reduce((acc, L) => acc + Math.pow(10, L / 10), 0));
+
+// Free-field sound pressure level at r metres; directivity 2 for a fan standing on a hard floor
+const soundPressureAt = (Lw, distance_m, directivity = 2) =>
+  Lw + 10 * Math.log10(directivity / (4 * Math.PI * distance_m * distance_m));
+
+// design: { flowRate, staticPressure, rpm, bladeType, D2_mm, bladeCountFinal, effStatic, peakEfficiency }
+// options: { distance_m, limit_dBA }; the limit applies at the receiver when a distance is given
+const predictSound = (design, options = {}) => {
+  const { flowRate, staticPressure, rpm, bladeType, D2_mm, bladeCountFinal, effStatic } = design;
+  const data = FAN_SOUND_DATA[bladeType] || FAN_SOUND_DATA.Backward;
+  const Kw = D2_mm > LARGE_WHEEL_MM ? data.large : data.small;
+  const P_inwg = staticPressure / 249.088;
+
+  const peak = design.peakEfficiency > effStatic ? design.peakEfficiency : effStatic;
+  const correction = efficiencyCorrection((peak - effStatic) * 100);
+  const bpf_hz = (rpm * bladeCountFinal) / 60;
+  const toneBand = bandIndex(bpf_hz);
+
+  const base = 10 * Math.log10(Math.max(flowRate, 1)) + 20 * Math.log10(Math.max(P_inwg, 0.01)) + correction;
+  const bands = OCTAVE_BANDS.map((freq, i) => {
+    const Lw = Kw[i] + base + (i === toneBand ? data.bfi : 0);
+    return { freq, Lw, LwA: Lw + A_WEIGHTING[i], tone: i === toneBand };
+  });
+
+  const Lw = sumLevels(bands.map(b => b.Lw));
+  const LwA = sumLevels(bands.map(b => b.LwA));
+  const distance_m = options.distance_m > 0 ? options.distance_m : null;
+  const Lp = distance_m ? soundPressureAt(Lw, distance_m) : null;
+  const LpA = distance_m ? soundPressureAt(LwA, distance_m) : null;
+
+  const limit_dBA = options.limit_dBA > 0 ? options.limit_dBA : null;
+  const checked_dBA = distance_m ? LpA : LwA;
+
+  return {
+    bands,
+    Lw,
+    LwA,
+    bpf_hz,
+    toneBand: toneBand >= 0 ? OCTAVE_BANDS[toneBand] : null,
+    efficiencyCorrection: correction,
+    distance_m,
+    Lp,
+    LpA,
+    limit_dBA,
+    exceedsLimit: limit_dBA !== null && checked_dBA > limit_dBA
+  };
+};
+
+module.exports = {
+  OCTAVE_BANDS,
+  A_WEIGHTING,
+  sumLevels,
+  soundPressureAt,
+  predictSound
+};
@@ -0,0 +1,154 @@
+// batch.js - Batch evaluation of duty points for the command-line tool
+// Reads CSV/JSON duty points in any unit selection and tabulates calculateResults in the same units.
+const { calculateResults, materials, DEFAULT_INPUTS } = require('./engine');
+const { DEFAULT_UNITS, INPUT_QUANTITIES, convertInputs, toEngineInputs, fromEngine } = require('./units');
+const { validateInputs } = require('./validation');
+
+// --- OUTPUT COLUMNS ---
+// quantity: converted to the selected unit; anything else is reported as calculated
+const RESULT_COLUMNS = [
+  { key: 'D2_mm', label: 'D2', quantity: 'length' },
+  { key: 'D1_mm', label: 'D1', quantity: 'length' },
+  { key: 'D_hub_mm', label: 'Hub Dia', quantity: 'length' },
+  { key: 'b2_mm', label: 'b2', quantity: 'length' },
+  { key: 'b1_mm', label: 'b1', quantity: 'length' },
+  { key: 'bladeCountFinal', label: 'Blades' },
+  { key: 'effStatic', label: 'Static Efficiency' },
+  { key: 'tipSpeedActual', label: 'Tip Speed', unit: 'm/s' },
+  { key: 'brakePowerHP', label: 'Brake Power', quantity: 'power' },
+  { key: 'motorLoadPct', label: 'Motor Load', unit: '%' },
+  { key: 'safetyFactor', label: 'Safety Factor' },
+  { key: 'stressStatus', label: 'Stress Status' },
+  { key: 'shaftDiaStd', label: 'Shaft Dia', unit: 'mm' },
+  { key: 'torqueNm', label: 'Torque', unit: 'Nm' },
+  { key: 'impellerMass_kg', label: 'Impeller Mass', unit: 'kg' },
+  { key: 'materialCost', label: 'Material Cost', unit: '$' },
+  { key: 'airDensitySI', label: 'Air Density', unit: 'kg/m³' },
+  { key: 'actualFlow', label: 'Actual Flow', quantity: 'flow' },
+  { key: 'standardFlow', label: 'Standard Flow', quantity: 'flow' },
+  { key: 'Ns_US', label: 'Specific Speed' },
+  { key: 'bladeRecommendation', label: 'Recommended Blade' },
+  { key: 'tipSpeedCheck', label: 'Tip Speed Check' },
+  { key: 'motorCheck', label: 'Motor Check' },
+  { key: 'altitudeWarning', label: 'Altitude Check' }
+];
+
+const INPUT_COLUMNS = ['flowRate', 'staticPressure', 'rpm', 'motorRating', 'temp', 'altitude',
+  'bladeType', 'material', 'outletAngle', 'inletAngle', 'plateThickness',
+  'gas', 'humidity', 'molarMass', 'inletPressure', 'flowBasis'];
+
+const columnHeader = (column, units) => {
+  const unit = column.quantity ? units[column.quantity] : column.unit;
+  return unit ? `${column.label} (${unit})` : column.label;
+};
+
+// App defaults re-expressed in the selected units, so a record only needs the fields it changes
+const defaultsIn = (units) => Object.keys(units).reduce(
+  (acc, quantity) => convertInputs(acc, quantity, DEFAULT_UNITS[quantity], units[quantity]),
+  { ...DEFAULT_INPUTS }
+);
+
+// --- EVALUATION ---
+// One row per duty point: { id, inputs, results, error }. results are in engine units.
+const evaluateDutyPoints = (records, units = DEFAULT_UNITS) => {
+  const defaults = defaultsIn(units);
+  return records.map((record, i) => {
+    const id = record.id !== undefined && record.id !== '' ? String(record.id) : String(i + 1);
+    const inputs = { ...defaults };
+    Object.keys(record).forEach(key => {
+      if (key in DEFAULT_INPUTS && record[key] !== '' && record[key] !== undefined) inputs[key] = String(record[key]);
+    });
+
+    const errors = validateInputs(inputs, units);
+    if (!Object.prototype.hasOwnProperty.call(materials, inputs.material)) errors.material = `Unknown material "${inputs.material}"`;
+    const messages = Object.keys(errors).map(key => `${key}: ${errors[key]}`);
+    if (messages.length > 0) return { id, inputs, results: null, error: messages.join('; ') };
+
+    return { id, inputs, results: calculateResults(toEngineInputs(inputs, units)), error: null };
+  });
+};
+
+// Flat table in the selected units; numbers are left unrounded
+const resultTable = (rows, units = DEFAULT_UNITS) => {
+  const inputHeaders = INPUT_COLUMNS.map(key => {
+    const quantity = INPUT_QUANTITIES[key];
+    return quantity ? `${key} (${units[quantity]})` : key;
+  });
+  const headers = ['id', ...inputHeaders, ...RESULT_COLUMNS.map(c => columnHeader(c, units)), 'error'];
+
+  const body = rows.map(row => [
+    row.id,
+    ...INPUT_COLUMNS.map(key => row.inputs[key]),
+    ...RESULT_COLUMNS.map(column => {
+      if (!row.results) return '';
+      const value = row.results[column.key];
+      return column.quantity ? fromEngine(column.quantity, value, units) : value;
+    }),
+    row.error || ''
+  ]);
+
+  return { headers, body };
+};
+
+// --- CSV ---
+const parseCsvLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { cells.push(cell.trim()); cell = ''; }
+    else cell += ch;
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+// Header row of field names, one duty point per line
+const parseCsv = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '' && !line.trim().startsWith('#'));
+  if (lines.length === 0) return [];
+  const headers = parseCsvLine(lines[0]);
+  return lines.slice(1).map(line => {
+    const cells = parseCsvLine(line);
+    return headers.reduce((acc, h, i) => ({ ...acc, [h]: cells[i] !== undefined ? cells[i] : '' }), {});
+  });
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = ({ headers, body }) =>
+  [headers, ...body].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+
+// --- JSON ---
+// Accepts a bare array of duty points or { dutyPoints: [...] }
+const parseJson = (text) => {
+  const data = JSON.parse(text);
+  const records = Array.isArray(data) ? data : data.dutyPoints;
+  if (!Array.isArray(records)) throw new Error('JSON input must be an array or { "dutyPoints": [...] }');
+  return records;
+};
+
+const toJson = ({ headers, body }, units) => JSON.stringify({
+  units,
+  results: body.map(row => headers.reduce((acc, h, i) => ({ ...acc, [h]: row[i] }), {}))
+}, null, 2) + '\n';
+
+module.exports = {
+  RESULT_COLUMNS,
+  INPUT_COLUMNS,
+  evaluateDutyPoints,
+  resultTable,
+  parseCsv,
+  toCsv,
+  parseJson,
+  toJson
+};
@@ -0,0 +1,128 @@
+// CampbellChart.js - Natural frequencies against speed-dependent excitations for FanDesign Pro
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import {
+  Svg,
+  Circle,
+  Line,
+  Rect,
+  G,
+  Text as SvgText,
+} from 'react-native-svg';
+import { SEPARATION_LIMITS } from '../rotor';
+
+const WIDTH = 320;
+const HEIGHT = 220;
+const PAD = { left: 40, right: 12, top: 12, bottom: 30 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+const TICKS = [0, 0.25, 0.5, 0.75, 1];
+const SPEED_RANGE = 1.5; // chart runs to 150% of the operating speed
+const BAND = SEPARATION_LIMITS.marginal;
+
+const COLORS = {
+  running: '#1d4ed8',
+  bpf: '#ea580c',
+  shaft: '#7c3aed',
+  blade: '#16a34a',
+  operating: '#0f172a',
+  resonant: '#dc2626',
+  crossing: '#64748b'
+};
+
+const formatTick = (value) => (value >= 100 ? value.toFixed(0) : value.toPrecision(2));
+
+// rotor: calculateResults().rotor; rpm: operating speed; bladeCount sets the blade-passing order
+const CampbellChart = ({ rotor, rpm, bladeCount }) => {
+  const maxRpm = rpm * SPEED_RANGE;
+  const maxFreq = Math.max(rotor.bpf_hz, rotor.criticalFreq_hz, rotor.bladeFreq_hz) * 1.2;
+
+  const x = (speed) => PAD.left + (speed / maxRpm) * PLOT_W;
+  const y = (freq) => PAD.top + PLOT_H - (Math.min(freq, maxFreq) / maxFreq) * PLOT_H;
+
+  // Excitation orders: frequency = order × rpm / 60, clipped at the top of the plot
+  const orders = [
+    { key: 'running', order: 1, color: COLORS.running },
+    { key: 'bpf', order: bladeCount, color: COLORS.bpf }
+  ].map(o => ({ ...o, endRpm: Math.min(maxRpm, (maxFreq * 60) / o.order) }));
+
+  const naturals = [
+    { key: 'shaft', freq: rotor.criticalFreq_hz, color: COLORS.shaft, label: 'Shaft' },
+    { key: 'blade', freq: rotor.bladeFreq_hz, color: COLORS.blade, label: 'Blade' }
+  ];
+
+  // Speeds at which an excitation line meets a natural frequency
+  const crossings = [];
+  naturals.forEach(n => orders.forEach(o => {
+    const speed = (n.freq * 60) / o.order;
+    if (speed <= maxRpm) {
+      const near = Math.abs(speed - rpm) / rpm < BAND;
+      crossings.push({ key: `${n.key}-${o.key}`, speed, freq: n.freq, near });
+    }
+  }));
+
+  return (
+    <View>
+      <Svg width="100%" height={HEIGHT} viewBox={`0 0 ${WIDTH} ${HEIGHT}`}>
+        {/* Separation band around the operating speed */}
+        <Rect x={x(rpm * (1 - BAND))} y={PAD.top} width={x(rpm * (1 + BAND)) - x(rpm * (1 - BAND))} height={PLOT_H} fill="#f1f5f9" />
+
+        {/* Axes and grid */}
+        <G>
+          {TICKS.map(t => (
+            <G key={t}>
+              <Line x1={PAD.left} y1={PAD.top + PLOT_H * (1 - t)} x2={PAD.left + PLOT_W} y2={PAD.top + PLOT_H * (1 - t)} stroke="#e2e8f0" />
+              <SvgText x={PAD.left - 4} y={PAD.top + PLOT_H * (1 - t) + 3} fontSize="8" fill="#475569" textAnchor="end">
+                {formatTick(maxFreq * t)}
+              </SvgText>
+              <SvgText x={PAD.left + PLOT_W * t} y={PAD.top + PLOT_H + 12} fontSize="8" fill="#475569" textAnchor="middle">
+                {formatTick(maxRpm * t)}
+              </SvgText>
+            </G>
+          ))}
+          <Line x1={PAD.left} y1={PAD.top} x2={PAD.left} y2={PAD.top + PLOT_H} stroke="#334155" />
+          <Line x1={PAD.left} y1={PAD.top + PLOT_H} x2={PAD.left + PLOT_W} y2={PAD.top + PLOT_H} stroke="#334155" />
+          <SvgText x={PAD.left + PLOT_W / 2} y={HEIGHT - 4} fontSize="9" fill="#475569" textAnchor="middle">Speed (RPM)</SvgText>
+          <SvgText x={PAD.left + 4} y={PAD.top + 10} fontSize="9" fill="#475569">Hz</SvgText>
+        </G>
+
+        {/* Natural frequencies */}
+        {naturals.map(n => (
+          <G key={n.key}>
+            <Line x1={PAD.left} y1={y(n.freq)} x2={PAD.left + PLOT_W} y2={y(n.freq)} stroke={n.color} strokeWidth="1.5" strokeDasharray="5,3" />
+            <SvgText x={PAD.left + PLOT_W - 2} y={y(n.freq) - 3} fontSize="8" fill={n.color} textAnchor="end">{n.label}</SvgText>
+          </G>
+        ))}
+
+        {/* Excitation orders */}
+        {orders.map(o => (
+          <Line key={o.key} x1={x(0)} y1={y(0)} x2={x(o.endRpm)} y2={y((o.order * o.endRpm) / 60)} stroke={o.color} strokeWidth="2" />
+        ))}
+
+        {/* Operating speed */}
+        <Line x1={x(rpm)} y1={PAD.top} x2={x(rpm)} y2={PAD.top + PLOT_H} stroke={COLORS.operating} strokeDasharray="2,2" />
+        <SvgText x={x(rpm) + 3} y={PAD.top + 10} fontSize="8" fill={COLORS.operating}>OP</SvgText>
+
+        {/* Resonance crossings */}
+        {crossings.map(c => (
+          <Circle key={c.key} cx={x(c.speed)} cy={y(c.freq)} r={c.near ? 5 : 3.5} fill={c.near ? COLORS.resonant : COLORS.crossing} />
+        ))}
+      </Svg>
+
+      <View style={styles.legend}>
+        <Text style={[styles.legendItem, { color: COLORS.running }]}>— 1× running speed</Text>
+        <Text style={[styles.legendItem, { color: COLORS.bpf }]}>— {bladeCount}× blade passing</Text>
+        <Text style={[styles.legendItem, { color: COLORS.shaft }]}>- - Shaft critical</Text>
+        <Text style={[styles.legendItem, { color: COLORS.blade }]}>- - Blade 1st mode</Text>
+        <Text style={[styles.legendItem, { color: COLORS.resonant }]}>● Crossing within {(BAND * 100).toFixed(0)}% of operating speed</Text>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  legend: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginTop: 4 },
+  legendItem: { fontSize: 11 }
+});
+
+export default CampbellChart;
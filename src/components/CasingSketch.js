@@ -0,0 +1,37 @@
+// CasingSketch.js - Plan view of the scroll casing around the impeller
+import React from 'react';
+import { Svg, Circle, Path, Line } from 'react-native-svg';
+import { casingOutline } from '../volute';
+
+const HEIGHT = 220;
+const PAD = 0.06;
+
+// Drawing is auto-fitted to the casing extents; SVG y runs down, so model y is negated
+const CasingSketch = ({ casing, D2_mm }) => {
+  const outline = casingOutline(casing);
+  const xs = outline.map(p => p.x);
+  const ys = outline.map(p => -p.y);
+  const r2 = D2_mm / 2;
+  const minX = Math.min(...xs, -r2);
+  const maxX = Math.max(...xs, r2);
+  const minY = Math.min(...ys, -r2);
+  const maxY = Math.max(...ys, r2);
+  const span = Math.max(maxX - minX, maxY - minY);
+  const pad = span * PAD;
+  const viewBox = `${minX - pad} ${minY - pad} ${maxX - minX + 2 * pad} ${maxY - minY + 2 * pad}`;
+  const stroke = span / 150;
+
+  const d = outline.map((p, i) => `${i === 0 ? 'M' : 'L'}${p.x.toFixed(1)},${(-p.y).toFixed(1)}`).join(' ') + ' Z';
+
+  return (
+    <Svg width="100%" height={HEIGHT} viewBox={viewBox}>
+      <Path d={d} stroke="#ea580c" strokeWidth={stroke * 1.5} fill="#fff7ed" />
+      <Circle cx="0" cy="0" r={r2} stroke="#333" strokeWidth={stroke} fill="#f8fafc" />
+      <Circle cx="0" cy="0" r={casing.tongueRadius_mm} stroke="#94a3b8" strokeWidth={stroke} strokeDasharray={`${stroke * 4},${stroke * 4}`} fill="none" />
+      <Line x1={-r2 * 1.1} y1="0" x2={r2 * 1.1} y2="0" stroke="#94a3b8" strokeWidth={stroke / 2} />
+      <Line x1="0" y1={-r2 * 1.1} x2="0" y2={r2 * 1.1} stroke="#94a3b8" strokeWidth={stroke / 2} />
+    </Svg>
+  );
+};
+
+export default CasingSketch;
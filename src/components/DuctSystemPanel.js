@@ -0,0 +1,148 @@
+// DuctSystemPanel.js - Duct runs and fittings summed into the fan's static pressure
+import React, { useState, useMemo } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { SHAPES, FITTINGS, systemPressure, validateComponent } from '../ductSystem';
+import { convert } from '../units';
+
+const EMPTY_DRAFT = { kind: 'duct', shape: 'round', diameter: '', width: '', height: '', length: '', fitting: 'elbow90', K: String(FITTINGS.elbow90.K), count: '1' };
+
+// system: stored components (mm, m); flowCFM/density: current duty in engine units.
+// Run lengths use the distance unit (m / ft), duct sizes the length unit.
+const DuctSystemPanel = ({ system, onChange, flowCFM, density, units, show, onApply }) => {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [error, setError] = useState(null);
+
+  const loss = useMemo(
+    () => (flowCFM > 0 ? systemPressure(system, flowCFM, density) : null),
+    [system, flowCFM, density]
+  );
+
+  const set = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+
+  const selectFitting = (fitting) => setDraft(prev => ({ ...prev, fitting, K: String(FITTINGS[fitting].K) }));
+
+  const add = () => {
+    const size = (text) => convert('length', parseFloat(text), units.length, 'mm');
+    const component = {
+      id: Date.now(),
+      kind: draft.kind,
+      shape: draft.shape,
+      ...(draft.shape === 'rectangular'
+        ? { width_mm: size(draft.width), height_mm: size(draft.height) }
+        : { diameter_mm: size(draft.diameter) }),
+      ...(draft.kind === 'duct'
+        ? { length_m: convert('distance', parseFloat(draft.length), units.distance, 'm') }
+        : { fitting: draft.fitting, K: parseFloat(draft.K), count: Number(draft.count) })
+    };
+    const problems = validateComponent(component);
+    if (problems.length > 0) {
+      setError('Enter a positive size, length, K and count.');
+      return;
+    }
+    setError(null);
+    onChange([...system, component]);
+  };
+
+  const remove = (id) => onChange(system.filter(c => c.id !== id));
+
+  const sizeText = (c) => (c.shape === 'rectangular'
+    ? `${show('length', c.width_mm).toFixed(0)}×${show('length', c.height_mm).toFixed(0)} ${units.length}`
+    : `Ø${show('length', c.diameter_mm).toFixed(0)} ${units.length}`);
+
+  const describe = (c) => (c.kind === 'duct'
+    ? `${SHAPES[c.shape]} duct ${sizeText(c)}, ${convert('distance', c.length_m, 'm', units.distance).toFixed(1)} ${units.distance}`
+    : `${c.count > 1 ? `${c.count}× ` : ''}${FITTINGS[c.fitting].label} (K ${c.K}) in ${sizeText(c)}`);
+
+  const chips = (options, value, onSelect) => (
+    <View style={styles.row}>
+      {Object.keys(options).map(key => (
+        <TouchableOpacity key={key} style={[styles.chip, value === key && styles.chipActive]} onPress={() => onSelect(key)}>
+          <Text style={value === key ? styles.chipTextActive : styles.chipText}>{options[key].label || options[key]}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const field = (key, label, unit) => (
+    <View key={key} style={styles.field}>
+      <Text style={styles.fieldLabel}>{label}{unit ? ` (${unit})` : ''}</Text>
+      <TextInput style={styles.input} value={draft[key]} onChangeText={(text) => set(key, text)} keyboardType="numeric" />
+    </View>
+  );
+
+  return (
+    <View style={styles.panel}>
+      {system.length === 0 && <Text style={styles.meta}>No components yet. Add duct runs and fittings below.</Text>}
+      {system.map((c, i) => {
+        const item = loss && loss.items[i];
+        return (
+          <View key={c.id} style={styles.item}>
+            <View style={styles.itemText}>
+              <Text style={styles.name}>{describe(c)}</Text>
+              {item && (
+                <Text style={styles.meta}>
+                  {show('pressure', item.dp_pa).toFixed(3)} {units.pressure} ({(item.share * 100).toFixed(0)}%) at {item.velocity_ms.toFixed(1)} m/s
+                </Text>
+              )}
+            </View>
+            <TouchableOpacity onPress={() => remove(c.id)}>
+              <Text style={styles.action}>Remove</Text>
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+
+      {chips({ duct: 'Duct Run', fitting: 'Fitting' }, draft.kind, (kind) => set('kind', kind))}
+      {draft.kind === 'fitting' && chips(FITTINGS, draft.fitting, selectFitting)}
+      {chips(SHAPES, draft.shape, (shape) => set('shape', shape))}
+      <View style={styles.fields}>
+        {draft.shape === 'rectangular'
+          ? [field('width', 'Width', units.length), field('height', 'Height', units.length)]
+          : field('diameter', 'Diameter', units.length)}
+        {draft.kind === 'duct'
+          ? field('length', 'Length', units.distance)
+          : [field('K', 'Loss Coefficient K'), field('count', 'Count')]}
+      </View>
+      {error && <Text style={styles.error}>{error}</Text>}
+      <TouchableOpacity onPress={add}>
+        <Text style={styles.action}>Add Component</Text>
+      </TouchableOpacity>
+
+      {loss && system.length > 0 && (
+        <View style={styles.total}>
+          <Text style={styles.name}>
+            System loss: {show('pressure', loss.total_pa).toFixed(3)} {units.pressure} at ρ {density.toFixed(3)} kg/m³
+          </Text>
+          <TouchableOpacity style={styles.applyButton} onPress={() => onApply(loss.total_pa)}>
+            <Text style={styles.applyButtonText}>Use as Static Pressure</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+      {!loss && system.length > 0 && <Text style={styles.error}>Enter a flow rate to size the system.</Text>}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  panel: { marginTop: 8, padding: 10, borderRadius: 8, borderWidth: 1, borderColor: '#e2e8f0', backgroundColor: '#f8fafc' },
+  row: { flexDirection: 'row', flexWrap: 'wrap', gap: 6, marginTop: 8 },
+  chip: { paddingVertical: 4, paddingHorizontal: 10, borderWidth: 1, borderColor: '#cbd5e1', borderRadius: 20 },
+  chipActive: { backgroundColor: '#dbeafe', borderColor: '#93c5fd' },
+  chipText: { fontSize: 12, color: '#475569' },
+  chipTextActive: { fontSize: 12, color: '#1d4ed8', fontWeight: '600' },
+  fields: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginTop: 8 },
+  field: { width: '47%' },
+  fieldLabel: { fontSize: 12, color: '#475569', marginBottom: 2 },
+  input: { borderWidth: 1, borderColor: '#cbd5e1', borderRadius: 6, padding: 6, fontSize: 14, backgroundColor: '#fff' },
+  item: { flexDirection: 'row', alignItems: 'center', paddingVertical: 6, borderBottomWidth: 1, borderBottomColor: '#f1f5f9' },
+  itemText: { flex: 1 },
+  name: { fontSize: 13, fontWeight: '600', color: '#1e293b' },
+  meta: { fontSize: 12, color: '#64748b' },
+  error: { fontSize: 12, color: '#b91c1c', marginTop: 4 },
+  action: { fontSize: 13, color: '#3b82f6', textDecorationLine: 'underline', marginTop: 8 },
+  total: { marginTop: 12 },
+  applyButton: { marginTop: 8, backgroundColor: '#1d4ed8', padding: 10, borderRadius: 8, alignItems: 'center' },
+  applyButtonText: { color: '#fff', fontWeight: '600' }
+});
+
+export default DuctSystemPanel;
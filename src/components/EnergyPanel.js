@@ -0,0 +1,127 @@
+// EnergyPanel.js - Running-cost settings and annual energy for the current design
+import React, { useMemo } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { CONTROL_METHODS, validateEnergySettings, annualEnergy } from '../energy';
+
+const FIELDS = [
+  { key: 'hours', label: 'Operating Hours', unit: 'h/yr' },
+  { key: 'tariff', label: 'Electricity Tariff', unit: '$/kWh' },
+  { key: 'co2Factor', label: 'CO₂ Factor', unit: 'kg/kWh' },
+  { key: 'motorEfficiency', label: 'Motor Efficiency', unit: '%' },
+  { key: 'extraCost', label: 'Extra Cost vs Baseline', unit: '$', placeholder: 'material cost difference' }
+];
+
+const formatMoney = (value) => `$${value.toFixed(0)}`;
+
+// settings: stored form values; onChange(settings) with every edit. Comparison against a saved
+// baseline lives in the history browser, which uses the same settings.
+const EnergyPanel = ({ results, settings, onChange }) => {
+  const errors = useMemo(() => validateEnergySettings(settings), [settings]);
+  const valid = Object.keys(errors).length === 0;
+
+  const analysis = useMemo(() => {
+    if (!valid) return null;
+    const other = settings.control === 'vfd' ? 'damper' : 'vfd';
+    // A profile above design flow has no damper equivalent
+    const otherValid = Object.keys(validateEnergySettings({ ...settings, control: other })).length === 0;
+    return { chosen: annualEnergy(results, settings), other: otherValid ? annualEnergy(results, settings, other) : null };
+  }, [results, settings, valid]);
+
+  const set = (key, value) => onChange({ ...settings, [key]: value });
+
+  const setStep = (i, key, value) =>
+    set('profile', settings.profile.map((step, j) => (j === i ? { ...step, [key]: value } : step)));
+
+  return (
+    <View>
+      {FIELDS.map(field => (
+        <View key={field.key} style={styles.row}>
+          <Text style={styles.label}>{field.label} ({field.unit})</Text>
+          <TextInput
+            style={[styles.input, errors[field.key] && styles.inputError]}
+            value={settings[field.key]}
+            onChangeText={(text) => set(field.key, text)}
+            placeholder={field.placeholder}
+            keyboardType="numeric"
+          />
+        </View>
+      ))}
+      {FIELDS.filter(f => errors[f.key]).map(f => (
+        <Text key={f.key} style={styles.error}>{f.label}: {errors[f.key]}</Text>
+      ))}
+
+      <View style={styles.chips}>
+        {Object.keys(CONTROL_METHODS).map(key => (
+          <TouchableOpacity
+            key={key}
+            style={[styles.chip, settings.control === key && styles.chipActive]}
+            onPress={() => set('control', key)}
+          >
+            <Text style={settings.control === key ? styles.chipTextActive : styles.chipText}>{CONTROL_METHODS[key]}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <Text style={styles.subtitle}>Duty Profile</Text>
+      {settings.profile.map((step, i) => (
+        <View key={i} style={styles.stepRow}>
+          <TextInput style={styles.stepInput} value={step.flowPct} onChangeText={(text) => setStep(i, 'flowPct', text)} keyboardType="numeric" />
+          <Text style={styles.stepUnit}>% flow for</Text>
+          <TextInput style={styles.stepInput} value={step.hoursPct} onChangeText={(text) => setStep(i, 'hoursPct', text)} keyboardType="numeric" />
+          <Text style={styles.stepUnit}>% of hours</Text>
+          <TouchableOpacity onPress={() => set('profile', settings.profile.filter((_, j) => j !== i))}>
+            <Text style={styles.remove}>Remove</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+      <TouchableOpacity onPress={() => set('profile', [...settings.profile, { flowPct: '', hoursPct: '' }])}>
+        <Text style={styles.action}>Add Step</Text>
+      </TouchableOpacity>
+      {errors.profile && <Text style={styles.error}>{errors.profile}</Text>}
+
+      {analysis && (
+        <View style={styles.summary}>
+          <Text style={styles.title}>
+            {analysis.chosen.kWh.toFixed(0)} kWh/yr | {formatMoney(analysis.chosen.cost)}/yr | {(analysis.chosen.co2_kg / 1000).toFixed(2)} t CO₂/yr
+          </Text>
+          <Text style={styles.detail}>Average input {analysis.chosen.average_kW.toFixed(2)} kW</Text>
+          {analysis.chosen.steps.map((step, i) => (
+            <Text key={i} style={styles.detail}>
+              {step.flowPct}% flow: {step.input_kW.toFixed(2)} kW × {step.hours.toFixed(0)} h = {step.kWh.toFixed(0)} kWh
+            </Text>
+          ))}
+          {analysis.other && (
+            <Text style={styles.detail}>
+              With {CONTROL_METHODS[analysis.other.control].toLowerCase()}: {analysis.other.kWh.toFixed(0)} kWh/yr,
+              {' '}{formatMoney(analysis.other.cost)}/yr ({formatMoney(analysis.other.cost - analysis.chosen.cost)} difference)
+            </Text>
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: { flexDirection: 'row', alignItems: 'center', marginBottom: 8 },
+  label: { flex: 1, fontSize: 13, color: '#475569' },
+  input: { width: 120, borderWidth: 1, borderColor: '#cbd5e1', borderRadius: 6, padding: 6, fontSize: 14 },
+  inputError: { borderColor: '#dc2626' },
+  error: { fontSize: 12, color: '#b91c1c', marginBottom: 4 },
+  chips: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginVertical: 8 },
+  chip: { paddingVertical: 4, paddingHorizontal: 10, borderWidth: 1, borderColor: '#cbd5e1', borderRadius: 20 },
+  chipActive: { backgroundColor: '#dbeafe', borderColor: '#93c5fd' },
+  chipText: { fontSize: 12, color: '#475569' },
+  chipTextActive: { fontSize: 12, color: '#1d4ed8', fontWeight: '600' },
+  subtitle: { fontSize: 14, fontWeight: '600', color: '#1e293b', marginTop: 4, marginBottom: 4 },
+  stepRow: { flexDirection: 'row', alignItems: 'center', gap: 6, marginBottom: 6 },
+  stepInput: { width: 56, borderWidth: 1, borderColor: '#cbd5e1', borderRadius: 6, padding: 6, fontSize: 14 },
+  stepUnit: { fontSize: 12, color: '#475569' },
+  remove: { fontSize: 12, color: '#dc2626', textDecorationLine: 'underline' },
+  action: { fontSize: 13, color: '#3b82f6', textDecorationLine: 'underline', marginTop: 4 },
+  summary: { marginTop: 12, padding: 12, borderRadius: 8, borderWidth: 1, borderColor: '#e2e8f0', backgroundColor: '#f8fafc' },
+  title: { fontSize: 14, fontWeight: 'bold', color: '#1e293b', marginBottom: 4 },
+  detail: { fontSize: 12, color: '#475569', marginBottom: 2 }
+});
+
+export default EnergyPanel;
@@ -0,0 +1,122 @@
+// FanCurveChart.js - Fan performance curve plot for FanDesign Pro
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import {
+  Svg,
+  Circle,
+  Path,
+  Line,
+  Rect,
+  G,
+  Text as SvgText,
+} from 'react-native-svg';
+import { systemPressure } from '../fanCurve';
+
+const WIDTH = 320;
+const HEIGHT = 220;
+const PAD = { left: 44, right: 34, top: 12, bottom: 30 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+const TICKS = [0, 0.25, 0.5, 0.75, 1];
+
+const COLORS = {
+  pressure: '#1d4ed8',
+  power: '#ea580c',
+  efficiency: '#16a34a',
+  system: '#64748b',
+  stall: '#fee2e2'
+};
+
+const formatTick = (value) => (Math.abs(value) >= 100 ? value.toFixed(0) : value.toPrecision(2));
+
+const toPath = (pts) => pts.map((p, i) => `${i === 0 ? 'M' : 'L'}${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ');
+
+// curve/operating are in engine units; show(quantity, value) converts to the selected display units
+const FanCurveChart = ({ curve, operating, systemK, show, units }) => {
+  const maxFlow = curve.points[curve.points.length - 1].flow;
+  const maxPressure = Math.max(...curve.points.map(p => p.pressure)) * 1.15;
+  const maxPower = Math.max(...curve.points.map(p => p.powerHP)) * 1.15;
+
+  const x = (flow) => PAD.left + (flow / maxFlow) * PLOT_W;
+  const yP = (pressure) => PAD.top + PLOT_H - (Math.min(pressure, maxPressure) / maxPressure) * PLOT_H;
+  const yPow = (power) => PAD.top + PLOT_H - (power / maxPower) * PLOT_H;
+  const yEff = (eff) => PAD.top + PLOT_H - eff * PLOT_H;
+
+  const pressurePath = toPath(curve.points.map(p => ({ x: x(p.flow), y: yP(p.pressure) })));
+  const powerPath = toPath(curve.points.map(p => ({ x: x(p.flow), y: yPow(p.powerHP) })));
+  const effPath = toPath(curve.points.map(p => ({ x: x(p.flow), y: yEff(p.efficiency) })));
+
+  const systemPath = systemK > 0
+    ? toPath(curve.points
+      .filter(p => systemPressure(systemK, p.flow) <= maxPressure)
+      .map(p => ({ x: x(p.flow), y: yP(systemPressure(systemK, p.flow)) })))
+    : null;
+
+  return (
+    <View>
+      <Svg width="100%" height={HEIGHT} viewBox={`0 0 ${WIDTH} ${HEIGHT}`}>
+        {/* Surge / stall region */}
+        <Rect x={PAD.left} y={PAD.top} width={x(curve.stallFlow) - PAD.left} height={PLOT_H} fill={COLORS.stall} />
+        <SvgText x={PAD.left + 4} y={PAD.top + 12} fontSize="9" fill="#b91c1c">STALL</SvgText>
+
+        {/* Axes and grid */}
+        <G>
+          {TICKS.map(t => (
+            <G key={t}>
+              <Line x1={PAD.left} y1={PAD.top + PLOT_H * (1 - t)} x2={PAD.left + PLOT_W} y2={PAD.top + PLOT_H * (1 - t)} stroke="#e2e8f0" />
+              <SvgText x={PAD.left - 4} y={PAD.top + PLOT_H * (1 - t) + 3} fontSize="8" fill={COLORS.pressure} textAnchor="end">
+                {formatTick(show('pressure', maxPressure * t))}
+              </SvgText>
+              <SvgText x={PAD.left + PLOT_W + 4} y={PAD.top + PLOT_H * (1 - t) + 3} fontSize="8" fill={COLORS.efficiency}>
+                {(t * 100).toFixed(0)}%
+              </SvgText>
+              <SvgText x={PAD.left + PLOT_W * t} y={PAD.top + PLOT_H + 12} fontSize="8" fill="#475569" textAnchor="middle">
+                {formatTick(show('flow', maxFlow * t))}
+              </SvgText>
+            </G>
+          ))}
+          <Line x1={PAD.left} y1={PAD.top} x2={PAD.left} y2={PAD.top + PLOT_H} stroke="#334155" />
+          <Line x1={PAD.left} y1={PAD.top + PLOT_H} x2={PAD.left + PLOT_W} y2={PAD.top + PLOT_H} stroke="#334155" />
+          <SvgText x={PAD.left + PLOT_W / 2} y={HEIGHT - 4} fontSize="9" fill="#475569" textAnchor="middle">
+            Flow ({units.flow})
+          </SvgText>
+        </G>
+
+        {/* Curves */}
+        {systemPath && <Path d={systemPath} stroke={COLORS.system} strokeWidth="1.5" strokeDasharray="5,3" fill="none" />}
+        <Path d={effPath} stroke={COLORS.efficiency} strokeWidth="1.5" fill="none" />
+        <Path d={powerPath} stroke={COLORS.power} strokeWidth="1.5" fill="none" />
+        <Path d={pressurePath} stroke={COLORS.pressure} strokeWidth="2" fill="none" />
+
+        {/* Best efficiency point */}
+        <Circle cx={x(curve.bep.flow)} cy={yEff(curve.bep.efficiency)} r="4" fill={COLORS.efficiency} />
+        <SvgText x={x(curve.bep.flow)} y={yEff(curve.bep.efficiency) - 6} fontSize="8" fill={COLORS.efficiency} textAnchor="middle">BEP</SvgText>
+
+        {/* Operating point */}
+        {operating && (
+          <G>
+            <Line x1={x(operating.flow)} y1={yP(operating.pressure)} x2={x(operating.flow)} y2={PAD.top + PLOT_H} stroke="#0f172a" strokeDasharray="2,2" />
+            <Circle cx={x(operating.flow)} cy={yP(operating.pressure)} r="5" fill={operating.inStall ? '#dc2626' : '#0f172a'} />
+            <SvgText x={x(operating.flow) + 6} y={yP(operating.pressure) - 6} fontSize="8" fill="#0f172a">OP</SvgText>
+          </G>
+        )}
+      </Svg>
+
+      <View style={styles.legend}>
+        <Text style={[styles.legendItem, { color: COLORS.pressure }]}>— Static pressure ({units.pressure})</Text>
+        <Text style={[styles.legendItem, { color: COLORS.power }]}>
+          — Brake power (max {show('power', maxPower / 1.15).toFixed(2)} {units.power})
+        </Text>
+        <Text style={[styles.legendItem, { color: COLORS.efficiency }]}>— Efficiency (%)</Text>
+        <Text style={[styles.legendItem, { color: COLORS.system }]}>- - System curve</Text>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  legend: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginTop: 4 },
+  legendItem: { fontSize: 11 }
+});
+
+export default FanCurveChart;
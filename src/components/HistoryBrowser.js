@@ -0,0 +1,227 @@
+// HistoryBrowser.js - Search, manage and compare saved designs
+import React, { useState, useMemo } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { displayName, filterHistory, evaluateItem, compareDesigns } from '../history';
+import { validateEnergySettings, lifecycleComparison } from '../energy';
+
+const MAX_COMPARE = 3;
+
+const formatCell = (value) => (typeof value === 'number' ? value.toFixed(2) : String(value));
+
+// Distinct values of one input across the saved designs, for the filter chips
+const distinctInputs = (history, key) =>
+  [...new Set(history.map(item => item.inputs[key]).filter(Boolean))].sort();
+
+// energySettings: running-cost settings for the two-design lifecycle comparison
+const HistoryBrowser = ({ history, materials, units, show, energySettings, onLoad, onRename, onTogglePin, onDelete, onScale }) => {
+  const [query, setQuery] = useState('');
+  const [pinnedOnly, setPinnedOnly] = useState(false);
+  const [materialFilter, setMaterialFilter] = useState(null);
+  const [bladeTypeFilter, setBladeTypeFilter] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+  const [selected, setSelected] = useState([]);
+
+  const materialOptions = useMemo(() => distinctInputs(history, 'material'), [history]);
+  const bladeTypeOptions = useMemo(() => distinctInputs(history, 'bladeType'), [history]);
+
+  // A filter whose chip is no longer shown (its designs were deleted) no longer applies
+  const material = materialOptions.length > 1 && materialOptions.includes(materialFilter) ? materialFilter : null;
+  const bladeType = bladeTypeOptions.length > 1 && bladeTypeOptions.includes(bladeTypeFilter) ? bladeTypeFilter : null;
+
+  const visible = useMemo(
+    () => filterHistory(history, query, { pinnedOnly, material, bladeType }),
+    [history, query, pinnedOnly, material, bladeType]
+  );
+
+  // Tapping the active chip clears that filter
+  const renderChips = (options, active, setActive) => (
+    <View style={styles.filterRow}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option}
+          style={[styles.chip, active === option && styles.chipActive]}
+          onPress={() => setActive(active === option ? null : option)}
+        >
+          <Text style={active === option ? styles.chipTextActive : styles.chipText}>{option}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  // Deleted designs drop out of the comparison
+  const compareItems = selected.map(id => history.find(item => item.id === id)).filter(Boolean);
+  const comparison = useMemo(
+    () => (compareItems.length >= 2 ? compareDesigns(compareItems, materials) : null),
+    [compareItems.map(item => item.id).join(','), history, materials]
+  );
+
+  // Exactly two designs: the first selected is the baseline for energy and payback
+  const lifecycle = useMemo(() => {
+    if (compareItems.length !== 2 || !energySettings) return null;
+    if (Object.keys(validateEnergySettings(energySettings)).length > 0) return null;
+    const [baseline, candidate] = compareItems.map(item => evaluateItem(item, materials).results);
+    return lifecycleComparison(baseline, candidate, energySettings);
+  }, [compareItems.map(item => item.id).join(','), history, materials, energySettings]);
+
+  const toggleSelect = (id) => {
+    setSelected(prev => {
+      if (prev.includes(id)) return prev.filter(x => x !== id);
+      if (prev.length >= MAX_COMPARE) return prev;
+      return [...prev, id];
+    });
+  };
+
+  const startRename = (item) => {
+    setEditingId(item.id);
+    setDraftName(displayName(item));
+  };
+
+  const commitRename = () => {
+    onRename(editingId, draftName);
+    setEditingId(null);
+  };
+
+  const confirmDelete = (item) => {
+    Alert.alert('Delete design', `Delete "${displayName(item)}"?`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Delete', style: 'destructive', onPress: () => onDelete(item.id) }
+    ]);
+  };
+
+  return (
+    <View>
+      <TextInput
+        style={styles.search}
+        value={query}
+        onChangeText={setQuery}
+        placeholder="Search name, material, blade type..."
+      />
+      <View style={styles.filterRow}>
+        <TouchableOpacity
+          style={[styles.chip, !pinnedOnly && styles.chipActive]}
+          onPress={() => setPinnedOnly(false)}
+        >
+          <Text style={!pinnedOnly ? styles.chipTextActive : styles.chipText}>All ({history.length})</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.chip, pinnedOnly && styles.chipActive]}
+          onPress={() => setPinnedOnly(true)}
+        >
+          <Text style={pinnedOnly ? styles.chipTextActive : styles.chipText}>Pinned</Text>
+        </TouchableOpacity>
+      </View>
+      {materialOptions.length > 1 && renderChips(materialOptions, material, setMaterialFilter)}
+      {bladeTypeOptions.length > 1 && renderChips(bladeTypeOptions, bladeType, setBladeTypeFilter)}
+
+      {visible.length === 0 && <Text style={styles.empty}>No designs match.</Text>}
+      {visible.map(item => (
+        <View key={item.id} style={[styles.item, selected.includes(item.id) && styles.itemSelected]}>
+          {editingId === item.id ? (
+            <View style={styles.renameRow}>
+              <TextInput style={styles.renameInput} value={draftName} onChangeText={setDraftName} autoFocus />
+              <TouchableOpacity onPress={commitRename}>
+                <Text style={styles.action}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <Text style={styles.name}>{item.pinned ? '📌 ' : ''}{displayName(item)}</Text>
+          )}
+          {item.name ? <Text style={styles.meta}>{item.timestamp}</Text> : null}
+          <Text style={styles.meta}>
+            {show('flow', item.summary.flow).toFixed(0)} {units.flow} | {show('pressure', item.summary.pressure).toFixed(2)} {units.pressure}
+            {' | '}{item.inputs.bladeType} {item.inputs.material}
+          </Text>
+          <View style={styles.actions}>
+            <TouchableOpacity onPress={() => onLoad(item)}><Text style={styles.action}>Load</Text></TouchableOpacity>
+            <TouchableOpacity onPress={() => startRename(item)}><Text style={styles.action}>Rename</Text></TouchableOpacity>
+            <TouchableOpacity onPress={() => onTogglePin(item.id)}>
+              <Text style={styles.action}>{item.pinned ? 'Unpin' : 'Pin'}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => toggleSelect(item.id)}>
+              <Text style={styles.action}>{selected.includes(item.id) ? 'Uncompare' : 'Compare'}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => onScale(item)}><Text style={styles.action}>Scale</Text></TouchableOpacity>
+            <TouchableOpacity onPress={() => confirmDelete(item)}><Text style={styles.deleteAction}>Delete</Text></TouchableOpacity>
+          </View>
+        </View>
+      ))}
+
+      {compareItems.length === 1 && <Text style={styles.empty}>Select one or two more designs to compare.</Text>}
+      {comparison && (
+        <View style={styles.compare}>
+          <Text style={styles.compareTitle}>Side-by-side Comparison</Text>
+          <View style={styles.tableRow}>
+            <Text style={styles.cellLabel}></Text>
+            {compareItems.map(item => (
+              <Text key={item.id} style={[styles.cell, styles.cellHeader]} numberOfLines={2}>{displayName(item)}</Text>
+            ))}
+          </View>
+          {comparison.map(row => (
+            <View key={row.label} style={[styles.tableRow, row.differs && styles.rowDiffers]}>
+              <Text style={styles.cellLabel}>
+                {row.label}{row.quantity ? ` (${units[row.quantity]})` : ''}
+              </Text>
+              {row.values.map((value, i) => (
+                <Text key={i} style={[styles.cell, row.differs && styles.cellDiffers]}>
+                  {formatCell(row.quantity ? show(row.quantity, value) : value)}
+                </Text>
+              ))}
+            </View>
+          ))}
+        </View>
+      )}
+      {lifecycle && (
+        <View style={styles.compare}>
+          <Text style={styles.compareTitle}>Energy & Payback (baseline: {displayName(compareItems[0])})</Text>
+          {[
+            { label: 'Annual Energy (kWh)', values: [lifecycle.baseline.kWh, lifecycle.candidate.kWh] },
+            { label: 'Energy Cost ($/yr)', values: [lifecycle.baseline.cost, lifecycle.candidate.cost] },
+            { label: 'CO₂ (t/yr)', values: [lifecycle.baseline.co2_kg / 1000, lifecycle.candidate.co2_kg / 1000] }
+          ].map(row => (
+            <View key={row.label} style={styles.tableRow}>
+              <Text style={styles.cellLabel}>{row.label}</Text>
+              {row.values.map((value, i) => <Text key={i} style={styles.cell}>{formatCell(value)}</Text>)}
+            </View>
+          ))}
+          <Text style={styles.meta}>
+            Saves {lifecycle.kWhSaved.toFixed(0)} kWh, ${lifecycle.costSaved.toFixed(0)} and {(lifecycle.co2Saved_kg / 1000).toFixed(2)} t CO₂ a year
+            {' '}for ${lifecycle.extraCost.toFixed(0)} extra{lifecycle.extraCostEntered ? '' : ' (material cost difference)'}.
+          </Text>
+          <Text style={styles.name}>
+            {lifecycle.paybackYears === null ? 'Never pays back' : `Payback: ${lifecycle.paybackYears.toFixed(1)} years`}
+          </Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  search: { borderWidth: 1, borderColor: '#cbd5e1', borderRadius: 6, padding: 8, fontSize: 14, marginBottom: 8 },
+  filterRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 8 },
+  chip: { paddingVertical: 4, paddingHorizontal: 10, borderWidth: 1, borderColor: '#cbd5e1', borderRadius: 20 },
+  chipActive: { backgroundColor: '#dbeafe', borderColor: '#93c5fd' },
+  chipText: { fontSize: 12, color: '#475569' },
+  chipTextActive: { fontSize: 12, color: '#1d4ed8', fontWeight: '600' },
+  empty: { fontSize: 13, color: '#64748b', marginVertical: 8 },
+  item: { padding: 12, borderBottomWidth: 1, borderBottomColor: '#f1f5f9' },
+  itemSelected: { backgroundColor: '#eff6ff' },
+  name: { fontSize: 14, fontWeight: '600', color: '#1e293b' },
+  meta: { fontSize: 12, color: '#64748b' },
+  renameRow: { flexDirection: 'row', alignItems: 'center', gap: 8 },
+  renameInput: { flex: 1, borderWidth: 1, borderColor: '#cbd5e1', borderRadius: 6, padding: 6, fontSize: 14 },
+  actions: { flexDirection: 'row', flexWrap: 'wrap', gap: 12, marginTop: 6 },
+  action: { fontSize: 12, color: '#3b82f6', textDecorationLine: 'underline' },
+  deleteAction: { fontSize: 12, color: '#dc2626', textDecorationLine: 'underline' },
+  compare: { marginTop: 16 },
+  compareTitle: { fontSize: 14, fontWeight: '600', color: '#1e293b', marginBottom: 8 },
+  tableRow: { flexDirection: 'row', paddingVertical: 6, borderBottomWidth: 1, borderBottomColor: '#f1f5f9' },
+  rowDiffers: { backgroundColor: '#fef3c7' },
+  cellLabel: { flex: 2, fontSize: 12, color: '#475569' },
+  cellHeader: { fontWeight: '600', fontSize: 11 },
+  cell: { flex: 1, fontSize: 12, color: '#1e293b', textAlign: 'right' },
+  cellDiffers: { fontWeight: 'bold', color: '#b45309' }
+});
+
+export default HistoryBrowser;
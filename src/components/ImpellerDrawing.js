@@ -0,0 +1,171 @@
+// ImpellerDrawing.js - Dimensioned front and side views with pinch-zoom and pan
+import React, { useState, useRef, useMemo } from 'react';
+import { View, Text, TouchableOpacity, PanResponder, StyleSheet } from 'react-native';
+import {
+  Svg,
+  Circle,
+  Path,
+  Line,
+  Rect,
+  G,
+  Text as SvgText,
+  Defs,
+  Marker,
+} from 'react-native-svg';
+import { STYLES, DIMENSION_COLOR, ARROW_PATHS, labelPosition } from '../impellerDrawing';
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 8;
+const INITIAL_VIEW = { zoom: 1, panX: 0, panY: 0 };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const touchDistance = (touches) =>
+  Math.hypot(touches[0].pageX - touches[1].pageX, touches[0].pageY - touches[1].pageY);
+
+// drawing: buildImpellerDrawing() model in millimetres
+const ImpellerDrawing = ({ drawing }) => {
+  const { viewBox, lineWidth, textSize, items } = drawing;
+  const [view, setView] = useState(INITIAL_VIEW);
+  const [layoutWidth, setLayoutWidth] = useState(320);
+  const height = Math.round((layoutWidth * viewBox.height) / viewBox.width);
+
+  // Gesture bookkeeping lives in a ref so the responder, created once, sees current values
+  const gesture = useRef({ start: INITIAL_VIEW, distance: 0, view: INITIAL_VIEW, worldPerPixel: 1 });
+  gesture.current.view = view;
+  gesture.current.worldPerPixel = viewBox.width / layoutWidth;
+
+  // Only pinches, and drags once zoomed in, belong to the drawing; other touches scroll the page
+  const wantsGesture = (touchCount) => touchCount >= 2 || gesture.current.view.zoom > MIN_ZOOM;
+
+  const responder = useMemo(() => PanResponder.create({
+    onStartShouldSetPanResponder: (evt) => wantsGesture(evt.nativeEvent.touches.length),
+    onMoveShouldSetPanResponder: (evt, g) => wantsGesture(g.numberActiveTouches),
+    onPanResponderTerminationRequest: () => !gesture.current.distance && gesture.current.view.zoom <= MIN_ZOOM,
+    onPanResponderGrant: () => {
+      gesture.current.start = gesture.current.view;
+      gesture.current.distance = 0;
+    },
+    onPanResponderMove: (evt, g) => {
+      const { touches } = evt.nativeEvent;
+      const { start, worldPerPixel } = gesture.current;
+      if (touches.length >= 2) {
+        const distance = touchDistance(touches);
+        if (!gesture.current.distance) {
+          gesture.current.distance = distance;
+          return;
+        }
+        setView({ ...start, zoom: clamp((start.zoom * distance) / gesture.current.distance, MIN_ZOOM, MAX_ZOOM) });
+      } else if (!gesture.current.distance) {
+        // Drag moves the drawing with the finger, in world units at the current zoom
+        const scale = worldPerPixel / start.zoom;
+        setView({ ...start, panX: start.panX - g.dx * scale, panY: start.panY - g.dy * scale });
+      }
+    }
+  }), []);
+
+  const width = viewBox.width / view.zoom;
+  const visibleHeight = viewBox.height / view.zoom;
+  const cx = viewBox.x + viewBox.width / 2 + view.panX;
+  const cy = viewBox.y + viewBox.height / 2 + view.panY;
+  const visible = `${cx - width / 2} ${cy - visibleHeight / 2} ${width} ${visibleHeight}`;
+
+  const stroke = (name) => {
+    const s = STYLES[name];
+    return {
+      stroke: s.stroke,
+      strokeWidth: s.width * lineWidth,
+      fill: s.fill,
+      strokeDasharray: s.dash ? s.dash.map(d => d * lineWidth).join(',') : undefined
+    };
+  };
+
+  const renderItem = (item, i) => {
+    switch (item.type) {
+      case 'circle':
+        return <Circle key={i} cx={item.cx} cy={item.cy} r={item.r} {...stroke(item.style)} />;
+      case 'line':
+        return <Line key={i} x1={item.x1} y1={item.y1} x2={item.x2} y2={item.y2} {...stroke(item.style)} />;
+      case 'rect':
+        return <Rect key={i} x={item.x} y={item.y} width={item.width} height={item.height} {...stroke(item.style)} />;
+      case 'path':
+        return <Path key={i} d={item.d} {...stroke(item.style)} />;
+      case 'text':
+        return (
+          <SvgText key={i} x={item.x} y={item.y} fontSize={textSize} fill="#334155" textAnchor={item.anchor || 'start'}>
+            {item.value}
+          </SvgText>
+        );
+      case 'dimension': {
+        const label = labelPosition(item, textSize);
+        return (
+          <G key={i}>
+            {item.extensions.map(([a, b], j) => (
+              <Line key={j} x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke={DIMENSION_COLOR} strokeWidth={lineWidth * 0.5} />
+            ))}
+            <Line
+              x1={item.x1}
+              y1={item.y1}
+              x2={item.x2}
+              y2={item.y2}
+              {...stroke('dimension')}
+              markerStart="url(#arrowStart)"
+              markerEnd="url(#arrowEnd)"
+            />
+            <SvgText
+              x={label.x}
+              y={label.y}
+              fontSize={textSize}
+              fill={DIMENSION_COLOR}
+              textAnchor="middle"
+              transform={label.rotate ? `rotate(${label.rotate} ${label.x} ${label.y})` : undefined}
+            >
+              {item.label}
+            </SvgText>
+          </G>
+        );
+      }
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <View>
+      <View
+        style={styles.canvas}
+        onLayout={(e) => setLayoutWidth(e.nativeEvent.layout.width || 320)}
+        {...responder.panHandlers}
+      >
+        <Svg width="100%" height={height} viewBox={visible}>
+          <Defs>
+            <Marker id="arrowStart" viewBox="0 0 10 10" refX="0" refY="5" markerWidth="8" markerHeight="8" orient="auto">
+              <Path d={ARROW_PATHS.start} fill={DIMENSION_COLOR} />
+            </Marker>
+            <Marker id="arrowEnd" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto">
+              <Path d={ARROW_PATHS.end} fill={DIMENSION_COLOR} />
+            </Marker>
+          </Defs>
+          {items.map(renderItem)}
+        </Svg>
+      </View>
+      <View style={styles.toolbar}>
+        <Text style={styles.hint}>Pinch to zoom, drag to pan when zoomed ({view.zoom.toFixed(1)}×)</Text>
+        {(view.zoom !== 1 || view.panX !== 0 || view.panY !== 0) && (
+          <TouchableOpacity onPress={() => setView(INITIAL_VIEW)}>
+            <Text style={styles.action}>Reset View</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  canvas: { overflow: 'hidden', backgroundColor: '#fff', borderRadius: 6 },
+  toolbar: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginTop: 4 },
+  hint: { fontSize: 11, color: '#64748b' },
+  action: { fontSize: 13, color: '#3b82f6', textDecorationLine: 'underline' }
+});
+
+export default ImpellerDrawing;
@@ -0,0 +1,125 @@
+// MaterialEditor.js - Add, edit and delete custom materials next to the built-in ones
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { MATERIAL_FIELDS, isBuiltIn, validateMaterial, toMaterial, toDraft } from '../materialLibrary';
+
+const EMPTY_DRAFT = MATERIAL_FIELDS.reduce((acc, field) => ({ ...acc, [field.key]: '' }), { name: '' });
+
+// onSave(key, material) with key undefined for a new material; onDelete(key)
+const MaterialEditor = ({ materials, onSave, onDelete }) => {
+  const [editingKey, setEditingKey] = useState(null); // null: closed, 'new': adding
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+
+  const errors = validateMaterial(draft);
+  const isValid = Object.keys(errors).length === 0;
+
+  const open = (key, initial) => {
+    setEditingKey(key);
+    setDraft(initial);
+  };
+
+  const save = () => {
+    if (!isValid) return;
+    onSave(editingKey === 'new' ? undefined : editingKey, toMaterial(draft));
+    setEditingKey(null);
+  };
+
+  const confirmDelete = (key) => {
+    Alert.alert('Delete material', `Delete "${materials[key].name}"?`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Delete', style: 'destructive', onPress: () => onDelete(key) }
+    ]);
+  };
+
+  return (
+    <View>
+      {Object.keys(materials).map(key => (
+        <View key={key} style={styles.item}>
+          <Text style={styles.name}>{materials[key].name}{isBuiltIn(key) ? '  (built-in)' : ''}</Text>
+          <Text style={styles.meta}>
+            {materials[key].density} kg/m³ | {materials[key].yield} MPa | ν {materials[key].poisson}
+            {' | '}{materials[key].youngs} GPa | ${materials[key].price}/kg
+          </Text>
+          <View style={styles.actions}>
+            {isBuiltIn(key) ? (
+              <TouchableOpacity onPress={() => open('new', { ...toDraft(materials[key]), name: `${materials[key].name} (copy)` })}>
+                <Text style={styles.action}>Copy</Text>
+              </TouchableOpacity>
+            ) : (
+              <>
+                <TouchableOpacity onPress={() => open(key, toDraft(materials[key]))}>
+                  <Text style={styles.action}>Edit</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => confirmDelete(key)}>
+                  <Text style={styles.deleteAction}>Delete</Text>
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        </View>
+      ))}
+
+      {editingKey === null ? (
+        <TouchableOpacity style={styles.button} onPress={() => open('new', EMPTY_DRAFT)}>
+          <Text style={styles.buttonText}>Add Material</Text>
+        </TouchableOpacity>
+      ) : (
+        <View style={styles.form}>
+          <Text style={styles.formTitle}>{editingKey === 'new' ? 'New Material' : 'Edit Material'}</Text>
+          <View style={styles.field}>
+            <Text style={styles.label}>Name</Text>
+            <TextInput
+              style={[styles.input, errors.name && styles.inputError]}
+              value={draft.name}
+              onChangeText={(text) => setDraft({ ...draft, name: text })}
+            />
+          </View>
+          {MATERIAL_FIELDS.map(field => (
+            <View key={field.key} style={styles.field}>
+              <Text style={styles.label}>{field.label}{field.unit ? ` (${field.unit})` : ''}</Text>
+              <TextInput
+                style={[styles.input, errors[field.key] && styles.inputError]}
+                value={draft[field.key]}
+                onChangeText={(text) => setDraft({ ...draft, [field.key]: text })}
+                keyboardType="numeric"
+              />
+              {errors[field.key] && draft[field.key] !== '' && <Text style={styles.errorText}>{errors[field.key]}</Text>}
+            </View>
+          ))}
+          <View style={styles.formActions}>
+            <TouchableOpacity style={[styles.saveButton, !isValid && styles.buttonDisabled]} onPress={save} disabled={!isValid}>
+              <Text style={styles.saveButtonText}>Save</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.button} onPress={() => setEditingKey(null)}>
+              <Text style={styles.buttonText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  item: { paddingVertical: 8, borderBottomWidth: 1, borderBottomColor: '#f1f5f9' },
+  name: { fontSize: 14, fontWeight: '600', color: '#1e293b' },
+  meta: { fontSize: 12, color: '#64748b' },
+  actions: { flexDirection: 'row', gap: 12, marginTop: 4 },
+  action: { fontSize: 12, color: '#3b82f6', textDecorationLine: 'underline' },
+  deleteAction: { fontSize: 12, color: '#dc2626', textDecorationLine: 'underline' },
+  button: { flex: 1, marginTop: 8, padding: 10, backgroundColor: '#e0f2fe', borderRadius: 8, alignItems: 'center' },
+  buttonText: { color: '#0369a1', fontWeight: '600', fontSize: 13 },
+  buttonDisabled: { opacity: 0.5 },
+  form: { marginTop: 12, padding: 12, backgroundColor: '#f8fafc', borderRadius: 8 },
+  formTitle: { fontSize: 14, fontWeight: '600', color: '#1e293b', marginBottom: 8 },
+  field: { marginBottom: 8 },
+  label: { fontSize: 13, color: '#475569', marginBottom: 4 },
+  input: { borderWidth: 1, borderColor: '#cbd5e1', borderRadius: 6, padding: 8, fontSize: 14, backgroundColor: '#fff' },
+  inputError: { borderColor: '#dc2626' },
+  errorText: { fontSize: 12, color: '#dc2626', marginTop: 2 },
+  formActions: { flexDirection: 'row', gap: 8 },
+  saveButton: { flex: 1, marginTop: 8, padding: 10, backgroundColor: '#1d4ed8', borderRadius: 8, alignItems: 'center' },
+  saveButtonText: { color: '#fff', fontWeight: '600' }
+});
+
+export default MaterialEditor;
@@ -0,0 +1,89 @@
+// MotorPanel.js - Standard motor and drive recommendation with one-tap accept
+import React, { useState, useMemo } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { MOTOR_STANDARDS, DRIVE_TYPES, SERVICE_MARGIN, recommendMotor } from '../motors';
+
+const MARGINS = [0.1, SERVICE_MARGIN, 0.25];
+const SPEED_FLAG = 0.02; // direct-drive speed change that noticeably resizes the impeller
+
+// brakePowerHP/rpm in engine units; onAccept(recommendation) writes the motor back to the inputs
+const MotorPanel = ({ brakePowerHP, rpm, units, show, onAccept }) => {
+  const [standard, setStandard] = useState(units.power === 'kW' ? 'IEC' : 'NEMA');
+  const [drive, setDrive] = useState('belt');
+  const [margin, setMargin] = useState(SERVICE_MARGIN);
+
+  const rec = useMemo(
+    () => recommendMotor(brakePowerHP, rpm, { standard, drive, margin }),
+    [brakePowerHP, rpm, standard, drive, margin]
+  );
+
+  const chips = (options, value, onSelect, label) => (
+    <View style={styles.row}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option}
+          style={[styles.chip, value === option && styles.chipActive]}
+          onPress={() => onSelect(option)}
+        >
+          <Text style={value === option ? styles.chipTextActive : styles.chipText}>{label(option)}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return (
+    <View>
+      {chips(Object.keys(MOTOR_STANDARDS), standard, setStandard, s => MOTOR_STANDARDS[s].label)}
+      {chips(Object.keys(DRIVE_TYPES), drive, setDrive, d => DRIVE_TYPES[d])}
+      {chips(MARGINS, margin, setMargin, m => `+${(m * 100).toFixed(0)}% margin`)}
+
+      {!rec ? (
+        <Text style={styles.warning}>No motor in the {standard} catalog covers this duty.</Text>
+      ) : (
+        <View style={styles.card}>
+          <Text style={styles.title}>
+            {rec.motor.rating} {rec.motor.poles}-pole, frame {rec.motor.frame}
+          </Text>
+          <Text style={styles.detail}>
+            {rec.motor.ratedSpeed} RPM rated | efficiency {(rec.motor.efficiency * 100).toFixed(1)}%
+          </Text>
+          <Text style={styles.detail}>
+            Shaft power {show('power', rec.shaftPower_HP).toFixed(2)} {units.power}
+            {drive === 'belt' ? ' incl. belt loss' : ''} | required {show('power', rec.required_HP).toFixed(2)} {units.power}
+            {' | '}load {rec.loadPct.toFixed(0)}%
+          </Text>
+          {rec.pulleys ? (
+            <Text style={styles.detail}>
+              Pulleys: motor Ø{rec.pulleys.motor_mm} mm / fan Ø{rec.pulleys.fan_mm} mm (ratio {rec.pulleys.ratio.toFixed(2)})
+              {' → '}fan {rec.fanSpeed.toFixed(0)} RPM ({(rec.speedDeviation * 100).toFixed(1)}%)
+            </Text>
+          ) : (
+            <Text style={[styles.detail, Math.abs(rec.speedDeviation) > SPEED_FLAG && styles.warning]}>
+              Nearest pole speed {rec.fanSpeed} RPM, {(rec.speedDeviation * 100).toFixed(1)}% from the design {rpm.toFixed(0)} RPM
+              {Math.abs(rec.speedDeviation) > SPEED_FLAG ? ' — the impeller is resized for this speed' : ''}
+            </Text>
+          )}
+          <TouchableOpacity style={styles.acceptButton} onPress={() => onAccept(rec)}>
+            <Text style={styles.acceptButtonText}>Use This Motor</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 8 },
+  chip: { paddingVertical: 4, paddingHorizontal: 10, borderWidth: 1, borderColor: '#cbd5e1', borderRadius: 20 },
+  chipActive: { backgroundColor: '#dbeafe', borderColor: '#93c5fd' },
+  chipText: { fontSize: 12, color: '#475569' },
+  chipTextActive: { fontSize: 12, color: '#1d4ed8', fontWeight: '600' },
+  card: { padding: 12, borderRadius: 8, borderWidth: 1, borderColor: '#e2e8f0', backgroundColor: '#f8fafc' },
+  title: { fontSize: 15, fontWeight: 'bold', color: '#1e293b', marginBottom: 4 },
+  detail: { fontSize: 12, color: '#475569', marginBottom: 2 },
+  warning: { fontSize: 12, color: '#b45309', fontWeight: '600' },
+  acceptButton: { marginTop: 8, backgroundColor: '#1d4ed8', padding: 10, borderRadius: 8, alignItems: 'center' },
+  acceptButtonText: { color: '#fff', fontWeight: '600' }
+});
+
+export default MotorPanel;
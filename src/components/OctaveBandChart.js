@@ -0,0 +1,106 @@
+// OctaveBandChart.js - Octave-band sound power spectrum for FanDesign Pro
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import {
+  Svg,
+  Line,
+  Rect,
+  G,
+  Text as SvgText,
+} from 'react-native-svg';
+
+const WIDTH = 320;
+const HEIGHT = 200;
+const PAD = { left: 34, right: 8, top: 12, bottom: 30 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+const STEP_DB = 10;
+
+const COLORS = {
+  band: '#93c5fd',
+  tone: '#ea580c',
+  weighted: '#1d4ed8'
+};
+
+const formatFreq = (freq) => (freq >= 1000 ? `${freq / 1000}k` : String(freq));
+
+// acoustics: calculateResults().acoustics
+const OctaveBandChart = ({ acoustics }) => {
+  const { bands } = acoustics;
+  const levels = bands.reduce((acc, b) => acc.concat(b.Lw, b.LwA), []);
+  const minDb = Math.floor(Math.min(...levels) / STEP_DB) * STEP_DB;
+  const maxDb = Math.ceil(Math.max(...levels) / STEP_DB) * STEP_DB;
+  const ticks = [];
+  for (let db = minDb; db <= maxDb; db += STEP_DB) ticks.push(db);
+
+  const slot = PLOT_W / bands.length;
+  const barW = slot * 0.6;
+  const x = (i) => PAD.left + slot * i + (slot - barW) / 2;
+  const y = (db) => PAD.top + PLOT_H - ((db - minDb) / (maxDb - minDb || 1)) * PLOT_H;
+
+  return (
+    <View>
+      <Svg width="100%" height={HEIGHT} viewBox={`0 0 ${WIDTH} ${HEIGHT}`}>
+        {/* Axes and grid */}
+        <G>
+          {ticks.map(db => (
+            <G key={db}>
+              <Line x1={PAD.left} y1={y(db)} x2={PAD.left + PLOT_W} y2={y(db)} stroke="#e2e8f0" />
+              <SvgText x={PAD.left - 4} y={y(db) + 3} fontSize="8" fill="#475569" textAnchor="end">{db}</SvgText>
+            </G>
+          ))}
+          <Line x1={PAD.left} y1={PAD.top} x2={PAD.left} y2={PAD.top + PLOT_H} stroke="#334155" />
+          <Line x1={PAD.left} y1={PAD.top + PLOT_H} x2={PAD.left + PLOT_W} y2={PAD.top + PLOT_H} stroke="#334155" />
+          <SvgText x={PAD.left + PLOT_W / 2} y={HEIGHT - 4} fontSize="9" fill="#475569" textAnchor="middle">Octave band (Hz)</SvgText>
+          <SvgText x={PAD.left + 4} y={PAD.top + 10} fontSize="9" fill="#475569">dB</SvgText>
+        </G>
+
+        {/* Unweighted bands, the blade-passing band highlighted */}
+        {bands.map((b, i) => (
+          <G key={b.freq}>
+            <Rect
+              x={x(i)}
+              y={y(b.Lw)}
+              width={barW}
+              height={PAD.top + PLOT_H - y(b.Lw)}
+              fill={b.tone ? COLORS.tone : COLORS.band}
+            />
+            <SvgText x={x(i) + barW / 2} y={PAD.top + PLOT_H + 12} fontSize="8" fill="#475569" textAnchor="middle">
+              {formatFreq(b.freq)}
+            </SvgText>
+          </G>
+        ))}
+
+        {/* A-weighted levels */}
+        {bands.map((b, i) => (
+          <Line
+            key={`A-${b.freq}`}
+            x1={x(i) - 2}
+            y1={y(b.LwA)}
+            x2={x(i) + barW + 2}
+            y2={y(b.LwA)}
+            stroke={COLORS.weighted}
+            strokeWidth="2.5"
+          />
+        ))}
+      </Svg>
+
+      <View style={styles.legend}>
+        <Text style={[styles.legendItem, { color: COLORS.band }]}>■ Lw (dB)</Text>
+        <Text style={[styles.legendItem, { color: COLORS.weighted }]}>— A-weighted</Text>
+        {acoustics.toneBand && (
+          <Text style={[styles.legendItem, { color: COLORS.tone }]}>
+            ■ Blade tone {acoustics.bpf_hz.toFixed(0)} Hz
+          </Text>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  legend: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginTop: 4 },
+  legendItem: { fontSize: 11 }
+});
+
+export default OctaveBandChart;
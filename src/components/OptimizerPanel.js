@@ -0,0 +1,151 @@
+// OptimizerPanel.js - Objective, limits and ranked shortlist for the design optimizer
+import React, { useState, useMemo } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ActivityIndicator } from 'react-native';
+import { OBJECTIVES, DEFAULT_CONSTRAINTS, validateConstraints, optimizeDesign } from '../optimizer';
+
+const LIMIT_FIELDS = [
+  { key: 'rpmMin', label: 'Min RPM' },
+  { key: 'rpmMax', label: 'Max RPM' },
+  { key: 'maxTipSpeed', label: 'Max Tip Speed (m/s)' },
+  { key: 'minSafetyFactor', label: 'Min Safety Factor' },
+  { key: 'maxMotorLoad', label: 'Max Motor Load (%)' },
+  { key: 'minBlades', label: 'Min Blades' },
+  { key: 'maxBlades', label: 'Max Blades' }
+];
+
+const REJECT_LABELS = {
+  invalid: 'no valid design',
+  tipSpeed: 'tip speed',
+  safetyFactor: 'safety factor',
+  motorLoad: 'motor load',
+  bladeCount: 'blade count',
+  resonance: 'resonance'
+};
+
+// baseInputs: engine-unit inputs with the fixed duty, or null while the form is invalid
+const OptimizerPanel = ({ baseInputs, materials, units, show, onLoad }) => {
+  const [objective, setObjective] = useState('power');
+  const [limits, setLimits] = useState(
+    LIMIT_FIELDS.reduce((acc, f) => ({ ...acc, [f.key]: String(DEFAULT_CONSTRAINTS[f.key]) }), {})
+  );
+  const [running, setRunning] = useState(false);
+  const [outcome, setOutcome] = useState(null);
+  const errors = useMemo(() => validateConstraints(limits), [limits]);
+  const canRun = !!baseInputs && Object.keys(errors).length === 0;
+
+  const run = () => {
+    if (!canRun) return;
+    const constraints = Object.keys(limits).reduce((acc, key) => ({ ...acc, [key]: Number(limits[key]) }), {});
+    setRunning(true);
+    // Let the spinner render before the search blocks the JS thread
+    setTimeout(() => {
+      setOutcome(optimizeDesign(baseInputs, { objective, constraints, materials }));
+      setRunning(false);
+    }, 50);
+  };
+
+  const scoreText = (c) => {
+    if (objective === 'diameter') return `${show('length', c.D2_mm).toFixed(1)} ${units.length}`;
+    if (objective === 'cost') return `$${c.materialCost.toFixed(2)}`;
+    return `${show('power', c.brakePowerHP).toFixed(2)} ${units.power}`;
+  };
+
+  return (
+    <View>
+      <View style={styles.row}>
+        {Object.keys(OBJECTIVES).map(key => (
+          <TouchableOpacity
+            key={key}
+            style={[styles.chip, objective === key && styles.chipActive]}
+            onPress={() => setObjective(key)}
+          >
+            <Text style={objective === key ? styles.chipTextActive : styles.chipText}>{OBJECTIVES[key].label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.limits}>
+        {LIMIT_FIELDS.map(f => (
+          <View key={f.key} style={styles.limit}>
+            <Text style={styles.limitLabel}>{f.label}</Text>
+            <TextInput
+              style={[styles.limitInput, errors[f.key] && styles.inputError]}
+              value={limits[f.key]}
+              onChangeText={(text) => setLimits({ ...limits, [f.key]: text })}
+              keyboardType="numeric"
+            />
+          </View>
+        ))}
+      </View>
+      {LIMIT_FIELDS.filter(f => errors[f.key]).map(f => (
+        <Text key={f.key} style={styles.error}>{f.label}: {errors[f.key]}</Text>
+      ))}
+
+      <TouchableOpacity
+        style={[styles.runButton, (!canRun || running) && styles.runButtonDisabled]}
+        onPress={run}
+        disabled={!canRun || running}
+      >
+        {running
+          ? <ActivityIndicator color="#fff" />
+          : <Text style={styles.runButtonText}>{!baseInputs ? 'Fix inputs to optimize' : canRun ? 'Find Best Designs' : 'Fix limits to optimize'}</Text>}
+      </TouchableOpacity>
+
+      {outcome && (
+        <View style={styles.outcome}>
+          <Text style={styles.meta}>
+            {outcome.feasibleCount} of {outcome.evaluated} candidates meet the limits.
+          </Text>
+          {outcome.shortlist.length === 0 && (
+            <Text style={styles.warning}>
+              Rejected for {Object.keys(outcome.rejected).filter(k => outcome.rejected[k] > 0)
+                .map(k => `${REJECT_LABELS[k]} (${outcome.rejected[k]})`).join(', ')}. Relax the limits and try again.
+            </Text>
+          )}
+          {outcome.shortlist.map((c, i) => (
+            <View key={`${c.rpm}-${c.bladeType}-${c.outletAngle}-${c.material}`} style={styles.item}>
+              <View style={styles.itemText}>
+                <Text style={styles.name}>
+                  {i + 1}. {scoreText(c)} — {c.bladeType} {c.outletAngle}°, {materials[c.material].name}
+                </Text>
+                <Text style={styles.meta}>
+                  {c.rpm} RPM | D2 {show('length', c.D2_mm).toFixed(0)} {units.length} | η {(c.effStatic * 100).toFixed(1)}%
+                  {' | '}tip {c.tipSpeedActual.toFixed(0)} m/s | SF {c.safetyFactor.toFixed(1)} | ${c.materialCost.toFixed(2)}
+                </Text>
+              </View>
+              <TouchableOpacity onPress={() => onLoad(c)}>
+                <Text style={styles.action}>Load</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 8 },
+  chip: { paddingVertical: 4, paddingHorizontal: 10, borderWidth: 1, borderColor: '#cbd5e1', borderRadius: 20 },
+  chipActive: { backgroundColor: '#dbeafe', borderColor: '#93c5fd' },
+  chipText: { fontSize: 12, color: '#475569' },
+  chipTextActive: { fontSize: 12, color: '#1d4ed8', fontWeight: '600' },
+  limits: { flexDirection: 'row', flexWrap: 'wrap', gap: 8 },
+  limit: { width: '47%' },
+  limitLabel: { fontSize: 12, color: '#475569', marginBottom: 2 },
+  limitInput: { borderWidth: 1, borderColor: '#cbd5e1', borderRadius: 6, padding: 6, fontSize: 14 },
+  inputError: { borderColor: '#dc2626' },
+  error: { fontSize: 12, color: '#b91c1c', marginTop: 4 },
+  runButton: { marginTop: 12, backgroundColor: '#1d4ed8', padding: 12, borderRadius: 8, alignItems: 'center' },
+  runButtonDisabled: { backgroundColor: '#94a3b8' },
+  runButtonText: { color: '#fff', fontWeight: '600' },
+  outcome: { marginTop: 12 },
+  item: { flexDirection: 'row', alignItems: 'center', paddingVertical: 8, borderBottomWidth: 1, borderBottomColor: '#f1f5f9' },
+  itemText: { flex: 1 },
+  name: { fontSize: 13, fontWeight: '600', color: '#1e293b' },
+  meta: { fontSize: 12, color: '#64748b' },
+  warning: { fontSize: 12, color: '#b45309', marginTop: 4 },
+  action: { fontSize: 13, color: '#3b82f6', textDecorationLine: 'underline', marginLeft: 8 }
+});
+
+export default OptimizerPanel;
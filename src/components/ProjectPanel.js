@@ -0,0 +1,74 @@
+// ProjectPanel.js - Export the current design as a project file, import by paste or file
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { pickTextFile } from '../shareFile';
+
+// onImport(text) returns true when the text was imported
+const ProjectPanel = ({ canExport, onExport, onImport }) => {
+  const [pasting, setPasting] = useState(false);
+  const [text, setText] = useState('');
+
+  const importPasted = () => {
+    if (onImport(text)) {
+      setText('');
+      setPasting(false);
+    }
+  };
+
+  const openFile = async () => {
+    try {
+      const contents = await pickTextFile();
+      if (contents !== null) onImport(contents);
+    } catch (e) {
+      Alert.alert('Error', 'Could not open file');
+    }
+  };
+
+  return (
+    <View>
+      <View style={styles.actions}>
+        <TouchableOpacity
+          style={[styles.button, !canExport && styles.buttonDisabled]}
+          onPress={onExport}
+          disabled={!canExport}
+        >
+          <Text style={styles.buttonText}>Export Project</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.button} onPress={openFile}>
+          <Text style={styles.buttonText}>Open File</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.button} onPress={() => setPasting(!pasting)}>
+          <Text style={styles.buttonText}>{pasting ? 'Cancel' : 'Paste'}</Text>
+        </TouchableOpacity>
+      </View>
+      {pasting && (
+        <View>
+          <TextInput
+            style={styles.pasteBox}
+            value={text}
+            onChangeText={setText}
+            multiline
+            placeholder="Paste a project file or saved design JSON"
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <TouchableOpacity style={styles.importButton} onPress={importPasted}>
+            <Text style={styles.importButtonText}>Import</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  actions: { flexDirection: 'row', gap: 8, marginBottom: 8 },
+  button: { flex: 1, padding: 10, backgroundColor: '#e0f2fe', borderRadius: 8, alignItems: 'center' },
+  buttonDisabled: { opacity: 0.5 },
+  buttonText: { color: '#0369a1', fontWeight: '600', fontSize: 13 },
+  pasteBox: { borderWidth: 1, borderColor: '#cbd5e1', borderRadius: 6, padding: 8, minHeight: 120, fontSize: 12, fontFamily: 'monospace', textAlignVertical: 'top' },
+  importButton: { marginTop: 8, backgroundColor: '#1d4ed8', padding: 10, borderRadius: 8, alignItems: 'center' },
+  importButtonText: { color: '#fff', fontWeight: '600' }
+});
+
+export default ProjectPanel;
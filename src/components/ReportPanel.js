@@ -0,0 +1,45 @@
+// ReportPanel.js - Cover fields and share actions for the customer datasheet
+import React from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+
+const COVER_FIELDS = [
+  { key: 'company', label: 'Company', placeholder: 'Company name' },
+  { key: 'projectRef', label: 'Project Ref.', placeholder: 'e.g. Q-2024-117' },
+  { key: 'revision', label: 'Revision', placeholder: 'e.g. A' }
+];
+
+// onShare(format) with format 'html' or 'pdf'
+const ReportPanel = ({ cover, onChangeCover, onShare }) => (
+  <View>
+    {COVER_FIELDS.map(field => (
+      <View key={field.key} style={styles.row}>
+        <Text style={styles.label}>{field.label}</Text>
+        <TextInput
+          style={styles.input}
+          value={cover[field.key] || ''}
+          onChangeText={(text) => onChangeCover({ ...cover, [field.key]: text })}
+          placeholder={field.placeholder}
+        />
+      </View>
+    ))}
+    <View style={styles.actions}>
+      <TouchableOpacity style={styles.button} onPress={() => onShare('html')}>
+        <Text style={styles.buttonText}>Share HTML</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.button} onPress={() => onShare('pdf')}>
+        <Text style={styles.buttonText}>Share PDF</Text>
+      </TouchableOpacity>
+    </View>
+  </View>
+);
+
+const styles = StyleSheet.create({
+  row: { flexDirection: 'row', alignItems: 'center', marginBottom: 8 },
+  label: { width: 100, fontSize: 14, color: '#475569' },
+  input: { flex: 1, borderWidth: 1, borderColor: '#cbd5e1', borderRadius: 6, padding: 8, fontSize: 14 },
+  actions: { flexDirection: 'row', gap: 8, marginTop: 4 },
+  button: { flex: 1, padding: 10, backgroundColor: '#e0f2fe', borderRadius: 8, alignItems: 'center' },
+  buttonText: { color: '#0369a1', fontWeight: '600', fontSize: 13 }
+});
+
+export default ReportPanel;
@@ -0,0 +1,156 @@
+// ScaleDesignPanel.js - Side-by-side fan-law scaling of an existing design
+import React, { useState, useMemo, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { scaleDesign } from '../scaling';
+import { TIP_SPEED_LIMIT } from '../stress';
+import { convert, ENGINE_UNITS } from '../units';
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// base: scalingBase() snapshot; show/units: display conversion from the App
+const ScaleDesignPanel = ({ base, label, materials, units, show, onClose }) => {
+  const [rpm, setRpm] = useState('');
+  const [diameter, setDiameter] = useState('');
+  const [density, setDensity] = useState('');
+  const [material, setMaterial] = useState(base.material);
+
+  // A new source design starts from a clean slate
+  useEffect(() => {
+    setRpm('');
+    setDiameter('');
+    setDensity('');
+    setMaterial(base.material);
+  }, [base]);
+
+  // A custom material can be deleted, or never imported, after the design was calculated
+  const original = useMemo(
+    () => (hasOwn(materials, base.material) ? scaleDesign(base, {}, materials[base.material]) : null),
+    [base, materials]
+  );
+
+  const scaleMaterial = hasOwn(materials, material) ? material : base.material;
+  const scaled = useMemo(() => (hasOwn(materials, scaleMaterial) ? scaleDesign(base, {
+    rpm: parseFloat(rpm),
+    D2_mm: convert('length', parseFloat(diameter), units.length, ENGINE_UNITS.length),
+    airDensitySI: parseFloat(density)
+  }, materials[scaleMaterial]) : null), [base, rpm, diameter, density, scaleMaterial, materials, units]);
+
+  const header = (
+    <View style={styles.headerRow}>
+      <Text style={styles.title}>Scale Design</Text>
+      <TouchableOpacity onPress={onClose}>
+        <Text style={styles.close}>Close</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  if (!original || !scaled) {
+    return (
+      <View style={styles.panel}>
+        {header}
+        <Text style={styles.source}>From: {label}</Text>
+        <Text style={styles.warning}>
+          Material "{base.material}" is no longer in the material library, so this design cannot be scaled. Add it back to scale it.
+        </Text>
+      </View>
+    );
+  }
+
+  const rows = [
+    { label: 'Speed', unit: 'RPM', a: original.rpm, b: scaled.rpm },
+    { label: 'Impeller Diameter', unit: units.length, a: show('length', original.D2_mm), b: show('length', scaled.D2_mm) },
+    { label: 'Air Density', unit: 'kg/m³', a: original.airDensitySI, b: scaled.airDensitySI, digits: 3 },
+    { label: 'Flow Rate', unit: units.flow, a: show('flow', original.flowRate), b: show('flow', scaled.flowRate) },
+    { label: 'Static Pressure', unit: units.pressure, a: show('pressure', original.staticPressure), b: show('pressure', scaled.staticPressure) },
+    { label: 'Brake Power', unit: units.power, a: show('power', original.brakePowerHP), b: show('power', scaled.brakePowerHP) },
+    { label: 'Tip Speed', unit: 'm/s', a: original.tipSpeed, b: scaled.tipSpeed, bad: scaled.tipSpeed > TIP_SPEED_LIMIT },
+    { label: 'Stress Safety', unit: '', a: original.safetyFactor, b: scaled.safetyFactor, bad: scaled.stressStatus === 'UNSAFE' }
+  ];
+
+  return (
+    <View style={styles.panel}>
+      {header}
+      <Text style={styles.source}>From: {label}</Text>
+
+      <View style={styles.fieldRow}>
+        <Text style={styles.fieldLabel}>New RPM</Text>
+        <TextInput style={styles.input} value={rpm} onChangeText={setRpm} keyboardType="numeric" placeholder={String(base.rpm)} />
+      </View>
+      <View style={styles.fieldRow}>
+        <Text style={styles.fieldLabel}>New Diameter ({units.length})</Text>
+        <TextInput
+          style={styles.input}
+          value={diameter}
+          onChangeText={setDiameter}
+          keyboardType="numeric"
+          placeholder={show('length', base.D2_mm).toFixed(1)}
+        />
+      </View>
+      <View style={styles.fieldRow}>
+        <Text style={styles.fieldLabel}>New Density (kg/m³)</Text>
+        <TextInput
+          style={styles.input}
+          value={density}
+          onChangeText={setDensity}
+          keyboardType="numeric"
+          placeholder={base.airDensitySI.toFixed(3)}
+        />
+      </View>
+      <View style={styles.materialRow}>
+        {Object.keys(materials).map(mat => (
+          <TouchableOpacity
+            key={mat}
+            style={[styles.radio, scaleMaterial === mat && styles.radioActive]}
+            onPress={() => setMaterial(mat)}
+          >
+            <Text style={scaleMaterial === mat ? styles.radioTextActive : styles.radioText}>
+              {materials[mat].name.split(' ')[0]}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={[styles.tableRow, styles.tableHeader]}>
+        <Text style={styles.cellLabel}></Text>
+        <Text style={styles.cell}>Original</Text>
+        <Text style={styles.cell}>Scaled</Text>
+      </View>
+      {rows.map(row => (
+        <View key={row.label} style={styles.tableRow}>
+          <Text style={styles.cellLabel}>{row.label}{row.unit ? ` (${row.unit})` : ''}</Text>
+          <Text style={styles.cell}>{row.a.toFixed(row.digits || 2)}</Text>
+          <Text style={[styles.cell, row.bad && styles.cellBad]}>{row.b.toFixed(row.digits || 2)}</Text>
+        </View>
+      ))}
+      {scaled.overspeed && (
+        <Text style={styles.warning}>
+          Overspeed: scaled design exceeds the tip speed limit or the stress limit of {materials[scaleMaterial].name}.
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  panel: { backgroundColor: '#fff', padding: 16, borderRadius: 12, marginBottom: 16, borderWidth: 1, borderColor: '#93c5fd' },
+  headerRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
+  title: { fontSize: 16, fontWeight: '600', color: '#1e293b' },
+  close: { color: '#1d4ed8', fontWeight: '600' },
+  source: { fontSize: 12, color: '#64748b', marginBottom: 12 },
+  fieldRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 8 },
+  fieldLabel: { width: 150, fontSize: 14, color: '#334155' },
+  input: { borderWidth: 1, borderColor: '#cbd5e1', borderRadius: 6, padding: 8, fontSize: 16, flex: 1 },
+  materialRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginVertical: 8 },
+  radio: { paddingVertical: 6, paddingHorizontal: 12, borderWidth: 1, borderColor: '#cbd5e1', borderRadius: 20 },
+  radioActive: { backgroundColor: '#dcfce7', borderColor: '#4ade80' },
+  radioText: { fontSize: 12, color: '#475569' },
+  radioTextActive: { color: '#16a34a', fontWeight: '600' },
+  tableHeader: { borderBottomColor: '#cbd5e1' },
+  tableRow: { flexDirection: 'row', paddingVertical: 6, borderBottomWidth: 1, borderBottomColor: '#f1f5f9' },
+  cellLabel: { flex: 2, fontSize: 12, color: '#475569' },
+  cell: { flex: 1, fontSize: 13, color: '#1e293b', textAlign: 'right' },
+  cellBad: { color: '#b91c1c', fontWeight: 'bold' },
+  warning: { marginTop: 12, fontSize: 13, color: '#b91c1c', fontWeight: '600' }
+});
+
+export default ScaleDesignPanel;
@@ -0,0 +1,43 @@
+// WarningsPanel.js - Consolidated list of design checks with severities
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+const SEVERITY_STYLES = {
+  error: { backgroundColor: '#fad1d1', color: '#b91c1c', label: 'ERROR' },
+  warning: { backgroundColor: '#fef3c7', color: '#b45309', label: 'WARNING' },
+  info: { backgroundColor: '#e0f2fe', color: '#0369a1', label: 'INFO' }
+};
+
+// checks: output of designChecks()
+const WarningsPanel = ({ checks }) => {
+  if (checks.length === 0) {
+    return (
+      <View style={[styles.item, { backgroundColor: '#d1fad1' }]}>
+        <Text style={[styles.badge, { color: '#16a34a' }]}>OK</Text>
+        <Text style={styles.message}>All design checks passed.</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View>
+      {checks.map((check, i) => {
+        const sev = SEVERITY_STYLES[check.severity];
+        return (
+          <View key={`${check.title}-${i}`} style={[styles.item, { backgroundColor: sev.backgroundColor }]}>
+            <Text style={[styles.badge, { color: sev.color }]}>{sev.label} · {check.title}</Text>
+            <Text style={styles.message}>{check.message}</Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  item: { padding: 10, borderRadius: 8, marginBottom: 8 },
+  badge: { fontSize: 11, fontWeight: 'bold', marginBottom: 2 },
+  message: { fontSize: 13, color: '#1e293b' }
+});
+
+export default WarningsPanel;
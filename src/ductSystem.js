@@ -0,0 +1,116 @@
+// ductSystem.js - Duct system resistance for FanDesign Pro
+// Straight runs use Darcy-Weisbach with a Swamee-Jain friction factor; fittings use ΔP = K·½ρV²,
+// with V the velocity in the duct the fitting sits in. Components are stored in fixed units
+// (sizes in mm, run lengths in m) so a saved system reads the same in any unit selection.
+
+const SHAPES = {
+  round: "Round",
+  rectangular: "Rectangular"
+};
+
+// Typical loss coefficients; filters and grilles vary widely, so K stays editable per fitting
+const FITTINGS = {
+  elbow90: { label: "90° Elbow (r/D 1.5)", K: 0.25 },
+  elbow90Mitred: { label: "90° Mitred Elbow", K: 1.2 },
+  elbow45: { label: "45° Elbow", K: 0.15 },
+  teeStraight: { label: "Tee, Straight Through", K: 0.3 },
+  teeBranch: { label: "Tee, Branch", K: 1.0 },
+  damperOpen: { label: "Damper (Open)", K: 0.2 },
+  damperThrottled: { label: "Damper (30° Closed)", K: 3.9 },
+  filter: { label: "Filter", K: 5.0 },
+  grille: { label: "Grille", K: 3.0 },
+  entry: { label: "Duct Entry", K: 0.5 },
+  exit: { label: "Duct Exit", K: 1.0 }
+};
+
+const ROUGHNESS_MM = 0.09; // galvanized steel
+const AIR_VISCOSITY = 1.81e-5; // Pa·s, dynamic
+
+const CFM_TO_M3S = 0.000471947;
+
+// --- GEOMETRY ---
+const ductArea = (c) => (c.shape === 'rectangular'
+  ? (c.width_mm * c.height_mm) / 1e6
+  : (Math.PI * c.diameter_mm * c.diameter_mm) / 4e6);
+
+const hydraulicDiameter = (c) => (c.shape === 'rectangular'
+  ? (2 * c.width_mm * c.height_mm) / (c.width_mm + c.height_mm) / 1000
+  : c.diameter_mm / 1000);
+
+// Darcy friction factor; laminar below Re 2300
+const frictionFactor = (reynolds, roughness_m, diameter_m) => {
+  if (reynolds < 2300) return 64 / Math.max(reynolds, 1);
+  const term = Math.log10(roughness_m / (3.7 * diameter_m) + 5.74 / Math.pow(reynolds, 0.9));
+  return 0.25 / (term * term);
+};
+
+// --- LOSSES ---
+// Pressure loss (Pa) of one component at a flow (m³/s) and air density (kg/m³)
+const componentLoss = (c, Q_si, density) => {
+  const velocity_ms = Q_si / ductArea(c);
+  const velocityPressure = 0.5 * density * velocity_ms * velocity_ms;
+  if (c.kind === 'fitting') {
+    return { velocity_ms, dp_pa: c.K * (c.count || 1) * velocityPressure };
+  }
+  const Dh = hydraulicDiameter(c);
+  const reynolds = (density * velocity_ms * Dh) / AIR_VISCOSITY;
+  const f = frictionFactor(reynolds, ROUGHNESS_MM / 1000, Dh);
+  return { velocity_ms, dp_pa: f * (c.length_m / Dh) * velocityPressure, friction: f };
+};
+
+// Total static pressure loss (Pa) of a component list at a flow in CFM, with a per-component breakdown
+const systemPressure = (components, flowCFM, density) => {
+  const Q_si = flowCFM * CFM_TO_M3S;
+  const items = components.map(c => ({ id: c.id, ...componentLoss(c, Q_si, density) }));
+  const total_pa = items.reduce((acc, item) => acc + item.dp_pa, 0);
+  return {
+    total_pa,
+    items: items.map(item => ({ ...item, share: total_pa > 0 ? item.dp_pa / total_pa : 0 }))
+  };
+};
+
+// --- VALIDATION ---
+// Problems with one stored component, as readable messages
+const validateComponent = (c) => {
+  const errors = [];
+  const positive = (key) => {
+    if (!(typeof c[key] === 'number' && c[key] > 0)) errors.push(`${key}: must be a positive number`);
+  };
+  if (!c || typeof c !== 'object') return ['must be an object'];
+  if (c.kind !== 'duct' && c.kind !== 'fitting') errors.push(`kind: unknown "${c.kind}"`);
+  if (!SHAPES[c.shape]) errors.push(`shape: unknown "${c.shape}"`);
+  if (c.shape === 'rectangular') {
+    positive('width_mm');
+    positive('height_mm');
+  } else {
+    positive('diameter_mm');
+  }
+  if (c.kind === 'duct') positive('length_m');
+  if (c.kind === 'fitting') {
+    if (!FITTINGS[c.fitting]) errors.push(`fitting: unknown "${c.fitting}"`);
+    if (!(typeof c.K === 'number' && c.K >= 0)) errors.push('K: must be a non-negative number');
+    if (c.count !== undefined && !(Number.isInteger(c.count) && c.count > 0)) errors.push('count: must be a positive whole number');
+  }
+  return errors;
+};
+
+// Problems with a stored component list, prefixed with the path of each offending field
+const validateDuctSystem = (components, path = 'ductSystem') => {
+  if (!Array.isArray(components)) return [`${path}: must be a list`];
+  return components.reduce(
+    (acc, c, i) => acc.concat(validateComponent(c).map(msg => `${path}[${i}].${msg}`)),
+    []
+  );
+};
+
+module.exports = {
+  SHAPES,
+  FITTINGS,
+  ROUGHNESS_MM,
+  ductArea,
+  hydraulicDiameter,
+  componentLoss,
+  systemPressure,
+  validateComponent,
+  validateDuctSystem
+};
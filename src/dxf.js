@@ -0,0 +1,234 @@
+// dxf.js - DXF (R12 ASCII) drawing export for FanDesign Pro
+// All geometry is in millimetres, front view centred on the origin.
+const { casingOutline } = require('./volute');
+
+// --- LAYERS ---
+const DXF_LAYERS = {
+  OUTLINE: 7,
+  EYE: 3,
+  HUB: 4,
+  BLADES: 1,
+  SHAFT: 6,
+  SECTION: 5,
+  CENTER: 8,
+  CASING: 30,
+  TEXT: 2
+};
+
+const BLADE_STEPS = 40;
+
+// Camber line shapes understood by bladeCamber
+const BLADE_PROFILES = {
+  arc: "Circular Arc",
+  logSpiral: "Log Spiral"
+};
+
+const fmt = (n) => Number(n.toFixed(4)).toString();
+
+// --- DXF WRITER ---
+// Collects entities as group-code/value pairs and wraps them in a minimal R12 document.
+const createDxf = () => {
+  const entities = [];
+  const push = (...pairs) => {
+    for (let i = 0; i < pairs.length; i += 2) entities.push(pairs[i], pairs[i + 1]);
+  };
+
+  return {
+    line(layer, x1, y1, x2, y2) {
+      push(0, 'LINE', 8, layer, 10, fmt(x1), 20, fmt(y1), 30, 0, 11, fmt(x2), 21, fmt(y2), 31, 0);
+    },
+    circle(layer, cx, cy, r) {
+      push(0, 'CIRCLE', 8, layer, 10, fmt(cx), 20, fmt(cy), 30, 0, 40, fmt(r));
+    },
+    // Angles in degrees, drawn counter-clockwise from start to end
+    arc(layer, cx, cy, r, startDeg, endDeg) {
+      push(0, 'ARC', 8, layer, 10, fmt(cx), 20, fmt(cy), 30, 0, 40, fmt(r), 50, fmt(startDeg), 51, fmt(endDeg));
+    },
+    polyline(layer, points, closed = false) {
+      push(0, 'POLYLINE', 8, layer, 66, 1, 10, 0, 20, 0, 30, 0, 70, closed ? 1 : 0);
+      points.forEach(p => push(0, 'VERTEX', 8, layer, 10, fmt(p.x), 20, fmt(p.y), 30, 0));
+      push(0, 'SEQEND', 8, layer);
+    },
+    text(layer, x, y, height, value) {
+      push(0, 'TEXT', 8, layer, 10, fmt(x), 20, fmt(y), 30, 0, 40, fmt(height), 1, value);
+    },
+    toString() {
+      const header = [
+        0, 'SECTION', 2, 'HEADER',
+        9, '$ACADVER', 1, 'AC1009',
+        0, 'ENDSEC'
+      ];
+      const layers = Object.keys(DXF_LAYERS).reduce((acc, name) => acc.concat([
+        0, 'LAYER', 2, name, 70, 0, 62, DXF_LAYERS[name], 6, 'CONTINUOUS'
+      ]), []);
+      const tables = [
+        0, 'SECTION', 2, 'TABLES',
+        0, 'TABLE', 2, 'LAYER', 70, Object.keys(DXF_LAYERS).length,
+        ...layers,
+        0, 'ENDTAB',
+        0, 'ENDSEC'
+      ];
+      const body = [0, 'SECTION', 2, 'ENTITIES', ...entities, 0, 'ENDSEC', 0, 'EOF'];
+      return [...header, ...tables, ...body].join('\n') + '\n';
+    }
+  };
+};
+
+// --- BLADE GEOMETRY ---
+// Blade angle β is measured from the circumferential direction, so a point on the camber line
+// advances by dθ = dr / (r·tan β). For a single circular arc through r1 and r2 with blade angles
+// β1 and β2, the arc radius is R = (r2² − r1²) / (2·(r2·cos β2 − r1·cos β1)) and the angle at
+// any radius follows from the distance c of the arc centre to the axis: cos β = (r² + R² − c²) / (2·r·R).
+// A log spiral keeps one angle (the mean of inlet and outlet) along the whole blade.
+const bladeCamber = ({ D1_mm, D2_mm, inletAngle, outletAngle }, profile = 'arc') => {
+  const r1 = D1_mm / 2;
+  const r2 = D2_mm / 2;
+  const b1 = (inletAngle * Math.PI) / 180;
+  const b2 = (outletAngle * Math.PI) / 180;
+
+  let betaAt = () => (b1 + b2) / 2;
+  if (profile === 'arc') {
+    const denom = 2 * (r2 * Math.cos(b2) - r1 * Math.cos(b1));
+    if (Math.abs(denom) > 1e-9) {
+      const R = (r2 * r2 - r1 * r1) / denom;
+      const c2 = r1 * r1 + R * R - 2 * r1 * R * Math.cos(b1);
+      betaAt = (r) => Math.acos(Math.max(-1, Math.min(1, (r * r + R * R - c2) / (2 * r * R))));
+    } else {
+      betaAt = () => b2;
+    }
+  }
+
+  const points = [{ r: r1, theta: 0 }];
+  const dr = (r2 - r1) / BLADE_STEPS;
+  let theta = 0;
+  for (let i = 0; i < BLADE_STEPS; i++) {
+    const rMid = r1 + dr * (i + 0.5);
+    const tanB = Math.tan(betaAt(rMid));
+    theta += Math.abs(tanB) > 1e6 ? 0 : dr / (rMid * tanB);
+    points.push({ r: r1 + dr * (i + 1), theta });
+  }
+  return points;
+};
+
+const polar = (r, theta) => ({ x: r * Math.cos(theta), y: r * Math.sin(theta) });
+
+// Circle through three points, or null when they are (nearly) collinear
+const circleThrough = (a, b, c) => {
+  const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+  if (Math.abs(d) < 1e-9) return null;
+  const a2 = a.x * a.x + a.y * a.y;
+  const b2 = b.x * b.x + b.y * b.y;
+  const c2 = c.x * c.x + c.y * c.y;
+  const x = (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d;
+  const y = (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d;
+  return { x, y, r: Math.hypot(a.x - x, a.y - y) };
+};
+
+const deg = (rad) => ((rad * 180) / Math.PI + 360) % 360;
+
+const drawBlade = (dxf, camber, rotation, profile) => {
+  const pts = camber.map(p => polar(p.r, p.theta + rotation));
+  const start = pts[0];
+  const mid = pts[Math.floor(pts.length / 2)];
+  const end = pts[pts.length - 1];
+  const circle = profile === 'arc' ? circleThrough(start, mid, end) : null;
+
+  if (!circle) {
+    if (profile === 'arc') dxf.line('BLADES', start.x, start.y, end.x, end.y);
+    else dxf.polyline('BLADES', pts);
+    return;
+  }
+
+  // DXF arcs run counter-clockwise; pick the direction that passes through the midpoint
+  const aStart = deg(Math.atan2(start.y - circle.y, start.x - circle.x));
+  const aMid = deg(Math.atan2(mid.y - circle.y, mid.x - circle.x));
+  const aEnd = deg(Math.atan2(end.y - circle.y, end.x - circle.x));
+  const ccwSweep = (from, to) => (to - from + 360) % 360;
+  if (ccwSweep(aStart, aMid) < ccwSweep(aStart, aEnd)) dxf.arc('BLADES', circle.x, circle.y, circle.r, aStart, aEnd);
+  else dxf.arc('BLADES', circle.x, circle.y, circle.r, aEnd, aStart);
+};
+
+// --- CASING ---
+// Plan outline around the front view, and side walls of width B centred on b2 in the section
+const drawCasing = (dxf, casing, section) => {
+  dxf.polyline('CASING', casingOutline(casing), true);
+  dxf.circle('CASING', 0, 0, casing.tongueRadius_mm);
+
+  const { ox, b2_mm, textH } = section;
+  const mid = ox + b2_mm / 2;
+  const outer = casing.tongueRadius_mm + casing.outletHeight_mm;
+  [-1, 1].forEach(side => {
+    const x = mid + (side * casing.casingWidth_mm) / 2;
+    dxf.line('CASING', x, -outer, x, outer);
+  });
+  dxf.text('TEXT', mid - casing.casingWidth_mm / 2, outer + textH, textH, `B=${casing.casingWidth_mm.toFixed(1)}`);
+};
+
+// --- IMPELLER DRAWING ---
+// geometry: results from calculateResults plus the inlet/outlet angles in degrees.
+// Front view at the origin, meridional half-section to the right of it.
+// options.casing (from designVolute) adds the scroll casing on its own layer.
+const impellerToDxf = (geometry, options = {}) => {
+  const { D2_mm, D1_mm, D_hub_mm, b1_mm, b2_mm, shaftDiaStd, bladeCountFinal } = geometry;
+  const profile = options.profile || 'arc';
+  const dxf = options.dxf || createDxf();
+  const r2 = D2_mm / 2;
+  const r1 = D1_mm / 2;
+  const rHub = D_hub_mm / 2;
+  const rShaft = shaftDiaStd / 2;
+  const textH = Math.max(2.5, D2_mm / 60);
+
+  // Front view
+  dxf.circle('OUTLINE', 0, 0, r2);
+  dxf.circle('EYE', 0, 0, r1);
+  dxf.circle('HUB', 0, 0, rHub);
+  dxf.circle('SHAFT', 0, 0, rShaft);
+  dxf.line('CENTER', -r2 * 1.1, 0, r2 * 1.1, 0);
+  dxf.line('CENTER', 0, -r2 * 1.1, 0, r2 * 1.1);
+
+  const camber = bladeCamber(geometry, profile);
+  for (let i = 0; i < bladeCountFinal; i++) {
+    drawBlade(dxf, camber, (2 * Math.PI * i) / bladeCountFinal, profile);
+  }
+
+  dxf.text('TEXT', -r2, -r2 * 1.1 - textH * 2, textH,
+    `D2=${D2_mm.toFixed(1)} D1=${D1_mm.toFixed(1)} Z=${bladeCountFinal} SHAFT=${shaftDiaStd}`);
+
+  // Meridional section: axial direction along x, radius along y, mirrored about the axis
+  const casing = options.casing;
+  const ox = (casing ? casing.tongueRadius_mm + casing.outletHeight_mm + casing.casingWidth_mm : r2 * 1.5)
+    + Math.max(b1_mm, b2_mm) * 2;
+  const hubLen = Math.max(b2_mm, rHub);
+  [1, -1].forEach(s => {
+    dxf.polyline('SECTION', [
+      { x: ox, y: s * rShaft },
+      { x: ox, y: s * r2 },
+      { x: ox + b2_mm, y: s * r2 },
+      { x: ox + b1_mm, y: s * r1 },
+      { x: ox + b1_mm + b1_mm * 0.3, y: s * r1 }
+    ]);
+    dxf.line('BLADES', ox, s * r1, ox + b1_mm, s * r1);
+    dxf.polyline('HUB', [
+      { x: ox, y: s * rShaft },
+      { x: ox - hubLen, y: s * rShaft },
+      { x: ox - hubLen, y: s * rHub },
+      { x: ox, y: s * rHub }
+    ]);
+    dxf.line('SHAFT', ox - hubLen * 2, s * rShaft, ox + b1_mm * 1.5, s * rShaft);
+  });
+  dxf.line('CENTER', ox - hubLen * 2.2, 0, ox + b1_mm * 1.8, 0);
+  dxf.text('TEXT', ox, r2 + textH, textH, `b2=${b2_mm.toFixed(1)}`);
+  dxf.text('TEXT', ox + b1_mm, r1 + textH, textH, `b1=${b1_mm.toFixed(1)}`);
+
+  if (casing) drawCasing(dxf, casing, { ox, b2_mm, textH });
+
+  return dxf;
+};
+
+module.exports = {
+  DXF_LAYERS,
+  BLADE_PROFILES,
+  createDxf,
+  bladeCamber,
+  impellerToDxf
+};
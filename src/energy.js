@@ -0,0 +1,152 @@
+// energy.js - Annual energy, running cost and CO₂ for FanDesign Pro
+// Part-load shaft power comes from the design itself: with a VFD the fan follows the affinity laws
+// along a friction system curve (P ∝ Q³ at the design efficiency); with a damper it stays at design
+// speed and moves back along its own fan curve. Electrical input adds the motor and drive losses.
+const HP_TO_KW = 0.7457;
+const VFD_EFFICIENCY = 0.97;
+
+const CONTROL_METHODS = {
+  vfd: "VFD (Speed Control)",
+  damper: "Damper (Throttling)"
+};
+
+// Form values (strings), kept between sessions like the datasheet cover
+const DEFAULT_ENERGY_SETTINGS = {
+  hours: '6000', // per year
+  tariff: '0.15', // $/kWh
+  co2Factor: '0.4', // kg CO₂/kWh, grid average
+  motorEfficiency: '92', // %
+  control: 'vfd',
+  extraCost: '', // $ the candidate costs over the baseline; blank = material cost difference
+  profile: [
+    { flowPct: '100', hoursPct: '30' },
+    { flowPct: '80', hoursPct: '40' },
+    { flowPct: '60', hoursPct: '30' }
+  ]
+};
+
+const ENERGY_LIMITS = {
+  hours: { label: "Operating Hours", min: 1, max: 8784 },
+  tariff: { label: "Tariff", min: 0, max: 10 },
+  co2Factor: { label: "CO₂ Factor", min: 0, max: 2 },
+  motorEfficiency: { label: "Motor Efficiency", min: 30, max: 100 }
+};
+
+const PROFILE_TOLERANCE = 0.5; // % of hours the profile may be off 100
+
+// Highest duty-step flow (% of design): a VFD can overspeed, a damper can only throttle
+const MAX_FLOW_PCT = {
+  vfd: 120,
+  damper: 100
+};
+
+// --- VALIDATION ---
+// Settings -> { field: message }; profile problems are reported under `profile`
+const validateEnergySettings = (settings) => {
+  const errors = {};
+  Object.keys(ENERGY_LIMITS).forEach(key => {
+    const { min, max } = ENERGY_LIMITS[key];
+    const value = parseFloat(settings[key]);
+    if (isNaN(value)) errors[key] = "Must be a number";
+    else if (value < min) errors[key] = `Must be at least ${min}`;
+    else if (value > max) errors[key] = `Must be at most ${max}`;
+  });
+  if (settings.extraCost !== undefined && String(settings.extraCost).trim() !== '' && isNaN(parseFloat(settings.extraCost))) {
+    errors.extraCost = "Must be a number";
+  }
+
+  const profile = settings.profile || [];
+  const flows = profile.map(p => parseFloat(p.flowPct));
+  const shares = profile.map(p => parseFloat(p.hoursPct));
+  const total = shares.reduce((acc, v) => acc + v, 0);
+  const maxFlowPct = MAX_FLOW_PCT[settings.control] || MAX_FLOW_PCT.vfd;
+  if (profile.length === 0) errors.profile = "Add at least one duty step";
+  else if (flows.some(v => isNaN(v) || v <= 0 || v > maxFlowPct)) errors.profile = `Flow must be between 0 and ${maxFlowPct}%`;
+  else if (shares.some(v => isNaN(v) || v < 0)) errors.profile = "Hours must be zero or more";
+  else if (Math.abs(total - 100) > PROFILE_TOLERANCE) errors.profile = `Hours add up to ${total.toFixed(1)}%, not 100%`;
+  return errors;
+};
+
+// --- PART LOAD ---
+// Shaft power (HP) on the fan curve at a flow (CFM), interpolated between curve points
+const curvePowerAt = (curve, flow) => {
+  const { points } = curve;
+  for (let i = 1; i < points.length; i++) {
+    if (flow <= points[i].flow) {
+      const a = points[i - 1];
+      const b = points[i];
+      const t = b.flow > a.flow ? (flow - a.flow) / (b.flow - a.flow) : 0;
+      return a.powerHP + (b.powerHP - a.powerHP) * t;
+    }
+  }
+  return points[points.length - 1].powerHP;
+};
+
+// Shaft power (HP) at a fraction of the design flow
+const partLoadPower = (results, flowFraction, control) => {
+  if (control === 'damper' && results.fanCurve) {
+    return curvePowerAt(results.fanCurve, flowFraction * results.fanCurve.design.flow);
+  }
+  return results.brakePowerHP * Math.pow(flowFraction, 3);
+};
+
+// --- ANNUAL FIGURES ---
+// results: calculateResults output; settings: form values as stored
+const annualEnergy = (results, settings, control = settings.control) => {
+  const hours = parseFloat(settings.hours);
+  const motorEfficiency = parseFloat(settings.motorEfficiency) / 100;
+  const driveEfficiency = control === 'vfd' ? VFD_EFFICIENCY : 1;
+
+  const steps = settings.profile.map(p => {
+    const flowPct = parseFloat(p.flowPct);
+    const stepHours = (hours * parseFloat(p.hoursPct)) / 100;
+    const shaft_kW = partLoadPower(results, flowPct / 100, control) * HP_TO_KW;
+    const input_kW = shaft_kW / (motorEfficiency * driveEfficiency);
+    return { flowPct, hours: stepHours, shaft_kW, input_kW, kWh: input_kW * stepHours };
+  });
+
+  const kWh = steps.reduce((acc, s) => acc + s.kWh, 0);
+  return {
+    control,
+    steps,
+    kWh,
+    cost: kWh * parseFloat(settings.tariff),
+    co2_kg: kWh * parseFloat(settings.co2Factor),
+    average_kW: hours > 0 ? kWh / hours : 0
+  };
+};
+
+// Candidate against a baseline design under the same settings. extraCost (setting) is what the
+// candidate costs over the baseline; blank falls back to the impeller material cost difference.
+const lifecycleComparison = (baselineResults, candidateResults, settings) => {
+  const baseline = annualEnergy(baselineResults, settings);
+  const candidate = annualEnergy(candidateResults, settings);
+  const entered = parseFloat(settings.extraCost);
+  const extraCost = isNaN(entered) ? candidateResults.materialCost - baselineResults.materialCost : entered;
+  const costSaved = baseline.cost - candidate.cost;
+
+  let paybackYears = null; // never pays back
+  if (extraCost <= 0 && costSaved >= 0) paybackYears = 0;
+  else if (costSaved > 0) paybackYears = extraCost / costSaved;
+
+  return {
+    baseline,
+    candidate,
+    extraCost,
+    extraCostEntered: !isNaN(entered),
+    kWhSaved: baseline.kWh - candidate.kWh,
+    costSaved,
+    co2Saved_kg: baseline.co2_kg - candidate.co2_kg,
+    paybackYears
+  };
+};
+
+module.exports = {
+  CONTROL_METHODS,
+  DEFAULT_ENERGY_SETTINGS,
+  VFD_EFFICIENCY,
+  validateEnergySettings,
+  partLoadPower,
+  annualEnergy,
+  lifecycleComparison
+};
@@ -0,0 +1,197 @@
+// engine.js - Headless calculation engine for FanDesign Pro
+// Plain CommonJS with no React Native imports, so the app, the batch CLI and the tests share it.
+const { generateFanCurve } = require('./fanCurve');
+const { centrifugalStress, tipSpeedStatus } = require('./stress');
+const { impellerToDxf } = require('./dxf');
+const { designVolute } = require('./volute');
+const { impellerMass, DEFAULT_PLATE_THICKNESS } = require('./mass');
+const { rotorDynamics } = require('./rotor');
+const { predictSound } = require('./acoustics');
+const { airDensity, gasConditions } = require('./gas');
+const units = require('./units');
+
+// --- DATA: APPLICATION PROFILES ---
+const APP_PROFILES = {
+  General: { label: "General Ventilation", desc: "Balanced flow and pressure.", bladeType: "Backward", recOutlet: 35, recInlet: 25 },
+  'High Pressure': { label: "High Pressure Blower", desc: "Narrow impeller.", bladeType: "Radial", recOutlet: 90, recInlet: 35 },
+  'High Flow': { label: "High Suction / Flow", desc: "Wide impeller.", bladeType: "Forward", recOutlet: 145, recInlet: 20 },
+  Transport: { label: "High Velocity / Transport", desc: "Rugged design.", bladeType: "Radial", recOutlet: 90, recInlet: 45 }
+};
+
+const BLADE_TYPES = ['Radial', 'Backward', 'Forward'];
+
+// --- MATERIALS ---
+const materials = {
+  Steel: { density: 7850, yield: 250, poisson: 0.3, youngs: 200, price: 1.5, name: "Carbon Steel" },
+  Aluminum_Alloy: { density: 2700, yield: 150, poisson: 0.33, youngs: 70, price: 3.2, name: "Aluminum Alloy" },
+  Cast_Iron: { density: 7200, yield: 200, poisson: 0.27, youngs: 100, price: 1.2, name: "Cast Iron" },
+  FRP: { density: 1800, yield: 60, poisson: 0.35, youngs: 20, price: 4.5, name: "Fiberglass (FRP)" },
+  Plastic: { density: 1400, yield: 40, poisson: 0.4, youngs: 2, price: 0.8, name: "ABS Plastic" }
+};
+
+// --- DEFAULT INPUTS ---
+// Form values in DEFAULT_UNITS, as the app starts up
+const DEFAULT_INPUTS = {
+  flowRate: '5000',
+  staticPressure: '1000',
+  rpm: '1750',
+  motorRating: '10',
+  temp: '70',
+  altitude: '0',
+  bladeType: 'Backward',
+  material: 'Steel',
+  outletAngle: '35',
+  inletAngle: '25',
+  application: 'General',
+  systemK: '',
+  bladeProfile: 'arc',
+  voluteType: 'constantVelocity',
+  plateThickness: String(DEFAULT_PLATE_THICKNESS),
+  bearingSpan: '',
+  receiverDistance: '',
+  noiseLimit: '',
+  gas: 'air',
+  humidity: '',
+  molarMass: '',
+  inletPressure: '',
+  flowBasis: 'actual'
+};
+
+// --- CORE CALCULATION FUNCTION (IDENTICAL LOGIC) ---
+// materialLibrary: built-in materials plus any custom ones the design refers to
+// options.drawings === false skips the DXF text (dxf: null) for bulk searches
+const calculateResults = (inputs, materialLibrary = materials, options = {}) => {
+  const staticPressure = Number(inputs.staticPressure) || 0;
+  const rpm = Number(inputs.rpm) || 0;
+  const motorRating = Number(inputs.motorRating) || 0;
+  const altitude = Number(inputs.altitude) || 0;
+  const outletAngle = Number(inputs.outletAngle) || 0;
+  const inletAngle = Number(inputs.inletAngle) || 0;
+  const plateThickness = Number(inputs.plateThickness) || DEFAULT_PLATE_THICKNESS;
+  const bearingSpan = Number(inputs.bearingSpan) || 0; // 0: estimated from the impeller size
+
+  // Gas properties; the impeller is sized for the actual (inlet) flow
+  const gas = gasConditions(inputs);
+  const { airDensityUS, airDensitySI } = gas;
+  const flowRate = gas.actualFlow;
+  const altitudeWarning = altitude > 5000 ? "High altitude warning" : "OK";
+
+  // Unit conversions
+  const Q_si = flowRate * 0.000471947; // m³/s
+  const P_inwg = staticPressure / 249.088;
+
+  // Specific speed
+  const Ns_US = (rpm * Math.sqrt(flowRate)) / (Math.pow(P_inwg, 0.75) || 0.001);
+  let bladeRecommendation = "Backward Curved";
+  if (Ns_US < 5000) bladeRecommendation = "Radial";
+  else if (Ns_US > 30000) bladeRecommendation = "Forward";
+
+  // Efficiency & tip speed
+  const psi = 0.0133 * outletAngle + 0.4;
+  const effStatic = Math.max(0.3, 0.52 + 0.12 * Math.log10(flowRate || 1) - Math.abs(outletAngle - 40) * 0.002);
+  const tipSpeedActual = Math.sqrt((2 * staticPressure) / (airDensitySI * psi * effStatic)) * 1.1;
+  const tipSpeedCheck = tipSpeedStatus(tipSpeedActual);
+
+  // Dimensions (mm)
+  const D2_m = (tipSpeedActual * 60) / (Math.PI * rpm);
+  const D2_mm = D2_m * 1000;
+  const D1_mm = D2_mm * 0.5;
+  const D1_m = D1_mm / 1000;
+  const D_hub_mm = D1_mm * 0.4;
+  const b2_mm = (Q_si / (Math.PI * D2_m * (0.25 * tipSpeedActual))) * 1000;
+  const b1_mm = b2_mm * (D2_mm / D1_mm);
+
+  // Blade count
+  const beta2Rad = (outletAngle * Math.PI) / 180;
+  const bladeCountCalc = (D2_m - D1_m) > 0 ? 8.5 * Math.sin(beta2Rad) * (D2_m / (D2_m - D1_m)) : 10;
+  const bladeCountFinal = Math.max(6, Math.min(12, Math.round(bladeCountCalc)));
+
+  // Stress
+  const mat = materialLibrary[inputs.material];
+  const { sigma_total_mpa, safetyFactor, stressStatus } = centrifugalStress(mat, tipSpeedActual);
+
+  // Power
+  const airPowerHP = (flowRate * P_inwg) / 6356;
+  const brakePowerHP = airPowerHP / effStatic;
+  const motorLoadPct = motorRating > 0 ? (brakePowerHP / motorRating) * 100 : 0;
+  const motorCheck = motorLoadPct > 100 ? "OVERLOADED" : motorLoadPct > 85 ? "High Load" : "OK";
+
+  // Shaft
+  const torqueNm = (brakePowerHP * 0.7457 * 9550) / (rpm || 1);
+  const shaftDiaStd = Math.max(20, Math.round(Math.pow((16 * torqueNm * 1.5) / (Math.PI * 40e6), 1 / 3) * 1000));
+
+  // Performance curve across the flow range for this impeller
+  const fanCurve = generateFanCurve({
+    flowRate, staticPressure, rpm, outletAngle, D2_mm, b2_mm, bladeCountFinal, airDensitySI, brakePowerHP
+  });
+
+  // Noise
+  const acoustics = predictSound({
+    flowRate, staticPressure, rpm, bladeType: inputs.bladeType, D2_mm, bladeCountFinal, effStatic,
+    peakEfficiency: fanCurve ? fanCurve.bep.efficiency : effStatic
+  }, { distance_m: Number(inputs.receiverDistance) || 0, limit_dBA: Number(inputs.noiseLimit) || 0 });
+
+  // Scroll casing
+  const casing = designVolute({
+    D2_mm, b2_mm, flowRate, staticPressure, tipSpeedActual, airDensitySI, effStatic
+  }, inputs.voluteType);
+
+  // Weight and raw-material cost
+  const mass = impellerMass({
+    D2_mm, D1_mm, b1_mm, b2_mm, shaftDiaStd, bladeCountFinal, inletAngle, outletAngle
+  }, mat, plateThickness, inputs.bladeProfile);
+
+  // Vibration
+  const rotor = rotorDynamics({
+    rpm, bearingSpan, mat, results: { D2_mm, b1_mm, b2_mm, shaftDiaStd, bladeCountFinal, ...mass }
+  });
+
+  // CAD export (DXF R12)
+  const dxf = options.drawings === false ? null : impellerToDxf({
+    D2_mm, D1_mm, D_hub_mm, b1_mm, b2_mm, shaftDiaStd, bladeCountFinal, inletAngle, outletAngle
+  }, { profile: inputs.bladeProfile, casing }).toString();
+
+  return {
+    airDensityUS,
+    airDensitySI,
+    actualFlow: gas.actualFlow,
+    standardFlow: gas.standardFlow,
+    gas: { name: gas.gas, molarMass: gas.molarMass, pressure_pa: gas.pressure_pa, vapourFraction: gas.vapourFraction },
+    altitudeWarning,
+    Ns_US,
+    bladeRecommendation,
+    effStatic,
+    tipSpeedActual,
+    tipSpeedCheck,
+    D2_mm,
+    D1_mm,
+    b2_mm,
+    b1_mm,
+    D_hub_mm,
+    bladeCountFinal,
+    sigma_total_mpa,
+    safetyFactor,
+    stressStatus,
+    brakePowerHP,
+    motorLoadPct,
+    motorCheck,
+    shaftDiaStd,
+    torqueNm,
+    ...mass,
+    rotor,
+    acoustics,
+    fanCurve,
+    casing,
+    dxf
+  };
+};
+
+module.exports = {
+  APP_PROFILES,
+  BLADE_TYPES,
+  materials,
+  DEFAULT_INPUTS,
+  airDensity,
+  calculateResults,
+  ...units
+};
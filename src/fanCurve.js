@@ -0,0 +1,120 @@
+// fanCurve.js - Fan performance curve generation for FanDesign Pro
+// Works in engine units: flow in CFM, pressure in Pa, power in HP.
+
+const CFM_TO_M3S = 0.000471947;
+const HP_TO_W = 745.7;
+
+// Loss model coefficients, as fractions of the design-point Euler pressure/work
+const FRICTION_LOSS = 0.15;
+const SHOCK_LOSS = 0.35;
+const RECIRCULATION_LOSS = 0.25;
+const DISC_FRICTION = 0.03;
+
+// --- FAN CURVE ---
+// Shape comes from the Euler equation for the designed impeller (D2, b2, outlet angle, rpm) with
+// Wiesner slip, friction and incidence losses. The curve is then anchored so it passes through
+// the duty point and brake power that calculateResults reports.
+const generateFanCurve = (design, pointCount = 60) => {
+  const { flowRate, staticPressure, rpm, outletAngle, D2_mm, b2_mm, bladeCountFinal, airDensitySI, brakePowerHP } = design;
+  if (!(flowRate > 0 && staticPressure > 0 && rpm > 0 && D2_mm > 0 && b2_mm > 0 && brakePowerHP > 0)) return null;
+
+  const D2 = D2_mm / 1000;
+  const b2 = b2_mm / 1000;
+  const u2 = (Math.PI * D2 * rpm) / 60;
+  const beta2 = (outletAngle * Math.PI) / 180;
+  const outletArea = Math.PI * D2 * b2;
+  const slip = 1 - Math.sqrt(Math.abs(Math.sin(beta2))) / Math.pow(bladeCountFinal || 8, 0.7);
+  const Qd = flowRate * CFM_TO_M3S;
+
+  // Q in m³/s -> Pa
+  const eulerPressure = (Q) => airDensitySI * slip * u2 * (u2 - (Q / outletArea) / Math.tan(beta2));
+  const pEulerDesign = eulerPressure(Qd);
+  const workDesign = Qd * pEulerDesign;
+
+  const modelStatic = (Q) => eulerPressure(Q)
+    - FRICTION_LOSS * pEulerDesign * Math.pow(Q / Qd, 2)
+    - SHOCK_LOSS * pEulerDesign * Math.pow((Q - Qd) / Qd, 2);
+  const modelPower = (Q) => Q * eulerPressure(Q)
+    + workDesign * (RECIRCULATION_LOSS * Math.pow(Math.max(0, 1 - Q / Qd), 2) + DISC_FRICTION);
+
+  const staticDesign = modelStatic(Qd);
+  if (!(staticDesign > 0)) return null;
+  const pressureScale = staticPressure / staticDesign;
+  const powerScale = (brakePowerHP * HP_TO_W) / modelPower(Qd);
+
+  const staticAt = (Q) => pressureScale * modelStatic(Q);
+  const powerAt = (Q) => powerScale * modelPower(Q);
+
+  // Free delivery: where static pressure falls to zero
+  let Qlow = Qd;
+  let Qhigh = Qd;
+  while (staticAt(Qhigh) > 0 && Qhigh < Qd * 4) Qhigh *= 1.1;
+  for (let i = 0; i < 40; i++) {
+    const mid = (Qlow + Qhigh) / 2;
+    if (staticAt(mid) > 0) Qlow = mid; else Qhigh = mid;
+  }
+  const Qfree = Qlow;
+
+  const points = [...Array(pointCount + 1)].map((_, i) => {
+    const Q = (Qfree * i) / pointCount;
+    const pressure = Math.max(0, staticAt(Q));
+    const powerW = powerAt(Q);
+    return {
+      flow: Q / CFM_TO_M3S,
+      pressure,
+      powerHP: powerW / HP_TO_W,
+      efficiency: powerW > 0 ? (Q * pressure) / powerW : 0
+    };
+  });
+
+  // Left of the pressure peak the characteristic rises with flow: surge/stall region
+  const peak = points.reduce((best, p) => (p.pressure > best.pressure ? p : best), points[0]);
+  const bep = points.reduce((best, p) => (p.efficiency > best.efficiency ? p : best), points[0]);
+
+  return {
+    points,
+    stallFlow: peak.flow,
+    bep,
+    design: { flow: flowRate, pressure: staticPressure, powerHP: brakePowerHP, efficiency: (Qd * staticPressure) / (brakePowerHP * HP_TO_W) }
+  };
+};
+
+// --- SYSTEM CURVE ---
+// ΔP = k·Q², with k in Pa/CFM²
+const systemPressure = (k, flow) => k * flow * flow;
+
+// k that makes the system curve pass through a given duty point
+const systemKThrough = (flow, pressure) => (flow > 0 ? pressure / (flow * flow) : 0);
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Intersection of the fan curve with the system curve, interpolated between curve samples
+const findOperatingPoint = (curve, k) => {
+  if (!curve || !(k > 0)) return null;
+  const { points } = curve;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const fa = a.pressure - systemPressure(k, a.flow);
+    const fb = b.pressure - systemPressure(k, b.flow);
+    if (fa >= 0 && fb <= 0) {
+      const t = fa === fb ? 0 : fa / (fa - fb);
+      const flow = lerp(a.flow, b.flow, t);
+      return {
+        flow,
+        pressure: lerp(a.pressure, b.pressure, t),
+        powerHP: lerp(a.powerHP, b.powerHP, t),
+        efficiency: lerp(a.efficiency, b.efficiency, t),
+        inStall: flow < curve.stallFlow
+      };
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  generateFanCurve,
+  systemPressure,
+  systemKThrough,
+  findOperatingPoint
+};
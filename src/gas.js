@@ -0,0 +1,83 @@
+// gas.js - Gas density at the fan inlet for FanDesign Pro
+// Starts from the dry standard-air formula the engine has always used (0.075 lb/ft³ at 70 °F, sea level)
+// and corrects it for inlet pressure, water vapour (psychrometric mixing) and the gas's molar mass.
+// Engine units: temperature °F, altitude ft, pressure Pa, flow CFM.
+
+const GASES = {
+  air: { label: "Air", molarMass: 28.965 },
+  flueGas: { label: "Flue Gas", molarMass: 29.5 }, // typical dry combustion products
+  nitrogen: { label: "Nitrogen", molarMass: 28.013 },
+  co2: { label: "CO₂", molarMass: 44.01 },
+  custom: { label: "Custom", molarMass: null }
+};
+
+const WATER_MOLAR_MASS = 18.015; // g/mol
+const SEA_LEVEL_PRESSURE = 101325; // Pa
+const STANDARD_DENSITY_US = 0.075; // lb/ft³, standard air
+const LB_FT3_TO_KG_M3 = 16.0185;
+const STANDARD_DENSITY = STANDARD_DENSITY_US * LB_FT3_TO_KG_M3; // kg/m³
+
+// Dry air at temperature (°F) and altitude (ft), in lb/ft³ and kg/m³
+const airDensity = (temp, altitude) => {
+  const airDensityUS = STANDARD_DENSITY_US * (530 / (460 + temp)) * Math.pow((1 - 0.0000068756 * altitude), 5.2559);
+  return { airDensityUS, airDensitySI: airDensityUS * LB_FT3_TO_KG_M3 };
+};
+
+const ambientPressure = (altitude) => SEA_LEVEL_PRESSURE * Math.pow((1 - 0.0000068756 * altitude), 5.2559);
+
+// Saturation vapour pressure of water (Pa) at a temperature in °C (Buck)
+const saturationPressure = (tempC) =>
+  611.21 * Math.exp((18.678 - tempC / 234.5) * (tempC / (257.14 + tempC)));
+
+// conditions: { temp, altitude, humidity (% RH, air only), gas, molarMass (g/mol, custom gas), inletPressure (Pa gauge) }
+const gasDensity = (conditions) => {
+  const { temp, altitude } = conditions;
+  const gas = GASES[conditions.gas] ? conditions.gas : 'air';
+  const dryMolarMass = gas === 'custom' ? Number(conditions.molarMass) || GASES.air.molarMass : GASES[gas].molarMass;
+
+  const ambient = ambientPressure(altitude);
+  const pressure_pa = Math.max(ambient + (Number(conditions.inletPressure) || 0), 1);
+
+  // Water vapour only enters the mix for air; process gases are taken as dry
+  const humidity = gas === 'air' ? Math.min(Math.max(Number(conditions.humidity) || 0, 0), 100) : 0;
+  const vapourPressure = Math.min((humidity / 100) * saturationPressure(((temp - 32) * 5) / 9), pressure_pa);
+  const vapourFraction = vapourPressure / pressure_pa;
+  const molarMass = (1 - vapourFraction) * dryMolarMass + vapourFraction * WATER_MOLAR_MASS;
+
+  const ratio = (pressure_pa / ambient) * (molarMass / GASES.air.molarMass);
+  const { airDensityUS, airDensitySI } = airDensity(temp, altitude);
+  return {
+    gas,
+    molarMass,
+    pressure_pa,
+    vapourFraction,
+    airDensityUS: airDensityUS * ratio,
+    airDensitySI: airDensitySI * ratio
+  };
+};
+
+// Engine inputs -> inlet density plus the flow at actual and standard conditions (CFM).
+// flowBasis 'standard' means flowRate was entered at standard air density.
+const gasConditions = (inputs) => {
+  const density = gasDensity({
+    temp: Number(inputs.temp) || 0,
+    altitude: Number(inputs.altitude) || 0,
+    humidity: inputs.humidity,
+    gas: inputs.gas,
+    molarMass: inputs.molarMass,
+    inletPressure: inputs.inletPressure
+  });
+  const entered = Number(inputs.flowRate) || 0;
+  const toActual = STANDARD_DENSITY / density.airDensitySI;
+  const actualFlow = inputs.flowBasis === 'standard' ? entered * toActual : entered;
+  return { ...density, actualFlow, standardFlow: actualFlow / toActual };
+};
+
+module.exports = {
+  GASES,
+  STANDARD_DENSITY,
+  airDensity,
+  saturationPressure,
+  gasDensity,
+  gasConditions
+};
@@ -0,0 +1,100 @@
+// history.js - Saved design list operations for FanDesign Pro
+// History items: { id, timestamp, name?, pinned?, inputs, units?, summary }
+const { calculateResults, materials } = require('./engine');
+const { toEngineInputs, normalizeUnits } = require('./units');
+
+const HISTORY_LIMIT = 20; // rolling limit for unpinned designs
+
+const displayName = (item) => item.name || item.timestamp;
+
+// Newest first; pinned designs are kept regardless of the rolling limit
+const addToHistory = (history, item) => {
+  let unpinned = 0;
+  return [item, ...history].filter(entry => entry.pinned || ++unpinned <= HISTORY_LIMIT);
+};
+
+const updateItem = (history, id, changes) =>
+  history.map(item => (item.id === id ? { ...item, ...changes } : item));
+
+const renameItem = (history, id, name) => updateItem(history, id, { name: name.trim() || undefined });
+
+// Unpinning can push the list back over the limit, so it is re-trimmed
+const togglePin = (history, id) => {
+  const toggled = history.map(item => (item.id === id ? { ...item, pinned: !item.pinned } : item));
+  let unpinned = 0;
+  return toggled.filter(entry => entry.pinned || ++unpinned <= HISTORY_LIMIT);
+};
+
+const deleteItem = (history, id) => history.filter(item => item.id !== id);
+
+// --- SEARCH ---
+// Free text matches name, timestamp and the design's categorical inputs
+const filterHistory = (history, query = '', filters = {}) => {
+  const q = query.trim().toLowerCase();
+  return history
+    .filter(item => !filters.pinnedOnly || item.pinned)
+    .filter(item => !filters.material || item.inputs.material === filters.material)
+    .filter(item => !filters.bladeType || item.inputs.bladeType === filters.bladeType)
+    .filter(item => {
+      if (!q) return true;
+      const haystack = [displayName(item), item.timestamp, item.inputs.material, item.inputs.bladeType, item.inputs.application]
+        .filter(Boolean).join(' ').toLowerCase();
+      return haystack.includes(q);
+    })
+    .sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0));
+};
+
+// --- COMPARE ---
+const COMPARE_FIELDS = [
+  { label: 'Flow Rate', quantity: 'flow', get: (n) => n.flowRate },
+  { label: 'Static Pressure', quantity: 'pressure', get: (n) => n.staticPressure },
+  { label: 'RPM', get: (n) => n.rpm },
+  { label: 'Blade Type', get: (n) => n.bladeType },
+  { label: 'Material', get: (n) => n.material },
+  { label: 'Outlet Angle (°)', get: (n) => n.outletAngle },
+  { label: 'Inlet Angle (°)', get: (n) => n.inletAngle },
+  { label: 'Impeller Diameter', quantity: 'length', get: (n, r) => r.D2_mm },
+  { label: 'Blade Count', get: (n, r) => r.bladeCountFinal },
+  { label: 'Efficiency (%)', get: (n, r) => r.effStatic * 100 },
+  { label: 'Brake Power', quantity: 'power', get: (n, r) => r.brakePowerHP },
+  { label: 'Tip Speed (m/s)', get: (n, r) => r.tipSpeedActual },
+  { label: 'Stress Safety', get: (n, r) => r.safetyFactor },
+  { label: 'Shaft Diameter (mm)', get: (n, r) => r.shaftDiaStd },
+  { label: 'Impeller Mass (kg)', get: (n, r) => r.impellerMass_kg },
+  { label: 'Material Cost ($)', get: (n, r) => r.materialCost }
+];
+
+const DIFF_TOLERANCE = 0.01; // relative
+
+const differs = (values) => {
+  if (values.some(v => typeof v !== 'number')) return values.some(v => v !== values[0]);
+  const max = Math.max(...values.map(Math.abs));
+  return max > 0 && (Math.max(...values) - Math.min(...values)) / max > DIFF_TOLERANCE;
+};
+
+// Saved design -> its engine-unit inputs and freshly calculated results
+const evaluateItem = (item, materialLibrary = materials) => {
+  const numInputs = toEngineInputs(item.inputs, normalizeUnits(item.units));
+  return { numInputs, results: calculateResults(numInputs, materialLibrary, { drawings: false }) };
+};
+
+// Recalculates each design and lines up engine-unit values field by field
+const compareDesigns = (items, materialLibrary = materials) => {
+  const evaluated = items.map(item => evaluateItem(item, materialLibrary));
+  return COMPARE_FIELDS.map(field => {
+    const values = evaluated.map(({ numInputs, results }) => field.get(numInputs, results));
+    return { label: field.label, quantity: field.quantity, values, differs: differs(values) };
+  });
+};
+
+module.exports = {
+  HISTORY_LIMIT,
+  displayName,
+  addToHistory,
+  renameItem,
+  togglePin,
+  deleteItem,
+  filterHistory,
+  evaluateItem,
+  compareDesigns
+};
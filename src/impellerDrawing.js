@@ -0,0 +1,207 @@
+// impellerDrawing.js - Dimensioned impeller drawing for FanDesign Pro
+// Builds one drawing model (front view plus meridional side view, in millimetres, y pointing down)
+// that the app renders with react-native-svg and drawingToSvg writes out as a standalone SVG file.
+// The view box is fitted to the geometry, so any impeller size fills the same frame.
+const { bladeCamber } = require('./dxf');
+const { fromEngine } = require('./units');
+
+// Stroke widths are multiples of the drawing's base line width; dashes scale with it too
+const STYLES = {
+  outline: { stroke: '#1e293b', width: 1.5, fill: 'none' },
+  hidden: { stroke: '#475569', width: 1, fill: 'none', dash: [6, 4] },
+  hub: { stroke: '#1e293b', width: 1, fill: '#e2e8f0' },
+  shaft: { stroke: '#1e293b', width: 1, fill: '#cbd5e1' },
+  center: { stroke: '#94a3b8', width: 0.7, fill: 'none', dash: [12, 3, 2, 3] },
+  blade: { stroke: '#0f172a', width: 2, fill: 'none' },
+  dimension: { stroke: '#1d4ed8', width: 0.7, fill: 'none' }
+};
+
+const DIMENSION_COLOR = STYLES.dimension.stroke;
+
+// Length in the selected unit, with precision that suits its size
+const formatLength = (mm, units) => {
+  const value = fromEngine('length', mm, units);
+  const decimals = value >= 100 ? 0 : value >= 10 ? 1 : 2;
+  return `${value.toFixed(decimals)} ${units.length}`;
+};
+
+// Linear dimension between two points, measured horizontally ('h') or vertically ('v')
+// with the dimension line placed at `at` (a y for 'h', an x for 'v').
+// Labels sit above horizontal lines; side 1 puts a vertical label right of its line instead of left.
+const dimension = (p1, p2, orientation, at, label, side = -1) => {
+  const horizontal = orientation === 'h';
+  const a = horizontal ? { x: p1.x, y: at } : { x: at, y: p1.y };
+  const b = horizontal ? { x: p2.x, y: at } : { x: at, y: p2.y };
+  return {
+    type: 'dimension',
+    extensions: [[p1, a], [p2, b]],
+    x1: a.x,
+    y1: a.y,
+    x2: b.x,
+    y2: b.y,
+    label,
+    vertical: !horizontal,
+    side
+  };
+};
+
+// --- MODEL ---
+// results: calculateResults output; inputs: the engine-unit inputs behind it; units: display selection
+const buildImpellerDrawing = (results, inputs, units) => {
+  const { D2_mm, D1_mm, D_hub_mm, b1_mm, b2_mm, shaftDiaStd, bladeCountFinal } = results;
+  const r2 = D2_mm / 2;
+  const r1 = D1_mm / 2;
+  const rHub = D_hub_mm / 2;
+  const rShaft = shaftDiaStd / 2;
+  const gap = r2 * 0.18; // dimension line offset from the part
+  const items = [];
+
+  // Front view, centred on the origin
+  const polar = (r, theta) => ({ x: r * Math.cos(theta), y: -r * Math.sin(theta) });
+  items.push({ type: 'line', x1: -r2 - gap / 4, y1: 0, x2: r2 + gap / 4, y2: 0, style: 'center' });
+  items.push({ type: 'line', x1: 0, y1: -r2 - gap / 4, x2: 0, y2: r2 + gap / 4, style: 'center' });
+  items.push({ type: 'circle', cx: 0, cy: 0, r: r2, style: 'outline' });
+  items.push({ type: 'circle', cx: 0, cy: 0, r: r1, style: 'hidden' });
+  items.push({ type: 'circle', cx: 0, cy: 0, r: rHub, style: 'hub' });
+  items.push({ type: 'circle', cx: 0, cy: 0, r: rShaft, style: 'shaft' });
+
+  const camber = bladeCamber({ D1_mm, D2_mm, inletAngle: inputs.inletAngle, outletAngle: inputs.outletAngle }, inputs.bladeProfile || 'arc');
+  for (let i = 0; i < bladeCountFinal; i++) {
+    const rot = (2 * Math.PI * i) / bladeCountFinal;
+    const d = camber.map((p, j) => {
+      const { x, y } = polar(p.r, p.theta + rot);
+      return `${j === 0 ? 'M' : 'L'}${x.toFixed(2)},${y.toFixed(2)}`;
+    }).join(' ');
+    items.push({ type: 'path', d, style: 'blade' });
+  }
+
+  items.push(dimension({ x: -r2, y: 0 }, { x: r2, y: 0 }, 'h', -r2 - gap, `Ø${formatLength(D2_mm, units)}`));
+  items.push(dimension({ x: -r1, y: 0 }, { x: r1, y: 0 }, 'h', r2 + gap, `Ø${formatLength(D1_mm, units)}`));
+
+  // Side view: axial direction to the right, backplate at ox, mirrored about the shaft axis.
+  // The shaft stub stays short of the hub dimension on the left; its own dimension is at the free end.
+  const hubLen = Math.max(b2_mm, rHub);
+  const ox = r2 + gap * 3 + hubLen;
+  const lip = b1_mm * 0.3;
+  const shaftStart = ox - hubLen - gap * 0.3;
+  const shaftEnd = ox + b1_mm + lip + gap * 0.3;
+  [1, -1].forEach(s => {
+    items.push({
+      type: 'path',
+      d: `M${ox},${-s * rShaft} L${ox},${-s * r2} L${ox + b2_mm},${-s * r2} L${ox + b1_mm},${-s * r1} L${ox + b1_mm + lip},${-s * r1}`,
+      style: 'outline'
+    });
+    items.push({ type: 'line', x1: ox, y1: -s * r1, x2: ox + b1_mm, y2: -s * r1, style: 'hidden' });
+  });
+  items.push({ type: 'rect', x: ox - hubLen, y: -rHub, width: hubLen, height: 2 * rHub, style: 'hub' });
+  items.push({ type: 'rect', x: shaftStart, y: -rShaft, width: shaftEnd - shaftStart, height: 2 * rShaft, style: 'shaft' });
+  items.push({ type: 'line', x1: shaftStart - gap / 4, y1: 0, x2: shaftEnd + gap / 4, y2: 0, style: 'center' });
+
+  items.push(dimension({ x: ox, y: -r2 }, { x: ox + b2_mm, y: -r2 }, 'h', -r2 - gap, `b2 ${formatLength(b2_mm, units)}`));
+  items.push(dimension({ x: ox, y: r1 }, { x: ox + b1_mm, y: r1 }, 'h', r2 + gap, `b1 ${formatLength(b1_mm, units)}`));
+  items.push(dimension({ x: ox - hubLen, y: -rHub }, { x: ox - hubLen, y: rHub }, 'v', ox - hubLen - gap * 0.6, `Hub Ø${formatLength(D_hub_mm, units)}`));
+  items.push(dimension({ x: shaftEnd, y: -rShaft }, { x: shaftEnd, y: rShaft }, 'v', shaftEnd + gap * 0.5, `Shaft Ø${formatLength(shaftDiaStd, units)}`, 1));
+
+  // Frame: both views, the dimension lines and their labels, plus a title line underneath
+  const left = -r2 - gap;
+  const right = shaftEnd + gap * 1.5;
+  const width = right - left;
+  const textSize = width / 40;
+  const top = -r2 - gap - textSize * 2;
+  const bottom = r2 + gap + textSize * 4;
+  items.push({
+    type: 'text',
+    x: 0,
+    y: r2 + gap + textSize * 3,
+    value: `Z = ${bladeCountFinal}, β1 = ${inputs.inletAngle}°, β2 = ${inputs.outletAngle}°`,
+    anchor: 'middle'
+  });
+
+  return {
+    viewBox: { x: left, y: top, width, height: bottom - top },
+    lineWidth: width / 500,
+    textSize,
+    items
+  };
+};
+
+// --- SVG EXPORT ---
+const svgStyle = (name, lineWidth) => {
+  const s = STYLES[name];
+  const dash = s.dash ? ` stroke-dasharray="${s.dash.map(d => (d * lineWidth).toFixed(3)).join(',')}"` : '';
+  return `stroke="${s.stroke}" stroke-width="${(s.width * lineWidth).toFixed(3)}" fill="${s.fill}"${dash}`;
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Label position: centred just off the dimension line, rotated for vertical dimensions
+const labelPosition = (item, textSize) => {
+  const mx = (item.x1 + item.x2) / 2;
+  const my = (item.y1 + item.y2) / 2;
+  if (!item.vertical) return { x: mx, y: my - textSize * 0.4, rotate: 0 };
+  // Rotated text grows towards -x from its baseline
+  return { x: item.side > 0 ? mx + textSize * 1.1 : mx - textSize * 0.4, y: my, rotate: -90 };
+};
+
+const ARROW_PATHS = {
+  start: 'M10,0 L0,5 L10,10 z',
+  end: 'M0,0 L10,5 L0,10 z'
+};
+
+// Drawing model -> standalone SVG document
+const drawingToSvg = (drawing, pixelWidth = 800) => {
+  const { viewBox, lineWidth, textSize, items } = drawing;
+  const n = (v) => Number(v.toFixed(3));
+  const body = items.map(item => {
+    switch (item.type) {
+      case 'circle':
+        return `<circle cx="${n(item.cx)}" cy="${n(item.cy)}" r="${n(item.r)}" ${svgStyle(item.style, lineWidth)}/>`;
+      case 'line':
+        return `<line x1="${n(item.x1)}" y1="${n(item.y1)}" x2="${n(item.x2)}" y2="${n(item.y2)}" ${svgStyle(item.style, lineWidth)}/>`;
+      case 'rect':
+        return `<rect x="${n(item.x)}" y="${n(item.y)}" width="${n(item.width)}" height="${n(item.height)}" ${svgStyle(item.style, lineWidth)}/>`;
+      case 'path':
+        return `<path d="${item.d}" ${svgStyle(item.style, lineWidth)}/>`;
+      case 'text':
+        return `<text x="${n(item.x)}" y="${n(item.y)}" font-size="${n(textSize)}" text-anchor="${item.anchor || 'start'}" fill="#334155">${escapeXml(item.value)}</text>`;
+      case 'dimension': {
+        const label = labelPosition(item, textSize);
+        const extensions = item.extensions.map(([a, b]) =>
+          `<line x1="${n(a.x)}" y1="${n(a.y)}" x2="${n(b.x)}" y2="${n(b.y)}" stroke="${DIMENSION_COLOR}" stroke-width="${n(lineWidth * 0.5)}"/>`).join('');
+        return `<g>${extensions}`
+          + `<line x1="${n(item.x1)}" y1="${n(item.y1)}" x2="${n(item.x2)}" y2="${n(item.y2)}" ${svgStyle('dimension', lineWidth)} marker-start="url(#arrowStart)" marker-end="url(#arrowEnd)"/>`
+          + `<text x="${n(label.x)}" y="${n(label.y)}" font-size="${n(textSize)}" text-anchor="middle" fill="${DIMENSION_COLOR}"`
+          + `${label.rotate ? ` transform="rotate(${label.rotate} ${n(label.x)} ${n(label.y)})"` : ''}>${escapeXml(item.label)}</text></g>`;
+      }
+      default:
+        return '';
+    }
+  }).join('\n');
+
+  const markers = Object.keys(ARROW_PATHS).map(key =>
+    `<marker id="arrow${key === 'start' ? 'Start' : 'End'}" viewBox="0 0 10 10" refX="${key === 'start' ? 0 : 10}" refY="5" markerWidth="8" markerHeight="8" orient="auto">`
+    + `<path d="${ARROW_PATHS[key]}" fill="${DIMENSION_COLOR}"/></marker>`).join('');
+
+  const height = Math.round((pixelWidth * viewBox.height) / viewBox.width);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${pixelWidth}" height="${height}" viewBox="${n(viewBox.x)} ${n(viewBox.y)} ${n(viewBox.width)} ${n(viewBox.height)}">
+<defs>${markers}</defs>
+<rect x="${n(viewBox.x)}" y="${n(viewBox.y)}" width="${n(viewBox.width)}" height="${n(viewBox.height)}" fill="#fff"/>
+${body}
+</svg>
+`;
+};
+
+module.exports = {
+  STYLES,
+  DIMENSION_COLOR,
+  ARROW_PATHS,
+  formatLength,
+  labelPosition,
+  buildImpellerDrawing,
+  drawingToSvg
+};
@@ -0,0 +1,46 @@
+// mass.js - Impeller weight and raw-material cost for FanDesign Pro
+// Fabricated impeller: flat backplate and shroud plus blades of one plate thickness.
+const { bladeCamber } = require('./dxf');
+
+const DEFAULT_PLATE_THICKNESS = 3; // mm
+
+// Developed length (mm) of a blade along its camber line
+const bladeLength = (geometry, profile) => {
+  const pts = bladeCamber(geometry, profile).map(p => ({ x: p.r * Math.cos(p.theta), y: p.r * Math.sin(p.theta) }));
+  return pts.slice(1).reduce((sum, p, i) => sum + Math.hypot(p.x - pts[i].x, p.y - pts[i].y), 0);
+};
+
+// geometry: calculateResults dimensions plus blade angles; mat: materials entry (price per kg)
+// Finished mass: backplate disc less the shaft bore, shroud annulus from the eye out, tapered blades.
+// Raw material: a square blank per disc and a rectangular strip per blade, before cutting.
+const impellerMass = (geometry, mat, thickness_mm = DEFAULT_PLATE_THICKNESS, profile = 'arc') => {
+  const { D2_mm, D1_mm, b1_mm, b2_mm, shaftDiaStd, bladeCountFinal } = geometry;
+  const t = thickness_mm / 1000;
+  const kg = (area_mm2) => (area_mm2 / 1e6) * t * mat.density;
+  const length_mm = bladeLength(geometry, profile);
+
+  const massBackplate_kg = kg((Math.PI / 4) * (D2_mm * D2_mm - shaftDiaStd * shaftDiaStd));
+  const massShroud_kg = kg((Math.PI / 4) * (D2_mm * D2_mm - D1_mm * D1_mm));
+  const massBlades_kg = bladeCountFinal * kg(length_mm * (b1_mm + b2_mm) / 2);
+  const impellerMass_kg = massBackplate_kg + massShroud_kg + massBlades_kg;
+
+  const rawMaterial_kg = kg(2 * D2_mm * D2_mm + bladeCountFinal * length_mm * Math.max(b1_mm, b2_mm));
+  const materialCost = rawMaterial_kg * mat.price;
+
+  return {
+    plateThickness_mm: thickness_mm,
+    bladeLength_mm: length_mm,
+    massBlades_kg,
+    massBackplate_kg,
+    massShroud_kg,
+    impellerMass_kg,
+    rawMaterial_kg,
+    materialCost
+  };
+};
+
+module.exports = {
+  DEFAULT_PLATE_THICKNESS,
+  bladeLength,
+  impellerMass
+};
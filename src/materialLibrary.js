@@ -0,0 +1,91 @@
+// materialLibrary.js - User material library kept alongside the built-in materials
+// Custom entries use the same shape as the engine's materials table and are stored as
+// { key: material }; built-ins are read-only and are never shadowed by a custom entry.
+const { materials: BUILTIN_MATERIALS } = require('./engine');
+const { centrifugalStress } = require('./stress');
+const { impellerMass } = require('./mass');
+
+// Editable properties with their form labels and accepted ranges
+const MATERIAL_FIELDS = [
+  { key: 'density', label: 'Density', unit: 'kg/m³', min: 100, max: 25000 },
+  { key: 'yield', label: 'Yield Strength', unit: 'MPa', min: 1, max: 3000 },
+  { key: 'poisson', label: "Poisson's Ratio", unit: '', min: 0, max: 0.5 },
+  { key: 'youngs', label: "Young's Modulus", unit: 'GPa', min: 0.1, max: 1000 },
+  { key: 'price', label: 'Price', unit: '$/kg', min: 0, max: 10000 }
+];
+
+const isBuiltIn = (key) => Object.prototype.hasOwnProperty.call(BUILTIN_MATERIALS, key);
+
+// Form draft (strings) -> { field: message } for every invalid entry
+const validateMaterial = (draft) => {
+  const errors = {};
+  if (!String(draft.name || '').trim()) errors.name = 'Required';
+  MATERIAL_FIELDS.forEach(field => {
+    const raw = String(draft[field.key] === undefined ? '' : draft[field.key]).trim();
+    const value = Number(raw);
+    if (raw === '') errors[field.key] = 'Required';
+    else if (isNaN(value)) errors[field.key] = 'Must be a number';
+    else if (value < field.min) errors[field.key] = `Must be at least ${field.min} ${field.unit}`.trim();
+    else if (value > field.max) errors[field.key] = `Must be at most ${field.max} ${field.unit}`.trim();
+  });
+  return errors;
+};
+
+// Validated draft -> material entry with numeric properties
+const toMaterial = (draft) => MATERIAL_FIELDS.reduce(
+  (acc, field) => ({ ...acc, [field.key]: Number(draft[field.key]) }),
+  { name: String(draft.name).trim() }
+);
+
+// Material entry -> form draft
+const toDraft = (material) => MATERIAL_FIELDS.reduce(
+  (acc, field) => ({ ...acc, [field.key]: String(material[field.key]) }),
+  { name: material.name }
+);
+
+// Stable key from the display name, suffixed when it would collide with an existing material
+const materialKey = (name, library) => {
+  const base = String(name).trim().replace(/[^\w]+/g, '_').replace(/^_+|_+$/g, '') || 'Material';
+  let key = base;
+  for (let i = 2; library[key] || isBuiltIn(key); i++) key = `${base}_${i}`;
+  return key;
+};
+
+// key undefined adds a new material; returns { custom, key }
+const saveMaterial = (custom, key, material) => {
+  if (key && isBuiltIn(key)) throw new Error('Built-in materials cannot be edited.');
+  const savedKey = key || materialKey(material.name, custom);
+  return { custom: { ...custom, [savedKey]: material }, key: savedKey };
+};
+
+const deleteMaterial = (custom, key) => {
+  const next = { ...custom };
+  delete next[key];
+  return next;
+};
+
+// --- TRADE-OFF ---
+// The calculated impeller in every library material: stress margin against mass and cost, cheapest first.
+// results/numInputs: engine-unit output and inputs of calculateResults.
+const materialTradeoff = (results, numInputs, library) => Object.keys(library)
+  .map(key => {
+    const mat = library[key];
+    const { safetyFactor, stressStatus } = centrifugalStress(mat, results.tipSpeedActual);
+    const { impellerMass_kg, materialCost } = impellerMass({
+      ...results, inletAngle: numInputs.inletAngle, outletAngle: numInputs.outletAngle
+    }, mat, results.plateThickness_mm, numInputs.bladeProfile);
+    return { key, name: mat.name, safetyFactor, stressStatus, impellerMass_kg, materialCost };
+  })
+  .sort((a, b) => a.materialCost - b.materialCost);
+
+module.exports = {
+  MATERIAL_FIELDS,
+  isBuiltIn,
+  validateMaterial,
+  toMaterial,
+  toDraft,
+  materialKey,
+  saveMaterial,
+  deleteMaterial,
+  materialTradeoff
+};
@@ -0,0 +1,181 @@
+// motors.js - Offline IEC/NEMA motor catalog and drive selection for FanDesign Pro
+// Ratings are typical catalog values (IE3 at 50 Hz, NEMA Premium TEFC at 60 Hz) for sizing only.
+const HP_PER_KW = 1 / 0.7457;
+
+const POLES = [2, 4, 6];
+
+// [power, frame by pole count, full-load efficiency % by pole count]
+const IEC_TABLE = [
+  [0.75, ['80', '80', '90S'], [80.7, 82.5, 78.9]],
+  [1.1, ['80', '90S', '90L'], [82.7, 84.1, 81.0]],
+  [1.5, ['90S', '90L', '100L'], [84.2, 85.3, 82.5]],
+  [2.2, ['90L', '100L', '112M'], [85.9, 86.7, 84.3]],
+  [3, ['100L', '100L', '132S'], [87.1, 87.7, 85.6]],
+  [4, ['112M', '112M', '132M'], [88.1, 88.6, 86.8]],
+  [5.5, ['132S', '132S', '132M'], [89.2, 89.6, 88.0]],
+  [7.5, ['132S', '132M', '160M'], [90.1, 90.4, 89.1]],
+  [11, ['160M', '160M', '160L'], [91.2, 91.4, 90.3]],
+  [15, ['160M', '160L', '180L'], [91.9, 92.1, 91.2]],
+  [18.5, ['160L', '180M', '200L'], [92.4, 92.6, 91.7]],
+  [22, ['180M', '180L', '200L'], [92.7, 93.0, 92.2]],
+  [30, ['200L', '200L', '225M'], [93.3, 93.6, 92.9]],
+  [37, ['200L', '225S', '250M'], [93.7, 93.9, 93.3]],
+  [45, ['225M', '225M', '280S'], [94.0, 94.2, 93.7]],
+  [55, ['250M', '250M', '280M'], [94.3, 94.6, 94.1]],
+  [75, ['280S', '280S', '315S'], [94.7, 95.0, 94.6]],
+  [90, ['280M', '280M', '315M'], [95.0, 95.2, 94.9]],
+  [110, ['315S', '315S', '315L'], [95.2, 95.4, 95.1]],
+  [132, ['315M', '315M', '315L'], [95.4, 95.6, 95.4]],
+  [160, ['315L', '315L', '355'], [95.6, 95.8, 95.6]],
+  [200, ['315L', '315L', '355'], [95.8, 96.0, 95.8]]
+];
+
+const NEMA_TABLE = [
+  [1, ['143T', '143T', '145T'], [77.0, 85.5, 82.5]],
+  [1.5, ['143T', '145T', '182T'], [84.0, 86.5, 87.5]],
+  [2, ['145T', '145T', '184T'], [85.5, 86.5, 88.5]],
+  [3, ['145T', '182T', '213T'], [86.5, 89.5, 89.5]],
+  [5, ['182T', '184T', '215T'], [88.5, 89.5, 89.5]],
+  [7.5, ['184T', '213T', '254T'], [89.5, 91.7, 91.0]],
+  [10, ['213T', '215T', '256T'], [90.2, 91.7, 91.0]],
+  [15, ['215T', '254T', '284T'], [91.0, 92.4, 91.7]],
+  [20, ['254T', '256T', '286T'], [91.0, 93.0, 91.7]],
+  [25, ['256T', '284T', '324T'], [91.7, 93.6, 93.0]],
+  [30, ['284TS', '286T', '326T'], [91.7, 93.6, 93.0]],
+  [40, ['286TS', '324T', '364T'], [92.4, 94.1, 94.1]],
+  [50, ['324TS', '326T', '365T'], [93.0, 94.5, 94.1]],
+  [60, ['326TS', '364T', '404T'], [93.6, 95.0, 94.5]],
+  [75, ['364TS', '365T', '405T'], [93.6, 95.4, 94.5]],
+  [100, ['365TS', '404T', '444T'], [94.1, 95.4, 95.0]],
+  [125, ['404TS', '405T', '445T'], [95.0, 95.4, 95.0]],
+  [150, ['405TS', '444T', '447T'], [95.0, 95.8, 95.8]],
+  [200, ['444TS', '445T', '449T'], [95.4, 96.2, 95.8]]
+];
+
+const MOTOR_STANDARDS = {
+  IEC: { label: 'IEC 50 Hz', frequency: 50, powerUnit: 'kW', table: IEC_TABLE },
+  NEMA: { label: 'NEMA 60 Hz', frequency: 60, powerUnit: 'HP', table: NEMA_TABLE }
+};
+
+// Full-load slip falls from about 5% on fractional motors to about 1% on large ones
+const fullLoadSlip = (kW) => Math.min(0.05, Math.max(0.01, 0.045 / Math.pow(kW, 0.25)));
+
+const buildCatalog = (standard) => {
+  const { frequency, powerUnit, table } = MOTOR_STANDARDS[standard];
+  const motors = [];
+  table.forEach(([power, frames, efficiencies]) => {
+    const power_kW = powerUnit === 'kW' ? power : power / HP_PER_KW;
+    POLES.forEach((poles, i) => {
+      const syncSpeed = (120 * frequency) / poles;
+      motors.push({
+        id: `${standard}-${power}${powerUnit}-${poles}P`,
+        standard,
+        rating: `${power} ${powerUnit}`,
+        power_kW,
+        power_HP: power_kW * HP_PER_KW,
+        poles,
+        syncSpeed,
+        ratedSpeed: Math.round(syncSpeed * (1 - fullLoadSlip(power_kW))),
+        frame: frames[i],
+        efficiency: efficiencies[i] / 100
+      });
+    });
+  });
+  return motors;
+};
+
+const MOTOR_CATALOG = [...buildCatalog('IEC'), ...buildCatalog('NEMA')];
+
+// --- DRIVES ---
+const DRIVE_TYPES = { belt: 'Belt Drive', direct: 'Direct Drive' };
+
+const SERVICE_MARGIN = 0.15; // default allowance over brake power
+const BELT_EFFICIENCY = 0.95; // V-belt transmission loss
+
+// Standard V-belt sheave pitch diameters (mm), R40 series
+const SHEAVES = [
+  63, 67, 71, 75, 80, 85, 90, 95, 100, 106, 112, 118, 125, 132, 140, 150, 160, 170, 180, 190, 200,
+  212, 224, 236, 250, 265, 280, 300, 315, 335, 355, 375, 400, 425, 450, 475, 500, 530, 560, 600, 630
+];
+const MIN_SHEAVE = 80; // mm; smaller sheaves overload the belt
+const MAX_BELT_RATIO = 5;
+const PULLEY_SPEED_TOLERANCE = 0.01; // fan speed error accepted in exchange for smaller sheaves
+
+// Most compact sheave pair within tolerance of the target fan speed, else the closest pair overall
+const sizePulleys = (motorSpeed, fanRpm) => {
+  const pairs = [];
+  const usable = SHEAVES.filter(d => d >= MIN_SHEAVE);
+  usable.forEach(motor_mm => usable.forEach(fan_mm => {
+    const ratio = fan_mm / motor_mm;
+    if (ratio > MAX_BELT_RATIO || ratio < 1 / MAX_BELT_RATIO) return;
+    const fanSpeed = motorSpeed / ratio;
+    pairs.push({ motor_mm, fan_mm, ratio, fanSpeed, error: Math.abs(fanSpeed - fanRpm) / fanRpm });
+  }));
+  const compact = pairs
+    .filter(p => p.error <= PULLEY_SPEED_TOLERANCE)
+    .sort((a, b) => Math.max(a.motor_mm, a.fan_mm) - Math.max(b.motor_mm, b.fan_mm) || a.error - b.error)[0];
+  const best = compact || pairs.sort((a, b) => a.error - b.error)[0];
+  return { motor_mm: best.motor_mm, fan_mm: best.fan_mm, ratio: best.ratio, fanSpeed: best.fanSpeed };
+};
+
+const smallestMotor = (candidates, required_HP) =>
+  candidates
+    .filter(m => m.power_HP >= required_HP)
+    .sort((a, b) => a.power_HP - b.power_HP)[0] || null;
+
+// brakePowerHP at the design rpm -> recommended motor and drive, or null when the catalog has nothing big enough.
+// Both drives use the pole count nearest the design speed. Belt drives add the belt loss and size the
+// sheaves to hold the design speed; direct drives run the fan at the motor's rated speed, for which
+// calculateResults resizes the impeller to the same duty, so brake power carries over unchanged.
+const recommendMotor = (brakePowerHP, rpm, options = {}) => {
+  const standard = options.standard || 'IEC';
+  const drive = options.drive || 'belt';
+  const margin = options.margin !== undefined ? options.margin : SERVICE_MARGIN;
+  const motors = MOTOR_CATALOG.filter(m => m.standard === standard);
+  const nominalSpeed = (poles) => motors.find(m => m.poles === poles).ratedSpeed;
+  const closestPoles = POLES.slice().sort(
+    (a, b) => Math.abs(Math.log(nominalSpeed(a) / rpm)) - Math.abs(Math.log(nominalSpeed(b) / rpm))
+  )[0];
+
+  if (drive === 'direct') {
+    const required_HP = brakePowerHP * (1 + margin);
+    const motor = smallestMotor(motors.filter(m => m.poles === closestPoles), required_HP);
+    if (!motor) return null;
+    return {
+      drive,
+      motor,
+      required_HP,
+      shaftPower_HP: brakePowerHP,
+      fanSpeed: motor.ratedSpeed,
+      speedDeviation: (motor.ratedSpeed - rpm) / rpm,
+      loadPct: (brakePowerHP / motor.power_HP) * 100,
+      pulleys: null
+    };
+  }
+
+  const shaftPower_HP = brakePowerHP / BELT_EFFICIENCY;
+  const required_HP = shaftPower_HP * (1 + margin);
+  const motor = smallestMotor(motors.filter(m => m.poles === closestPoles), required_HP);
+  if (!motor) return null;
+  const pulleys = sizePulleys(motor.ratedSpeed, rpm);
+  return {
+    drive,
+    motor,
+    required_HP,
+    shaftPower_HP,
+    fanSpeed: pulleys.fanSpeed,
+    speedDeviation: (pulleys.fanSpeed - rpm) / rpm,
+    loadPct: (shaftPower_HP / motor.power_HP) * 100,
+    pulleys
+  };
+};
+
+module.exports = {
+  MOTOR_STANDARDS,
+  MOTOR_CATALOG,
+  DRIVE_TYPES,
+  SERVICE_MARGIN,
+  BELT_EFFICIENCY,
+  sizePulleys,
+  recommendMotor
+};
@@ -0,0 +1,145 @@
+// optimizer.js - Design search over speed, blade angle, blade type and material for FanDesign Pro
+// Every candidate goes through calculateResults, so the shortlist matches what CALCULATE shows.
+const { calculateResults, materials: BUILTIN_MATERIALS } = require('./engine');
+const { TIP_SPEED_LIMIT } = require('./stress');
+
+const OBJECTIVES = {
+  power: { label: "Minimum Brake Power", value: (r) => r.brakePowerHP },
+  diameter: { label: "Smallest Diameter", value: (r) => r.D2_mm },
+  cost: { label: "Lowest Material Cost", value: (r) => r.materialCost }
+};
+
+// Outlet angles searched for each blade type (degrees)
+const ANGLE_RANGES = {
+  Backward: [25, 30, 35, 40, 45, 50, 55, 60],
+  Radial: [90],
+  Forward: [120, 130, 140, 150, 160]
+};
+
+const DEFAULT_CONSTRAINTS = {
+  rpmMin: 600,
+  rpmMax: 3600,
+  rpmSteps: 11,
+  maxTipSpeed: TIP_SPEED_LIMIT, // m/s
+  minSafetyFactor: 2,
+  maxMotorLoad: 100, // %, only checked when a motor rating is entered
+  minBlades: 6,
+  maxBlades: 12,
+  avoidResonance: true
+};
+
+const SHORTLIST_SIZE = 5;
+
+// Results a candidate needs as finite numbers to be ranked and shown
+const KEY_RESULTS = ['D2_mm', 'brakePowerHP', 'effStatic', 'tipSpeedActual', 'safetyFactor', 'materialCost'];
+
+// --- VALIDATION ---
+// Limit form values (strings) -> { field: message }
+const validateConstraints = (limits) => {
+  const errors = {};
+  const values = {};
+  Object.keys(limits).forEach(key => {
+    const raw = String(limits[key] === undefined ? '' : limits[key]).trim();
+    const value = Number(raw);
+    if (raw === '') errors[key] = "Required";
+    else if (!isFinite(value)) errors[key] = "Must be a number";
+    else values[key] = value;
+  });
+  const ok = (key) => values[key] !== undefined;
+  if (ok('rpmMin') && values.rpmMin <= 0) errors.rpmMin = "Must be more than 0";
+  if (ok('rpmMin') && ok('rpmMax') && !errors.rpmMin && values.rpmMax < values.rpmMin) errors.rpmMax = "Must be at least Min RPM";
+  if (ok('maxTipSpeed') && values.maxTipSpeed <= 0) errors.maxTipSpeed = "Must be more than 0";
+  if (ok('minSafetyFactor') && values.minSafetyFactor < 0) errors.minSafetyFactor = "Must be zero or more";
+  if (ok('maxMotorLoad') && values.maxMotorLoad <= 0) errors.maxMotorLoad = "Must be more than 0";
+  if (ok('minBlades') && values.minBlades < 0) errors.minBlades = "Must be zero or more";
+  if (ok('minBlades') && ok('maxBlades') && !errors.minBlades && values.maxBlades < values.minBlades) errors.maxBlades = "Must be at least Min Blades";
+  return errors;
+};
+
+const speedGrid = ({ rpmMin, rpmMax, rpmSteps }) => {
+  if (rpmSteps <= 1 || rpmMax <= rpmMin) return [Math.round(rpmMin)];
+  return [...Array(rpmSteps)].map((_, i) => Math.round(rpmMin + ((rpmMax - rpmMin) * i) / (rpmSteps - 1)));
+};
+
+// Names of the limits a result breaks; `invalid` when the design itself does not compute
+const violations = (results, motorRating, c) => {
+  if (KEY_RESULTS.some(key => !Number.isFinite(results[key]))) return ['invalid'];
+  const broken = [];
+  if (results.tipSpeedActual > c.maxTipSpeed) broken.push('tipSpeed');
+  if (results.safetyFactor < c.minSafetyFactor) broken.push('safetyFactor');
+  if (motorRating > 0 && results.motorLoadPct > c.maxMotorLoad) broken.push('motorLoad');
+  if (results.bladeCountFinal < c.minBlades || results.bladeCountFinal > c.maxBlades) broken.push('bladeCount');
+  if (c.avoidResonance && results.rotor.resonances.some(r => r.status === 'RESONANT')) broken.push('resonance');
+  return broken;
+};
+
+// baseInputs: engine-unit inputs holding the fixed duty (flow, pressure, air, motor, inlet angle).
+// Returns the best feasible candidates for the objective, plus how many were tried and why the rest failed.
+const optimizeDesign = (baseInputs, options = {}) => {
+  const objective = OBJECTIVES[options.objective] || OBJECTIVES.power;
+  const c = { ...DEFAULT_CONSTRAINTS, ...options.constraints };
+  const library = options.materials || BUILTIN_MATERIALS;
+  const bladeTypes = options.bladeTypes || Object.keys(ANGLE_RANGES);
+  const materialKeys = options.materialKeys || Object.keys(library);
+  const motorRating = Number(baseInputs.motorRating) || 0;
+
+  const rejected = { invalid: 0, tipSpeed: 0, safetyFactor: 0, motorLoad: 0, bladeCount: 0, resonance: 0 };
+  const feasible = [];
+  let evaluated = 0;
+
+  speedGrid(c).forEach(rpm => bladeTypes.forEach(bladeType => ANGLE_RANGES[bladeType].forEach(outletAngle => {
+    materialKeys.forEach(material => {
+      const inputs = { ...baseInputs, rpm, bladeType, outletAngle, material };
+      const results = calculateResults(inputs, library, { drawings: false });
+      evaluated++;
+      const broken = violations(results, motorRating, c);
+      broken.forEach(name => { rejected[name]++; });
+      if (broken.length === 0) feasible.push({ inputs, results, score: objective.value(results) });
+    });
+  })));
+
+  // Ties (e.g. brake power does not depend on material) go to the cheaper, then lighter design
+  feasible.sort((a, b) => a.score - b.score
+    || a.results.materialCost - b.results.materialCost
+    || a.results.impellerMass_kg - b.results.impellerMass_kg);
+
+  // Best candidate per blade type and material, so the shortlist offers real alternatives
+  // rather than the same design at neighbouring speeds
+  const seen = new Set();
+  const distinct = feasible.filter(({ inputs }) => {
+    const family = `${inputs.bladeType}|${inputs.material}`;
+    if (seen.has(family)) return false;
+    seen.add(family);
+    return true;
+  });
+
+  return {
+    objective: options.objective || 'power',
+    evaluated,
+    feasibleCount: feasible.length,
+    rejected,
+    shortlist: distinct.slice(0, options.limit || SHORTLIST_SIZE).map(({ inputs, results, score }) => ({
+      rpm: inputs.rpm,
+      bladeType: inputs.bladeType,
+      outletAngle: inputs.outletAngle,
+      material: inputs.material,
+      score,
+      D2_mm: results.D2_mm,
+      brakePowerHP: results.brakePowerHP,
+      effStatic: results.effStatic,
+      tipSpeedActual: results.tipSpeedActual,
+      safetyFactor: results.safetyFactor,
+      motorLoadPct: results.motorLoadPct,
+      bladeCountFinal: results.bladeCountFinal,
+      materialCost: results.materialCost
+    }))
+  };
+};
+
+module.exports = {
+  OBJECTIVES,
+  ANGLE_RANGES,
+  DEFAULT_CONSTRAINTS,
+  validateConstraints,
+  optimizeDesign
+};
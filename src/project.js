@@ -0,0 +1,243 @@
+// project.js - Versioned project files for sharing designs between devices
+//
+// Current format (version 1):
+//   { format: "fandesign-project", version: 1, name, createdAt,
+//     units, inputs, materials: { key: { name, density, yield, poisson, youngs, price } }, results,
+//     ductSystem: [components as stored by ductSystem.js] }
+// inputs are form values in `units`; results are engine-unit values, kept for reference only and
+// recalculated on import. Older files are migrated step by step through MIGRATIONS.
+// Version 0 is a bare `fanHistory` record ({ id, timestamp, inputs, summary }) as the app has
+// always stored them, so saved history and exported history dumps import directly.
+const { calculateResults, materials: BUILTIN_MATERIALS, DEFAULT_INPUTS, APP_PROFILES, BLADE_TYPES } = require('./engine');
+const { UNIT_DATA, unitOptions, normalizeUnits, toEngineInputs } = require('./units');
+const { validateInputs } = require('./validation');
+const { MATERIAL_FIELDS, validateMaterial, toMaterial, toDraft, materialKey } = require('./materialLibrary');
+const { validateDuctSystem } = require('./ductSystem');
+const { BLADE_PROFILES } = require('./dxf');
+const { VOLUTE_TYPES } = require('./volute');
+const { GASES } = require('./gas');
+
+const PROJECT_FORMAT = 'fandesign-project';
+const PROJECT_VERSION = 1;
+
+// Results worth carrying in the file; curves, drawings and casing geometry are regenerated
+const RESULT_FIELDS = [
+  'airDensitySI', 'D2_mm', 'D1_mm', 'D_hub_mm', 'b2_mm', 'b1_mm', 'bladeCountFinal', 'effStatic',
+  'tipSpeedActual', 'brakePowerHP', 'motorLoadPct', 'safetyFactor', 'stressStatus', 'shaftDiaStd', 'torqueNm',
+  'impellerMass_kg', 'materialCost'
+];
+
+// Inputs chosen from a fixed list, with the values the engine knows
+const INPUT_CHOICES = {
+  application: Object.keys(APP_PROFILES),
+  bladeType: BLADE_TYPES,
+  bladeProfile: Object.keys(BLADE_PROFILES),
+  voluteType: Object.keys(VOLUTE_TYPES),
+  gas: Object.keys(GASES)
+};
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+const pickResults = (results) => RESULT_FIELDS.reduce(
+  (acc, key) => (results && results[key] !== undefined ? { ...acc, [key]: results[key] } : acc),
+  {}
+);
+
+// --- EXPORT ---
+const createProject = ({ name, inputs, units, results, materials = {}, ductSystem = [] }) => ({
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  name: name || '',
+  createdAt: new Date().toISOString(),
+  units: normalizeUnits(units),
+  inputs: { ...inputs },
+  materials,
+  results: pickResults(results),
+  ductSystem
+});
+
+const serializeProject = (project) => JSON.stringify(project, null, 2);
+
+// --- MIGRATIONS ---
+// MIGRATIONS[n] upgrades a version-n object to version n + 1
+const MIGRATIONS = {
+  0: (record) => ({
+    format: PROJECT_FORMAT,
+    version: 1,
+    name: record.name || record.timestamp || '',
+    createdAt: typeof record.id === 'number' ? new Date(record.id).toISOString() : new Date().toISOString(),
+    units: normalizeUnits(record.units),
+    inputs: { ...record.inputs },
+    materials: {},
+    results: {},
+    ductSystem: record.ductSystem || []
+  })
+};
+
+const versionOf = (obj) => {
+  if (obj && obj.format === PROJECT_FORMAT) return obj.version;
+  if (obj && obj.inputs && typeof obj.inputs === 'object') return 0;
+  return undefined;
+};
+
+const migrateProject = (obj) => {
+  let version = versionOf(obj);
+  if (version === undefined) throw new Error('Not a FanDesign project or history record.');
+  if (!Number.isInteger(version) || version < 0) throw new Error(`Invalid project version "${version}".`);
+  if (version > PROJECT_VERSION) {
+    throw new Error(`Project version ${version} is newer than this app supports (${PROJECT_VERSION}). Update the app.`);
+  }
+  let project = obj;
+  while (version < PROJECT_VERSION) {
+    project = MIGRATIONS[version](project);
+    version = project.version;
+  }
+  return project;
+};
+
+// --- VALIDATION ---
+// Schema problems in a current-version project, as readable messages.
+// knownMaterials: the library the design may refer to besides the materials embedded in the file.
+const validateProject = (project, knownMaterials = BUILTIN_MATERIALS) => {
+  const errors = [];
+  const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+
+  if (!isObject(project.inputs)) errors.push('inputs: missing');
+  if (!isObject(project.units)) errors.push('units: missing');
+  if (project.materials !== undefined && !isObject(project.materials)) errors.push('materials: must be an object');
+  if (errors.length) return errors;
+
+  Object.keys(project.units).forEach(quantity => {
+    if (!UNIT_DATA[quantity]) errors.push(`units.${quantity}: unknown quantity`);
+    else if (!unitOptions(quantity).includes(project.units[quantity])) {
+      errors.push(`units.${quantity}: unknown unit "${project.units[quantity]}"`);
+    }
+  });
+
+  Object.keys(project.materials || {}).forEach(key => {
+    const mat = project.materials[key];
+    if (!isObject(mat)) {
+      errors.push(`materials.${key}: must be an object`);
+      return;
+    }
+    const matErrors = validateMaterial(toDraft(mat));
+    Object.keys(matErrors).forEach(field => errors.push(`materials.${key}.${field}: ${matErrors[field]}`));
+  });
+
+  if (project.ductSystem !== undefined) {
+    validateDuctSystem(project.ductSystem).forEach(msg => errors.push(msg));
+  }
+
+  const inputs = { ...DEFAULT_INPUTS, ...project.inputs };
+  Object.keys(INPUT_CHOICES).forEach(key => {
+    if (!INPUT_CHOICES[key].includes(inputs[key])) errors.push(`inputs.${key}: unknown value "${inputs[key]}"`);
+  });
+  const inputErrors = validateInputs(inputs, normalizeUnits(project.units));
+  Object.keys(inputErrors).forEach(key => errors.push(`inputs.${key}: ${inputErrors[key]}`));
+
+  const known = { ...knownMaterials, ...(project.materials || {}) };
+  if (!hasOwn(known, inputs.material)) errors.push(`inputs.material: unknown material "${inputs.material}"`);
+
+  return errors;
+};
+
+// --- IMPORT ---
+// Text of a project file, a single history record or an array of either -> list of current-version projects.
+// Throws with every schema problem listed when any entry is invalid.
+const parseProjects = (text, knownMaterials = BUILTIN_MATERIALS) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('File is not valid JSON.');
+  }
+  const entries = Array.isArray(data) ? data : [data];
+  if (entries.length === 0) throw new Error('File contains no designs.');
+
+  const problems = [];
+  const projects = entries.map((entry, i) => {
+    const label = entries.length > 1 ? `Design ${i + 1}: ` : '';
+    try {
+      const project = migrateProject(entry);
+      const errors = validateProject(project, knownMaterials);
+      if (errors.length) {
+        errors.forEach(msg => problems.push(label + msg));
+        return null;
+      }
+      return {
+        ...project,
+        units: normalizeUnits(project.units),
+        inputs: { ...DEFAULT_INPUTS, ...project.inputs },
+        materials: Object.keys(project.materials || {}).reduce(
+          (acc, key) => ({ ...acc, [key]: toMaterial(toDraft(project.materials[key])) }),
+          {}
+        ),
+        ductSystem: project.ductSystem || []
+      };
+    } catch (e) {
+      problems.push(label + e.message);
+      return null;
+    }
+  });
+  if (problems.length) throw new Error(problems.join('\n'));
+  return projects;
+};
+
+const sameMaterial = (a, b) => a.name === b.name && MATERIAL_FIELDS.every(({ key }) => a[key] === b[key]);
+
+// Adds the materials embedded in imported projects to the user's custom library -> { custom, projects }.
+// A key already taken by a different material (built-in, custom or from an earlier design in the file)
+// gets a new key, and the designs using it are rewritten to match.
+const mergeProjectMaterials = (projects, custom, builtIn = BUILTIN_MATERIALS) => {
+  let library = { ...custom };
+  const merged = projects.map(project => {
+    const renamed = {};
+    const own = {};
+    Object.keys(project.materials).forEach(key => {
+      const mat = project.materials[key];
+      const existing = (hasOwn(library, key) && library[key]) || (hasOwn(builtIn, key) && builtIn[key]);
+      let savedKey = key;
+      if (existing && !sameMaterial(existing, mat)) {
+        savedKey = Object.keys(library).find(k => sameMaterial(library[k], mat)) || materialKey(mat.name, library);
+        renamed[key] = savedKey;
+      }
+      if (!hasOwn(builtIn, savedKey)) library = { ...library, [savedKey]: mat };
+      own[savedKey] = mat;
+    });
+    const material = renamed[project.inputs.material] || project.inputs.material;
+    return { ...project, materials: own, inputs: { ...project.inputs, material } };
+  });
+  return { custom: library, projects: merged };
+};
+
+// Imported project -> entry for the fanHistory list, with a freshly calculated summary
+const projectToHistoryItem = (project, id = Date.now(), materials = BUILTIN_MATERIALS) => {
+  const numInputs = toEngineInputs(project.inputs, project.units);
+  const results = calculateResults(numInputs, { ...materials, ...project.materials });
+  return {
+    id,
+    timestamp: new Date(id).toLocaleString(),
+    name: project.name || undefined,
+    inputs: { ...project.inputs },
+    units: { ...project.units },
+    ductSystem: project.ductSystem || [],
+    summary: {
+      flow: numInputs.flowRate,
+      pressure: numInputs.staticPressure,
+      power: results.brakePowerHP,
+      diameter: results.D2_mm
+    }
+  };
+};
+
+module.exports = {
+  PROJECT_FORMAT,
+  PROJECT_VERSION,
+  createProject,
+  serializeProject,
+  migrateProject,
+  validateProject,
+  parseProjects,
+  mergeProjectMaterials,
+  projectToHistoryItem
+};
@@ -0,0 +1,141 @@
+// report.js - Self-contained HTML datasheet for customer submittals
+// Built from calculateResults output; no external assets, so the file can be mailed, printed or
+// handed to a local HTML-to-PDF converter as is.
+const { fromEngine } = require('./units');
+const { buildImpellerDrawing, drawingToSvg } = require('./impellerDrawing');
+const { GASES } = require('./gas');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const fixed = (value, digits = 2) => (typeof value === 'number' && isFinite(value) ? value.toFixed(digits) : '—');
+
+// --- DRAWING ---
+// The dimensioned drawing from impellerDrawing.js, inline (no XML prologue inside HTML)
+const impellerDrawingSvg = (results, inputs, units) =>
+  drawingToSvg(buildImpellerDrawing(results, inputs, units), 640).replace(/^<\?xml[^>]*\?>\s*/, '');
+
+// --- DATASHEET ---
+// results/inputs in engine units; units: display selection; checks: designChecks() output;
+// cover: { company, projectRef, revision }
+const buildDatasheetHtml = ({ results, inputs, units, material, checks = [], cover = {}, date = new Date() }) => {
+  const show = (quantity, value) => fromEngine(quantity, value, units);
+  const row = (label, value, unit = '') =>
+    `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}${unit ? ` ${escapeHtml(unit)}` : ''}</td></tr>`;
+  const table = (title, rows) => `<section><h2>${escapeHtml(title)}</h2><table>${rows.join('')}</table></section>`;
+
+  const duty = table('Duty Point', [
+    row('Actual Flow', fixed(show('flow', results.actualFlow), 0), units.flow),
+    row('Standard Flow', fixed(show('flow', results.standardFlow), 0), units.flow),
+    row('Static Pressure', fixed(show('pressure', inputs.staticPressure)), units.pressure),
+    row('Speed', fixed(inputs.rpm, 0), 'RPM'),
+    row('Air Temperature', fixed(show('temperature', inputs.temp), 1), units.temperature),
+    row('Altitude', fixed(show('altitude', inputs.altitude), 0), units.altitude),
+    row('Gas', `${GASES[results.gas.name].label} (${fixed(results.gas.molarMass)} g/mol)`),
+    ...(inputs.humidity ? [row('Relative Humidity', fixed(Number(inputs.humidity), 0), '%')] : []),
+    row('Inlet Pressure (abs.)', fixed(show('pressure', results.gas.pressure_pa)), units.pressure),
+    row('Gas Density', fixed(results.airDensitySI, 3), 'kg/m³')
+  ]);
+
+  const impeller = table('Impeller', [
+    row('Outer Diameter D2', fixed(show('length', results.D2_mm)), units.length),
+    row('Inlet Diameter D1', fixed(show('length', results.D1_mm)), units.length),
+    row('Hub Diameter', fixed(show('length', results.D_hub_mm)), units.length),
+    row('Outlet Width b2', fixed(show('length', results.b2_mm)), units.length),
+    row('Inlet Width b1', fixed(show('length', results.b1_mm)), units.length),
+    row('Blade Type', inputs.bladeType),
+    row('Blade Count', results.bladeCountFinal),
+    row('Inlet Blade Angle', fixed(inputs.inletAngle, 1), '°'),
+    row('Outlet Blade Angle', fixed(inputs.outletAngle, 1), '°'),
+    row('Material', material ? material.name : inputs.material)
+  ]);
+
+  const performance = table('Performance', [
+    row('Static Efficiency', fixed(results.effStatic * 100, 1), '%'),
+    row('Brake Power', fixed(show('power', results.brakePowerHP)), units.power),
+    row('Motor Rating', fixed(show('power', inputs.motorRating)), units.power),
+    row('Motor Load', fixed(results.motorLoadPct, 0), `% (${results.motorCheck})`)
+  ]);
+
+  const mechanical = table('Mechanical', [
+    row('Tip Speed', fixed(results.tipSpeedActual, 1), 'm/s'),
+    row('Centrifugal Stress', fixed(results.sigma_total_mpa), 'MPa'),
+    row('Stress Safety Factor', fixed(results.safetyFactor), `(${results.stressStatus})`),
+    row('Shaft Diameter', fixed(show('length', results.shaftDiaStd)), units.length),
+    row('Shaft Torque', fixed(results.torqueNm, 1), 'Nm'),
+    row('Plate Thickness', fixed(show('length', results.plateThickness_mm)), units.length),
+    row('Impeller Mass', fixed(results.impellerMass_kg, 1), 'kg'),
+    row('Shaft Critical Speed', fixed(results.rotor.criticalSpeed_rpm, 0), 'RPM'),
+    row('Blade Natural Frequency', fixed(results.rotor.bladeFreq_hz, 1), 'Hz')
+  ]);
+
+  const { acoustics } = results;
+  const noise = table('Noise', [
+    row('Sound Power Level', fixed(acoustics.Lw, 1), 'dB'),
+    row('A-weighted Sound Power', fixed(acoustics.LwA, 1), 'dB(A)'),
+    ...(acoustics.distance_m ? [row(`Sound Pressure at ${fixed(show('distance', acoustics.distance_m), 1)} ${units.distance}`, fixed(acoustics.LpA, 1), 'dB(A)')] : []),
+    row('Blade Tone', fixed(acoustics.bpf_hz, 0), 'Hz'),
+    row('Octave Bands Lw (63 Hz – 8 kHz)', acoustics.bands.map(band => band.Lw.toFixed(0)).join(' / '), 'dB')
+  ]);
+
+  const warnings = checks.length === 0
+    ? '<p class="ok">All design checks passed.</p>'
+    : `<ul>${checks.map(c => `<li class="${c.severity}"><b>${escapeHtml(c.severity.toUpperCase())} · ${escapeHtml(c.title)}</b> — ${escapeHtml(c.message)}</li>`).join('')}</ul>`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Fan Datasheet${cover.projectRef ? ` — ${escapeHtml(cover.projectRef)}` : ''}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #1e293b; margin: 24px; font-size: 12px; }
+  .cover { border-bottom: 3px solid #1d4ed8; padding-bottom: 12px; margin-bottom: 16px; }
+  .cover h1 { color: #1e40af; margin: 0 0 4px; font-size: 22px; }
+  .cover .company { font-size: 16px; font-weight: bold; }
+  .cover table th { text-align: left; padding-right: 12px; color: #64748b; font-weight: normal; }
+  .grid { display: flex; flex-wrap: wrap; gap: 16px; }
+  section { flex: 1 1 45%; page-break-inside: avoid; }
+  h2 { font-size: 14px; color: #1e40af; border-bottom: 1px solid #cbd5e1; padding-bottom: 2px; }
+  table { width: 100%; border-collapse: collapse; }
+  section th { text-align: left; font-weight: normal; color: #475569; padding: 3px 0; }
+  section td { text-align: right; padding: 3px 0; }
+  tr + tr { border-top: 1px solid #f1f5f9; }
+  .sketch { text-align: center; }
+  .sketch svg { max-width: 100%; height: auto; }
+  li.error { color: #b91c1c; } li.warning { color: #b45309; } li.info { color: #0369a1; }
+  .ok { color: #16a34a; }
+  footer { margin-top: 24px; color: #94a3b8; font-size: 10px; }
+</style>
+</head>
+<body>
+<div class="cover">
+  <div class="company">${escapeHtml(cover.company || '')}</div>
+  <h1>Centrifugal Fan Datasheet</h1>
+  <table>
+    <tr><th>Project Ref.</th><td>${escapeHtml(cover.projectRef || '—')}</td></tr>
+    <tr><th>Revision</th><td>${escapeHtml(cover.revision || '—')}</td></tr>
+    <tr><th>Date</th><td>${escapeHtml(date.toLocaleDateString())}</td></tr>
+  </table>
+</div>
+<div class="grid">
+${duty}
+${impeller}
+${performance}
+${mechanical}
+${noise}
+</div>
+<section class="sketch"><h2>Impeller Drawing</h2>${impellerDrawingSvg(results, inputs, units)}</section>
+<section><h2>Design Checks</h2>${warnings}</section>
+<footer>Generated by FanDesign Pro. Values are design estimates.</footer>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  escapeHtml,
+  buildDatasheetHtml
+};
@@ -0,0 +1,97 @@
+// rotor.js - Shaft critical speed and blade natural frequency checks for FanDesign Pro
+// Impeller at mid-span between two bearings on a steel shaft; blades as cantilever plates standing
+// off the backplate.
+const SHAFT_YOUNGS = 200; // GPa, steel shaft whatever the impeller material
+const SHAFT_DENSITY = 7850; // kg/m³
+const RAYLEIGH_SHAFT_MASS = 17 / 35; // share of a simply supported shaft's mass acting at mid-span
+const CANTILEVER_MODE_1 = 1.875104; // first root of the clamped-free beam equation
+
+// Separation between a natural frequency and an excitation, as a fraction of the excitation
+const SEPARATION_LIMITS = { resonant: 0.1, marginal: 0.2 };
+
+// Bearing span used when none is entered (mm)
+const defaultBearingSpan = (D2_mm) => Math.max(150, 0.6 * D2_mm);
+
+// First bending critical speed (rpm) of a shaft carrying the impeller at mid-span
+const shaftCriticalSpeed = ({ shaftDia_mm, bearingSpan_mm, rotorMass_kg }) => {
+  const d = shaftDia_mm / 1000;
+  const L = bearingSpan_mm / 1000;
+  const I = (Math.PI * Math.pow(d, 4)) / 64;
+  const stiffness = (48 * SHAFT_YOUNGS * 1e9 * I) / Math.pow(L, 3); // N/m
+  const shaftMass_kg = SHAFT_DENSITY * (Math.PI / 4) * d * d * L;
+  const effectiveMass_kg = rotorMass_kg + RAYLEIGH_SHAFT_MASS * shaftMass_kg;
+  return (Math.sqrt(stiffness / effectiveMass_kg) * 60) / (2 * Math.PI);
+};
+
+// First bending frequency (Hz) of a plate cantilever of free length length_mm.
+// A welded blade is fixed to the backplate along its whole camber length, so it flexes across its
+// axial width; the widest section (inlet, b1) is used. Ignores support from the shroud and
+// centrifugal stiffening, so it errs low.
+const bladeNaturalFrequency = ({ length_mm, thickness_mm, mat }) => {
+  const L = length_mm / 1000;
+  const t = thickness_mm / 1000;
+  const E = mat.youngs * 1e9;
+  return (Math.pow(CANTILEVER_MODE_1, 2) / (2 * Math.PI * L * L)) * Math.sqrt((E * t * t) / (12 * mat.density));
+};
+
+const separation = (natural, excitation) => Math.abs(natural - excitation) / excitation;
+
+const resonanceStatus = (sep) =>
+  (sep < SEPARATION_LIMITS.resonant ? "RESONANT" : sep < SEPARATION_LIMITS.marginal ? "MARGINAL" : "OK");
+
+// results: calculateResults dimensions and mass; returns every natural frequency against every excitation
+const rotorDynamics = ({ rpm, bearingSpan, mat, results }) => {
+  const bearingSpan_mm = bearingSpan > 0 ? bearingSpan : defaultBearingSpan(results.D2_mm);
+  const criticalSpeed_rpm = shaftCriticalSpeed({
+    shaftDia_mm: results.shaftDiaStd,
+    bearingSpan_mm,
+    rotorMass_kg: results.impellerMass_kg
+  });
+  const bladeFreq_hz = bladeNaturalFrequency({
+    length_mm: Math.max(results.b1_mm, results.b2_mm),
+    thickness_mm: results.plateThickness_mm,
+    mat
+  });
+  const runningFreq_hz = rpm / 60;
+  const bpf_hz = runningFreq_hz * results.bladeCountFinal;
+
+  const naturals = [
+    { label: "Shaft critical speed", freq: criticalSpeed_rpm / 60 },
+    { label: "Blade natural frequency", freq: bladeFreq_hz }
+  ];
+  const excitations = [
+    { label: "running speed", freq: runningFreq_hz },
+    { label: "blade-passing frequency", freq: bpf_hz }
+  ];
+  const resonances = [];
+  naturals.forEach(natural => excitations.forEach(excitation => {
+    const sep = separation(natural.freq, excitation.freq);
+    resonances.push({
+      natural: natural.label,
+      excitation: excitation.label,
+      natural_hz: natural.freq,
+      excitation_hz: excitation.freq,
+      separation: sep,
+      status: resonanceStatus(sep)
+    });
+  }));
+
+  return {
+    bearingSpan_mm,
+    criticalSpeed_rpm,
+    criticalFreq_hz: criticalSpeed_rpm / 60,
+    bladeFreq_hz,
+    runningFreq_hz,
+    bpf_hz,
+    flexibleShaft: criticalSpeed_rpm < rpm,
+    resonances
+  };
+};
+
+module.exports = {
+  SEPARATION_LIMITS,
+  defaultBearingSpan,
+  shaftCriticalSpeed,
+  bladeNaturalFrequency,
+  rotorDynamics
+};
@@ -0,0 +1,47 @@
+// scaling.js - Fan affinity-law scaling for FanDesign Pro
+// Works in engine units: flow in CFM, pressure in Pa, power in HP, diameter in mm.
+const { centrifugalStress, TIP_SPEED_LIMIT } = require('./stress');
+
+// Snapshot of a calculated design that the fan laws can be applied to
+const scalingBase = (numInputs, results) => ({
+  flowRate: results.actualFlow,
+  staticPressure: Number(numInputs.staticPressure) || 0,
+  rpm: Number(numInputs.rpm) || 0,
+  material: numInputs.material,
+  D2_mm: results.D2_mm,
+  airDensitySI: results.airDensitySI,
+  brakePowerHP: results.brakePowerHP
+});
+
+// Fan laws for a geometrically similar fan:
+//   Q ∝ n·D³,  p ∝ ρ·n²·D²,  P ∝ ρ·n³·D⁵
+// Blank or non-positive targets keep the original value.
+const scaleDesign = (base, target, mat) => {
+  const rpm = target.rpm > 0 ? target.rpm : base.rpm;
+  const D2_mm = target.D2_mm > 0 ? target.D2_mm : base.D2_mm;
+  const airDensitySI = target.airDensitySI > 0 ? target.airDensitySI : base.airDensitySI;
+
+  const n = rpm / base.rpm;
+  const d = D2_mm / base.D2_mm;
+  const rho = airDensitySI / base.airDensitySI;
+
+  const tipSpeed = (Math.PI * (D2_mm / 1000) * rpm) / 60;
+  const stress = centrifugalStress(mat, tipSpeed);
+
+  return {
+    rpm,
+    D2_mm,
+    airDensitySI,
+    flowRate: base.flowRate * n * Math.pow(d, 3),
+    staticPressure: base.staticPressure * rho * Math.pow(n, 2) * Math.pow(d, 2),
+    brakePowerHP: base.brakePowerHP * rho * Math.pow(n, 3) * Math.pow(d, 5),
+    tipSpeed,
+    ...stress,
+    overspeed: tipSpeed > TIP_SPEED_LIMIT || stress.stressStatus === "UNSAFE"
+  };
+};
+
+module.exports = {
+  scalingBase,
+  scaleDesign
+};
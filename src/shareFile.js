@@ -0,0 +1,50 @@
+// shareFile.js - File exchange with other apps: Share sheet out, document picker in
+import RNFS from 'react-native-fs';
+import Share from 'react-native-share';
+import DocumentPicker from 'react-native-document-picker';
+import RNHTMLtoPDF from 'react-native-html-to-pdf';
+
+const MIME_TYPES = {
+  dxf: 'application/dxf',
+  json: 'application/json',
+  svg: 'image/svg+xml',
+  html: 'text/html',
+  pdf: 'application/pdf'
+};
+
+const mimeType = (fileName) => MIME_TYPES[fileName.split('.').pop().toLowerCase()] || 'text/plain';
+
+// Shares a file on disk as an attachment. react-native-share hands file:// paths to other apps
+// through its own FileProvider on Android, so the recipient gets the file rather than its text.
+const shareFile = async (path, title) => {
+  const filename = path.split('/').pop();
+  await Share.open({ title, url: `file://${path}`, type: mimeType(filename), filename, failOnCancel: false });
+  return path;
+};
+
+// Writes the text to the app cache and shares the file
+export const shareTextFile = async (fileName, contents, title) => {
+  const path = `${RNFS.CachesDirectoryPath}/${fileName}`;
+  await RNFS.writeFile(path, contents, 'utf8');
+  return shareFile(path, title);
+};
+
+// Renders HTML to a PDF on the device (no network) and shares the PDF file
+export const shareHtmlAsPdf = async (fileName, html, title) => {
+  const { filePath } = await RNHTMLtoPDF.convert({ html, fileName, directory: 'Documents' });
+  return shareFile(filePath, title);
+};
+
+// Resolves with the picked file's text, or null if the user cancels
+export const pickTextFile = async () => {
+  try {
+    const file = await DocumentPicker.pickSingle({
+      type: [DocumentPicker.types.allFiles],
+      copyTo: 'cachesDirectory'
+    });
+    return await RNFS.readFile(decodeURI(file.fileCopyUri.replace('file://', '')), 'utf8');
+  } catch (e) {
+    if (DocumentPicker.isCancel(e)) return null;
+    throw e;
+  }
+};
@@ -0,0 +1,20 @@
+// stress.js - Impeller tip speed and centrifugal stress checks for FanDesign Pro
+
+const TIP_SPEED_LIMIT = 200; // m/s
+
+// Hoop stress in a rotating disc at the given tip speed (m/s) for a material from the materials table
+const centrifugalStress = (mat, tipSpeed) => {
+  const sigma_c = (mat.density * Math.pow(tipSpeed, 2) * (1 + mat.poisson)) / 3;
+  const sigma_total_mpa = sigma_c / 1e6;
+  const safetyFactor = mat.yield / sigma_total_mpa;
+  const stressStatus = safetyFactor > 2 ? "SAFE" : safetyFactor > 1.5 ? "ACCEPTABLE" : "UNSAFE";
+  return { sigma_total_mpa, safetyFactor, stressStatus };
+};
+
+const tipSpeedStatus = (tipSpeed) => (tipSpeed > TIP_SPEED_LIMIT ? "Tip speed too high!" : "OK");
+
+module.exports = {
+  TIP_SPEED_LIMIT,
+  centrifugalStress,
+  tipSpeedStatus
+};
@@ -0,0 +1,148 @@
+// units.js - Unit conversion layer for FanDesign Pro
+// Every input and result passes through here on its way to or from calculateResults.
+
+// --- UNIT CONVERSION FACTORS ---
+// Value in a unit = value in base unit * factor. Temperature is offset-based and handled separately.
+const UNIT_DATA = {
+  flow: { base: "CFM", units: { "CFM": 1, "m³/hr": 1.69901, "L/s": 0.471947 } },
+  pressure: { base: "Pa", units: { "Pa": 1, "kPa": 0.001, "psi": 0.000145038, "in. wg": 0.00401463 } },
+  power: { base: "kW", units: { "kW": 1, "HP": 1.341, "W": 1000 } },
+  length: { base: "mm", units: { "mm": 1, "cm": 0.1, "inch": 0.0393701, "ft": 0.00328084 } },
+  altitude: { base: "m", units: { "m": 1, "ft": 3.28084 } },
+  distance: { base: "m", units: { "m": 1, "ft": 3.28084 } },
+  temperature: { base: "°C", units: ["°C", "°F", "K"] }
+};
+
+const QUANTITY_LABELS = {
+  flow: "Flow",
+  pressure: "Pressure",
+  power: "Power",
+  length: "Length",
+  altitude: "Altitude",
+  distance: "Distance",
+  temperature: "Temperature"
+};
+
+// --- PRESETS ---
+const UNIT_PRESETS = {
+  SI: { flow: "m³/hr", pressure: "kPa", power: "kW", length: "mm", altitude: "m", distance: "m", temperature: "°C" },
+  Imperial: { flow: "CFM", pressure: "in. wg", power: "HP", length: "inch", altitude: "ft", distance: "ft", temperature: "°F" }
+};
+
+// Units calculateResults expects its inputs in and reports its results in
+const ENGINE_UNITS = { flow: "CFM", pressure: "Pa", power: "HP", length: "mm", altitude: "ft", distance: "m", temperature: "°F" };
+
+// Mixed set the app shipped with before unit selection existed
+const DEFAULT_UNITS = { ...ENGINE_UNITS };
+
+// Which quantity each numeric form field holds
+const INPUT_QUANTITIES = {
+  flowRate: "flow",
+  staticPressure: "pressure",
+  motorRating: "power",
+  temp: "temperature",
+  altitude: "altitude",
+  plateThickness: "length",
+  bearingSpan: "length",
+  receiverDistance: "distance",
+  inletPressure: "pressure"
+};
+
+const unitOptions = (quantity) => {
+  const { units } = UNIT_DATA[quantity];
+  return Array.isArray(units) ? units : Object.keys(units);
+};
+
+const toCelsius = (value, unit) => {
+  if (unit === "°F") return (value - 32) * 5 / 9;
+  if (unit === "K") return value - 273.15;
+  return value;
+};
+
+const fromCelsius = (value, unit) => {
+  if (unit === "°F") return value * 9 / 5 + 32;
+  if (unit === "K") return value + 273.15;
+  return value;
+};
+
+// Convert a number of the given quantity between two of its units
+const convert = (quantity, value, from, to) => {
+  if (from === to) return value;
+  if (quantity === "temperature") return fromCelsius(toCelsius(value, from), to);
+  const { units } = UNIT_DATA[quantity];
+  return (value / units[from]) * units[to];
+};
+
+// Trim float noise so converted form values stay readable
+const roundForInput = (value) => String(Number(value.toPrecision(6)));
+
+// System resistance k (ΔP = k·Q²) is in pressure units per flow unit squared
+const convertSystemK = (k, quantity, from, to) => {
+  if (quantity === "pressure") return k * convert("pressure", 1, from, to);
+  if (quantity === "flow") return k / Math.pow(convert("flow", 1, from, to), 2);
+  return k;
+};
+
+// Re-express every field of a quantity in a new unit, keeping blanks and partial entries untouched
+const convertInputs = (inputs, quantity, from, to) => {
+  const next = { ...inputs };
+  Object.keys(INPUT_QUANTITIES).forEach(key => {
+    if (INPUT_QUANTITIES[key] !== quantity) return;
+    const num = parseFloat(inputs[key]);
+    if (!isNaN(num)) next[key] = roundForInput(convert(quantity, num, from, to));
+  });
+  const k = parseFloat(inputs.systemK);
+  if (!isNaN(k)) next.systemK = roundForInput(convertSystemK(k, quantity, from, to));
+  return next;
+};
+
+// Form values (strings in the selected units) -> numbers in engine units
+const toEngineInputs = (inputs, units) => {
+  const numInputs = { ...inputs };
+  Object.keys(INPUT_QUANTITIES).forEach(key => {
+    const quantity = INPUT_QUANTITIES[key];
+    const num = parseFloat(inputs[key]);
+    numInputs[key] = isNaN(num) ? inputs[key] : convert(quantity, num, units[quantity], ENGINE_UNITS[quantity]);
+  });
+  ['outletAngle', 'inletAngle'].forEach(key => {
+    numInputs[key] = parseFloat(inputs[key]);
+  });
+  const k = parseFloat(inputs.systemK);
+  numInputs.systemK = isNaN(k) ? 0 : ['pressure', 'flow'].reduce(
+    (acc, quantity) => convertSystemK(acc, quantity, units[quantity], ENGINE_UNITS[quantity]),
+    k
+  );
+  return numInputs;
+};
+
+// Engine value -> display value in the selected unit
+const fromEngine = (quantity, value, units) =>
+  convert(quantity, value, ENGINE_UNITS[quantity], units[quantity]);
+
+// Fill in any quantity missing from a stored selection (older saves, new quantities)
+const normalizeUnits = (saved) => {
+  const units = { ...DEFAULT_UNITS };
+  Object.keys(saved || {}).forEach(quantity => {
+    if (UNIT_DATA[quantity] && unitOptions(quantity).includes(saved[quantity])) {
+      units[quantity] = saved[quantity];
+    }
+  });
+  return units;
+};
+
+module.exports = {
+  UNIT_DATA,
+  QUANTITY_LABELS,
+  UNIT_PRESETS,
+  ENGINE_UNITS,
+  DEFAULT_UNITS,
+  INPUT_QUANTITIES,
+  unitOptions,
+  convert,
+  roundForInput,
+  convertSystemK,
+  convertInputs,
+  toEngineInputs,
+  fromEngine,
+  normalizeUnits
+};
@@ -0,0 +1,127 @@
+// validation.js - Input range checks and consolidated design warnings for FanDesign Pro
+const { INPUT_QUANTITIES, ENGINE_UNITS, convert, roundForInput, fromEngine } = require('./units');
+
+// --- INPUT LIMITS ---
+// Bounds are in engine units (see ENGINE_UNITS); fields without a quantity are unitless.
+const INPUT_LIMITS = {
+  flowRate: { label: "Flow Rate", min: 1, max: 1000000 },
+  staticPressure: { label: "Static Pressure", min: 1, max: 25000 },
+  rpm: { label: "RPM", min: 100, max: 10000, unit: "RPM" },
+  motorRating: { label: "Motor Power", min: 0, max: 5000 },
+  temp: { label: "Temperature", min: -40, max: 800 },
+  altitude: { label: "Altitude", min: -1000, max: 15000 },
+  outletAngle: { label: "Outlet Angle", min: 10, max: 170, unit: "°" },
+  inletAngle: { label: "Inlet Angle", min: 5, max: 90, unit: "°" },
+  systemK: { label: "System Resistance", min: 0, optional: true },
+  plateThickness: { label: "Plate Thickness", min: 0.5, max: 50, optional: true },
+  bearingSpan: { label: "Bearing Span", min: 50, max: 10000, optional: true },
+  receiverDistance: { label: "Receiver Distance", min: 0.1, max: 1000, optional: true },
+  noiseLimit: { label: "Noise Limit", min: 20, max: 140, unit: "dB(A)", optional: true },
+  humidity: { label: "Relative Humidity", min: 0, max: 100, unit: "%", optional: true },
+  molarMass: { label: "Molar Mass", min: 2, max: 200, unit: "g/mol", optional: true },
+  inletPressure: { label: "Inlet Pressure", min: -50000, max: 50000, optional: true }
+};
+
+const isNumeric = (value) => /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/.test(String(value));
+
+// Form values (strings in the selected units) -> { field: message } for every invalid field
+const validateInputs = (inputs, units) => {
+  const errors = {};
+  Object.keys(INPUT_LIMITS).forEach(key => {
+    const limit = INPUT_LIMITS[key];
+    const raw = inputs[key];
+    if (raw === undefined || String(raw).trim() === '') {
+      if (!limit.optional) errors[key] = "Required";
+      return;
+    }
+    if (!isNumeric(raw)) {
+      errors[key] = "Must be a number";
+      return;
+    }
+
+    const quantity = INPUT_QUANTITIES[key];
+    const unit = quantity ? units[quantity] : limit.unit || '';
+    const toDisplay = (v) => (quantity ? convert(quantity, v, ENGINE_UNITS[quantity], unit) : v);
+    const value = quantity ? convert(quantity, parseFloat(raw), unit, ENGINE_UNITS[quantity]) : parseFloat(raw);
+
+    if (limit.min !== undefined && value < limit.min) {
+      errors[key] = `Must be at least ${roundForInput(toDisplay(limit.min))} ${unit}`.trim();
+    } else if (limit.max !== undefined && value > limit.max) {
+      errors[key] = `Must be at most ${roundForInput(toDisplay(limit.max))} ${unit}`.trim();
+    }
+  });
+  if (inputs.gas === 'custom' && !errors.molarMass && String(inputs.molarMass || '').trim() === '') {
+    errors.molarMass = "Required for a custom gas";
+  }
+  return errors;
+};
+
+// --- DESIGN CHECKS ---
+const SEVERITY = { error: 3, warning: 2, info: 1 };
+
+// Every engineering check from calculateResults as one list, most severe first.
+// extra: { bladeType, operating, units } - units is the display selection for distances in messages
+const designChecks = (results, extra = {}) => {
+  if (!results) return [];
+  const checks = [];
+  const add = (severity, title, message) => checks.push({ severity, title, message });
+
+  if (results.altitudeWarning !== 'OK') {
+    add('warning', 'Altitude', `${results.altitudeWarning}: air density is down to ${results.airDensitySI.toFixed(3)} kg/m³.`);
+  }
+
+  if (results.tipSpeedCheck !== 'OK') {
+    add('error', 'Tip Speed', `${results.tipSpeedCheck} ${results.tipSpeedActual.toFixed(1)} m/s.`);
+  }
+
+  if (results.motorCheck === 'OVERLOADED') {
+    add('error', 'Motor Load', `Motor overloaded at ${results.motorLoadPct.toFixed(0)}% of rating.`);
+  } else if (results.motorCheck === 'High Load') {
+    add('warning', 'Motor Load', `Motor running at ${results.motorLoadPct.toFixed(0)}% of rating.`);
+  } else if (!(results.motorLoadPct > 0)) {
+    add('info', 'Motor Load', 'No motor rating entered; motor load not checked.');
+  }
+
+  if (results.stressStatus === 'UNSAFE') {
+    add('error', 'Stress', `Safety factor ${results.safetyFactor.toFixed(2)} is below 1.5.`);
+  } else if (results.stressStatus === 'ACCEPTABLE') {
+    add('warning', 'Stress', `Safety factor ${results.safetyFactor.toFixed(2)} is below 2.`);
+  }
+
+  if (results.rotor) {
+    results.rotor.resonances.forEach(r => {
+      const message = `${r.natural} (${r.natural_hz.toFixed(1)} Hz) is ${(r.separation * 100).toFixed(0)}% from the ${r.excitation} (${r.excitation_hz.toFixed(1)} Hz).`;
+      if (r.status === 'RESONANT') add('error', 'Vibration', message);
+      else if (r.status === 'MARGINAL') add('warning', 'Vibration', message);
+    });
+    if (results.rotor.flexibleShaft) {
+      add('info', 'Vibration', `Shaft runs above its first critical speed (${results.rotor.criticalSpeed_rpm.toFixed(0)} RPM) and passes through it on start-up.`);
+    }
+  }
+
+  if (results.acoustics && results.acoustics.exceedsLimit) {
+    const a = results.acoustics;
+    const units = extra.units || ENGINE_UNITS;
+    const level = a.distance_m
+      ? `${a.LpA.toFixed(1)} dB(A) at ${fromEngine('distance', a.distance_m, units).toFixed(1)} ${units.distance}`
+      : `sound power ${a.LwA.toFixed(1)} dB(A)`;
+    add('warning', 'Noise', `Predicted ${level} exceeds the ${a.limit_dBA} dB(A) limit.`);
+  }
+
+  if (extra.bladeType && !results.bladeRecommendation.startsWith(extra.bladeType)) {
+    add('info', 'Blade Type', `Specific speed suggests ${results.bladeRecommendation} blades.`);
+  }
+
+  if (extra.operating && extra.operating.inStall) {
+    add('warning', 'Operating Point', 'System curve meets the fan curve in the surge/stall region.');
+  }
+
+  return checks.sort((a, b) => SEVERITY[b.severity] - SEVERITY[a.severity]);
+};
+
+module.exports = {
+  INPUT_LIMITS,
+  validateInputs,
+  SEVERITY,
+  designChecks
+};
@@ -0,0 +1,83 @@
+// volute.js - Scroll (volute) casing design for FanDesign Pro
+// Lengths in mm, velocities in m/s, flow in CFM (engine units).
+
+const CFM_TO_M3S = 0.000471947;
+
+const VOLUTE_TYPES = {
+  constantVelocity: "Constant Velocity",
+  archimedean: "Archimedean"
+};
+
+const CASING_WIDTH_RATIO = 2.0; // B / b2
+const CUTOFF_CLEARANCE_RATIO = 0.07; // tongue gap / D2
+const SPIRAL_STEPS = 72;
+
+// Tangential velocity leaving the impeller, from Δp = ρ·u2·cu2·η
+const outletSwirl = ({ staticPressure, airDensitySI, tipSpeedActual, effStatic }) => {
+  const cu2 = staticPressure / (airDensitySI * tipSpeedActual * (effStatic || 1));
+  return Math.max(0.3 * tipSpeedActual, Math.min(1.2 * tipSpeedActual, cu2));
+};
+
+// --- VOLUTE DESIGN ---
+// Constant-velocity (free-vortex) scroll: cu·r stays constant, so the share of flow Q·φ/2π that has
+// left the impeller by wrap angle φ fills B·cu2·r2·ln(r/rt) and r(φ) = rt·exp(Q·φ / (2π·B·cu2·r2)).
+// The Archimedean scroll grows linearly, r(φ) = rt + H·φ/2π, to the same outlet height H.
+const designVolute = (impeller, type = 'constantVelocity') => {
+  const { D2_mm, b2_mm, flowRate, tipSpeedActual } = impeller;
+  if (!(D2_mm > 0 && b2_mm > 0 && flowRate > 0 && tipSpeedActual > 0)) return null;
+
+  const Q = flowRate * CFM_TO_M3S;
+  const r2 = D2_mm / 2000; // m
+  const B = (b2_mm * CASING_WIDTH_RATIO) / 1000;
+  const clearance = (D2_mm * CUTOFF_CLEARANCE_RATIO) / 1000;
+  const rt = r2 + clearance;
+  const cu2 = outletSwirl(impeller);
+
+  const logGrowth = Q / (2 * Math.PI * B * cu2 * r2);
+  const H = rt * (Math.exp(logGrowth * 2 * Math.PI) - 1);
+  const radiusAt = type === 'archimedean'
+    ? (phi) => rt + (H * phi) / (2 * Math.PI)
+    : (phi) => rt * Math.exp(logGrowth * phi);
+
+  const spiral = [...Array(SPIRAL_STEPS + 1)].map((_, i) => {
+    const phi = (2 * Math.PI * i) / SPIRAL_STEPS;
+    const r = radiusAt(phi) * 1000;
+    return { phi, r, x: r * Math.cos(phi), y: r * Math.sin(phi) };
+  });
+
+  const outletArea = B * H;
+  const outletVelocity = Q / outletArea;
+
+  return {
+    type,
+    casingWidth_mm: B * 1000,
+    cutoffClearance_mm: clearance * 1000,
+    tongueRadius_mm: rt * 1000,
+    outletHeight_mm: H * 1000,
+    outletArea_m2: outletArea,
+    outletVelocity,
+    outletVelocityPressure: 0.5 * (impeller.airDensitySI || 1.2) * outletVelocity * outletVelocity,
+    swirlVelocity: cu2,
+    spiral,
+    // Outlet duct runs tangentially (+y) from the tongue and the end of the scroll
+    ductLength_mm: (rt + H) * 1000
+  };
+};
+
+// Closed casing outline in plan view: scroll, outer duct wall, duct mouth, inner duct wall to the tongue
+const casingOutline = (casing) => {
+  const { spiral, tongueRadius_mm, outletHeight_mm, ductLength_mm } = casing;
+  const outer = tongueRadius_mm + outletHeight_mm;
+  return [
+    ...spiral.map(p => ({ x: p.x, y: p.y })),
+    { x: outer, y: ductLength_mm },
+    { x: tongueRadius_mm, y: ductLength_mm },
+    { x: tongueRadius_mm, y: 0 }
+  ];
+};
+
+module.exports = {
+  VOLUTE_TYPES,
+  designVolute,
+  casingOutline
+};